@@ -57,6 +57,12 @@ switch (command) {
     build.on('exit', (code) => process.exit(code));
     break;
 
+  case 'repl': {
+    const { KuhulRepl } = await import('../lib/kuhul/repl.js');
+    await new KuhulRepl().start();
+    process.exit(0);
+  }
+
   case 'help':
   default:
     console.log(`
@@ -67,12 +73,14 @@ Commands:
   serve [port]    Alias for 'start'
   dev             Start in development mode with hot reload
   build           Build optimized Multi-Hive application
+  repl            Interactive K'uhul session (:vars, :stack, :help)
   help            Show this help message
 
 Examples:
   npx asxr-multi-hive start 8080
   npx asxr-multi-hive dev
   npx asxr-multi-hive build
+  npx asxr-multi-hive repl
 
 Multi-Hive Stack:
   🏗️  KLH     - Hive orchestration & virtual mesh networking
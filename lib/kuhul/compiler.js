@@ -0,0 +1,445 @@
+/**
+ * K'uhul Compiler
+ * Compiles glyph source into flat bytecode with a source map
+ *
+ * Program format:
+ * {
+ *   version: 1,
+ *   code: [[op, a, b], ...],        // see OP
+ *   functions: { name: pc },        // function entry points
+ *   sourceMap: [{ line, column, glyph, raw }, ...]  // one entry per instruction
+ * }
+ *
+ * Compiled programs are plain data: they can be cached, cloned or sent to a worker.
+ */
+
+import { KuhulSyntaxError } from './errors.js';
+
+export const OP = Object.freeze({
+  PUSH: 0,              // a: literal
+  STORE: 1,             // a: variable name (pop into it)
+  LOAD: 2,              // a: variable name
+  SEK: 3,               // a: args array
+  CALL: 4,              // a: function name
+  RET: 5,
+  HALT: 6,
+  JUMP: 7,              // a: target pc
+  JUMP_IF_FALSE: 8,     // a: target pc (pops condition)
+  JUMP_IF_VAR_FALSE: 9, // a: variable name, b: target pc
+  LOOP_COUNT: 10,       // a: count (number | variable name | null = pop), b: index variable
+  LOOP_EACH: 11,        // a: array variable name, b: item variable
+  LOOP_NEXT: 12         // a: exit pc
+});
+
+export const OP_NAMES = Object.fromEntries(Object.entries(OP).map(([k, v]) => [v, k]));
+
+export class KuhulCompiler {
+  constructor(options = {}) {
+    // Upper bound for a single [Wo ...] literal, checked before JSON.parse
+    this.maxLiteralLength = options.maxLiteralLength ?? 1024 * 1024;
+  }
+
+  /**
+   * Compile glyph source (or a bare handler reference) to a program
+   */
+  compile(source) {
+    const tree = this.structure(this.parse(source));
+    const emitter = new Emitter();
+
+    // Main body; a program made only of functions runs its first function
+    if (tree.body.length === 0 && tree.functions.size > 0) {
+      const entry = tree.functions.keys().next().value;
+      emitter.emit(OP.CALL, entry, undefined, tree.functions.get(entry).inst);
+    } else {
+      this.emitBlock(emitter, tree.body, tree.functions, false);
+    }
+    emitter.emit(OP.HALT);
+
+    // No prototype, so "toString" or "constructor" are only functions if the program defines them
+    const functions = Object.create(null);
+    for (const [name, fn] of tree.functions) {
+      functions[name] = emitter.code.length;
+      this.emitBlock(emitter, fn.body, tree.functions, true);
+      emitter.emit(OP.RET, undefined, undefined, fn.inst);
+    }
+
+    return {
+      version: 1,
+      code: emitter.code,
+      functions,
+      sourceMap: emitter.sourceMap
+    };
+  }
+
+  /**
+   * Parse glyph code into instructions
+   */
+  parse(code) {
+    if (typeof code !== 'string') {
+      // If code is a handler reference, call it directly
+      return [{ glyph: 'Sek', args: [code], raw: '[Sek <handler>]', line: 0, column: 0 }];
+    }
+
+    const instructions = [];
+    const lines = code.split('\n');
+
+    lines.forEach((text, idx) => {
+      const line = text.trim();
+      if (!line || line.startsWith('#')) return; // Comment
+
+      for (const { body, column } of scanGlyphs(text, idx + 1)) {
+        const match = body.match(/^([\w']+)\s*([\s\S]*)$/);
+        if (!match) continue;
+
+        const [, glyph, argsStr] = match;
+        instructions.push({
+          glyph,
+          args: splitArgs(argsStr),
+          raw: `[${body}]`,
+          line: idx + 1,
+          column
+        });
+      }
+    });
+
+    return instructions;
+  }
+
+  /**
+   * Group flat instructions into functions, loops and conditionals
+   * Returns { body, functions }
+   */
+  structure(instructions) {
+    const root = { type: 'root', body: [] };
+    const open = [root];
+    const functions = new Map();
+
+    const target = () => {
+      const top = open[open.length - 1];
+      return top.type === 'if' && top.inElse ? top.else : top.body;
+    };
+
+    for (const inst of instructions) {
+      const top = open[open.length - 1];
+
+      switch (inst.glyph) {
+        case 'Pop': {
+          if (!inst.args[0]) break; // Anonymous scope marker - nothing to do
+          const fn = { type: 'function', name: inst.args[0], body: [], inst };
+          functions.set(fn.name, fn);
+          open.push(fn);
+          break;
+        }
+
+        case 'Xul':
+          // Closes the innermost function; anywhere else it returns / halts
+          if (top.type === 'function') {
+            open.pop();
+          } else {
+            target().push(inst);
+          }
+          break;
+
+        case 'K\'ayab\'': {
+          const loop = { type: 'loop', args: inst.args, body: [], inst };
+          target().push(loop);
+          open.push(loop);
+          break;
+        }
+
+        case 'Kumk\'u':
+          if (top.type !== 'loop') {
+            throw new KuhulSyntaxError('Kumk\'u without matching K\'ayab\'', inst);
+          }
+          open.pop();
+          break;
+
+        case 'Ik\'': {
+          const cond = { type: 'if', args: inst.args, body: [], else: [], inElse: false, inst };
+          target().push(cond);
+          open.push(cond);
+          break;
+        }
+
+        case 'Ak\'bal':
+          if (top.type !== 'if' || top.inElse) {
+            throw new KuhulSyntaxError('Ak\'bal without matching Ik\'', inst);
+          }
+          top.inElse = true;
+          break;
+
+        case 'K\'an':
+          if (top.type !== 'if') {
+            throw new KuhulSyntaxError('K\'an without matching Ik\'', inst);
+          }
+          open.pop();
+          break;
+
+        default:
+          target().push(inst);
+      }
+    }
+
+    // Unterminated functions are closed at end of input; loops and branches must be explicit
+    while (open.length > 1) {
+      const block = open.pop();
+      if (block.type !== 'function') {
+        throw new KuhulSyntaxError(`Unterminated ${block.type === 'loop' ? 'K\'ayab\'' : 'Ik\''} block`, block.inst);
+      }
+    }
+
+    return { body: root.body, functions };
+  }
+
+  /**
+   * Emit bytecode for a block
+   */
+  emitBlock(emitter, block, functions, inFunction) {
+    for (const node of block) {
+      if (node.type === 'loop') {
+        this.emitLoop(emitter, node, functions, inFunction);
+      } else if (node.type === 'if') {
+        this.emitIf(emitter, node, functions, inFunction);
+      } else {
+        this.emitInstruction(emitter, node, functions, inFunction);
+      }
+    }
+  }
+
+  emitInstruction(emitter, inst, functions, inFunction) {
+    switch (inst.glyph) {
+      case 'Wo':
+        if (inst.raw.length > this.maxLiteralLength) {
+          throw new KuhulSyntaxError(`Literal exceeds ${this.maxLiteralLength} characters`, inst);
+        }
+        try {
+          emitter.emit(OP.PUSH, parseLiteral(inst.args.join(' ')), undefined, inst);
+        } catch (err) {
+          throw new KuhulSyntaxError(`Invalid literal: ${err.message}`, inst);
+        }
+        break;
+
+      case 'Ch\'en':
+        emitter.emit(OP.STORE, inst.args[0] ?? null, undefined, inst);
+        break;
+
+      case 'Yax':
+        emitter.emit(OP.LOAD, inst.args[0], undefined, inst);
+        break;
+
+      case 'Sek':
+        if (typeof inst.args[0] === 'string' && functions.has(inst.args[0])) {
+          emitter.emit(OP.CALL, inst.args[0], undefined, inst);
+        } else {
+          emitter.emit(OP.SEK, inst.args, undefined, inst);
+        }
+        break;
+
+      case 'Xul':
+        emitter.emit(inFunction ? OP.RET : OP.HALT, undefined, undefined, inst);
+        break;
+
+      default:
+        // Unknown glyphs are kept so the VM can report them at runtime
+        emitter.emit(OP.SEK, null, inst.glyph, inst);
+    }
+  }
+
+  emitLoop(emitter, node, functions, inFunction) {
+    const [mode, a, b] = node.args;
+
+    if (mode === 'while') {
+      const head = emitter.code.length;
+      const exit = emitter.emit(OP.JUMP_IF_VAR_FALSE, a, null, node.inst);
+      this.emitBlock(emitter, node.body, functions, inFunction);
+      emitter.emit(OP.JUMP, head, undefined, node.inst);
+      emitter.patch(exit, 2, emitter.code.length);
+      return;
+    }
+
+    if (mode === 'each') {
+      emitter.emit(OP.LOOP_EACH, a, b || 'item', node.inst);
+    } else {
+      // Counted loop: literal, variable name or stack top
+      const count = mode === undefined ? null : isNaN(mode) ? mode : Number(mode);
+      emitter.emit(OP.LOOP_COUNT, count, a || 'i', node.inst);
+    }
+
+    const head = emitter.emit(OP.LOOP_NEXT, null, undefined, node.inst);
+    this.emitBlock(emitter, node.body, functions, inFunction);
+    emitter.emit(OP.JUMP, head, undefined, node.inst);
+    emitter.patch(head, 1, emitter.code.length);
+  }
+
+  emitIf(emitter, node, functions, inFunction) {
+    const branch = node.args[0] !== undefined
+      ? emitter.emit(OP.JUMP_IF_VAR_FALSE, node.args[0], null, node.inst)
+      : emitter.emit(OP.JUMP_IF_FALSE, null, undefined, node.inst);
+    const slot = node.args[0] !== undefined ? 2 : 1;
+
+    this.emitBlock(emitter, node.body, functions, inFunction);
+
+    if (node.else.length > 0) {
+      const skipElse = emitter.emit(OP.JUMP, null, undefined, node.inst);
+      emitter.patch(branch, slot, emitter.code.length);
+      this.emitBlock(emitter, node.else, functions, inFunction);
+      emitter.patch(skipElse, 1, emitter.code.length);
+    } else {
+      emitter.patch(branch, slot, emitter.code.length);
+    }
+  }
+}
+
+/**
+ * Human-readable listing of a compiled program
+ */
+export function disassemble(program) {
+  const entries = Object.entries(program.functions);
+
+  return program.code.map((inst, pc) => {
+    const [op, a, b] = inst;
+    const label = entries.filter(([, entry]) => entry === pc).map(([name]) => `${name}:\n`).join('');
+    const operands = [a, b].filter(v => v !== undefined).map(v => JSON.stringify(v)).join(' ');
+    const loc = program.sourceMap[pc];
+    const comment = loc?.line ? `  ; ${loc.line}: ${loc.raw}` : '';
+
+    return `${label}${String(pc).padStart(4, '0')} ${OP_NAMES[op]} ${operands}${comment}`;
+  }).join('\n');
+}
+
+/**
+ * Bytecode buffer with parallel source map
+ */
+class Emitter {
+  constructor() {
+    this.code = [];
+    this.sourceMap = [];
+  }
+
+  emit(op, a, b, inst = null) {
+    const instruction = [op];
+    if (a !== undefined || b !== undefined) instruction.push(a);
+    if (b !== undefined) instruction.push(b);
+
+    this.code.push(instruction);
+    this.sourceMap.push(inst
+      ? { line: inst.line, column: inst.column, glyph: inst.glyph, raw: inst.raw }
+      : null);
+
+    return this.code.length - 1;
+  }
+
+  patch(pc, slot, value) {
+    this.code[pc][slot] = value;
+  }
+}
+
+/**
+ * Find [glyph ...] groups in a line, allowing nested brackets inside args
+ * An unclosed group is reported at its opening bracket
+ */
+function scanGlyphs(text, line) {
+  const groups = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"' && depth > 0) {
+      inString = true;
+    } else if (ch === '[') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (ch === ']' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        groups.push({ body: text.slice(start + 1, i).trim(), column: start + 1 });
+      }
+    }
+  }
+
+  if (depth > 0) {
+    const raw = text.slice(start).trim();
+    throw new KuhulSyntaxError(`Unclosed glyph, missing "]"`, { line, column: start + 1, glyph: null, raw });
+  }
+
+  return groups;
+}
+
+/**
+ * Split glyph arguments on whitespace, keeping quoted strings and JSON intact
+ */
+function splitArgs(str) {
+  const args = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+
+    if (quote) {
+      current += ch;
+      if (ch === '\\' && i + 1 < str.length) current += str[++i];
+      else if (ch === quote) quote = null;
+      continue;
+    }
+
+    if (ch === '"' || (ch === "'" && !current)) {
+      quote = ch;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+    } else if (/\s/.test(ch) && depth === 0) {
+      if (current) args.push(current);
+      current = '';
+      continue;
+    }
+
+    current += ch;
+  }
+
+  if (current) args.push(current);
+  return args;
+}
+
+/**
+ * Parse literal glyph value (string, boolean, null, number, JSON)
+ */
+export function parseLiteral(value) {
+  if (value.startsWith('"') || value.startsWith("'")) {
+    return value.slice(1, -1);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value === 'null') {
+    return null;
+  }
+  if (value !== '' && !isNaN(value)) {
+    return parseFloat(value);
+  }
+  if (value.startsWith('{') || value.startsWith('[')) {
+    return JSON.parse(value);
+  }
+  return value;
+}
+
+/**
+ * Strip surrounding quotes from a glyph argument
+ */
+export function unquote(arg) {
+  if (typeof arg === 'string' && /^(["']).*\1$/.test(arg)) {
+    return arg.slice(1, -1);
+  }
+  return arg;
+}
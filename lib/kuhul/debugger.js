@@ -0,0 +1,195 @@
+/**
+ * K'uhul Debugger
+ * Line breakpoints, single-stepping and stack/variable inspection for KuhulVM
+ *
+ * Usage:
+ *   const dbg = new KuhulDebugger({ onPause: (state) => ... });
+ *   dbg.setBreakpoints([3, 7]);
+ *   const vm = new KuhulVM({ debugger: dbg, trace: true });
+ *   vm.execute(code);            // pauses at line 3, onPause receives inspect()
+ *   dbg.step();                  // run to the next line
+ *   dbg.continue();              // run to the next breakpoint
+ */
+
+import { OP_NAMES } from './compiler.js';
+import { KuhulError } from './errors.js';
+
+export class KuhulDebugger {
+  constructor(options = {}) {
+    this.breakpoints = new Set(options.breakpoints || []);
+    this.onPause = options.onPause || (() => {});
+    this.onResume = options.onResume || (() => {});
+
+    // 'run' | 'step' (next line) | 'stepInstruction' | 'pause' (next instruction)
+    this.mode = options.stopOnEntry ? 'stepInstruction' : 'run';
+    this.paused = null;
+    this.resumeFn = null;
+    this.aborted = false;
+    this.lastPc = -1;
+    this.lastLine = null;
+  }
+
+  // ========================================
+  // CONTROL
+  // ========================================
+
+  setBreakpoints(lines) {
+    this.breakpoints = new Set(lines.map(Number));
+  }
+
+  addBreakpoint(line) {
+    this.breakpoints.add(Number(line));
+  }
+
+  removeBreakpoint(line) {
+    this.breakpoints.delete(Number(line));
+  }
+
+  continue() {
+    this.resume('run');
+  }
+
+  step() {
+    this.resume('step');
+  }
+
+  stepInstruction() {
+    this.resume('stepInstruction');
+  }
+
+  /**
+   * Pause before the next instruction
+   */
+  pause() {
+    this.mode = 'pause';
+  }
+
+  /**
+   * Abort execution - the VM throws at the next instruction
+   */
+  stop() {
+    this.aborted = true;
+    this.resume('run');
+  }
+
+  resume(mode) {
+    this.mode = mode;
+    if (this.resumeFn) {
+      const resumeFn = this.resumeFn;
+      this.resumeFn = null;
+      this.paused = null;
+      this.onResume({ mode });
+      resumeFn();
+    }
+  }
+
+  // ========================================
+  // VM HOOK
+  // ========================================
+
+  /**
+   * Called by the VM before every instruction
+   */
+  async beforeInstruction(vm, pc) {
+    if (this.aborted) {
+      throw new KuhulError('Execution aborted by debugger');
+    }
+
+    const location = vm.program.sourceMap[pc];
+    const line = location?.line ?? null;
+
+    // A new line, or a backward jump (next loop iteration), counts as arriving at a line
+    const newLine = line !== null && (line !== this.lastLine || pc <= this.lastPc);
+
+    let reason = null;
+    if (this.mode === 'pause' || this.mode === 'stepInstruction') {
+      reason = this.mode === 'pause' ? 'pause' : 'step';
+    } else if (this.mode === 'step' && newLine) {
+      reason = 'step';
+    } else if (newLine && this.breakpoints.has(line)) {
+      reason = 'breakpoint';
+    }
+
+    this.lastPc = pc;
+    if (line !== null) this.lastLine = line;
+
+    if (!reason) return;
+
+    this.paused = { reason, ...this.inspect(vm, pc) };
+
+    await new Promise(resolve => {
+      this.resumeFn = resolve;
+      this.onPause(this.paused);
+    });
+
+    if (this.aborted) {
+      throw new KuhulError('Execution aborted by debugger');
+    }
+  }
+
+  /**
+   * Snapshot VM state at pc
+   */
+  inspect(vm, pc = vm.pc) {
+    const location = vm.program?.sourceMap[pc] || null;
+    const [op] = vm.program?.code[pc] || [];
+
+    return {
+      pc,
+      op: OP_NAMES[op] ?? null,
+      line: location?.line ?? null,
+      raw: location?.raw ?? null,
+      stack: vm.stack.map(inspectValue),
+      variables: Object.fromEntries(
+        Array.from(vm.variables.entries()).map(([k, v]) => [k, inspectValue(v)])
+      ),
+      frames: vm.frames.map(f => ({ name: f.name })),
+      loops: vm.loops.map(l => ({ index: l.i, count: l.n, variable: l.variable }))
+    };
+  }
+}
+
+/**
+ * JSON-safe copy of a VM value for traces and inspection
+ */
+export function inspectValue(value, depth = 0) {
+  if (value === null || value === undefined) return value ?? null;
+
+  switch (typeof value) {
+    case 'string':
+      return value.length > 500 ? value.slice(0, 500) + '…' : value;
+    case 'number':
+    case 'boolean':
+      return value;
+    case 'function':
+      return `[Function ${value.name || 'anonymous'}]`;
+    case 'object':
+      break;
+    default:
+      return String(value);
+  }
+
+  if (depth >= 4) {
+    return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, 50).map(v => inspectValue(v, depth + 1));
+    if (value.length > 50) items.push(`… ${value.length - 50} more`);
+    return items;
+  }
+
+  if (value instanceof Map) {
+    return inspectValue(Object.fromEntries(value), depth);
+  }
+
+  if (value.constructor && value.constructor !== Object) {
+    return `[${value.constructor.name}]`;
+  }
+
+  const out = {};
+  for (const [k, v] of Object.entries(value).slice(0, 50)) {
+    out[k] = inspectValue(v, depth + 1);
+  }
+  return out;
+}
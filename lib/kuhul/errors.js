@@ -0,0 +1,57 @@
+/**
+ * K'uhul Errors
+ * Typed errors carrying the source location of the failing glyph
+ */
+
+/**
+ * K'uhul runtime error with source location
+ */
+export class KuhulError extends Error {
+  constructor(message, location = null) {
+    super(location?.line ? `${message} (line ${location.line}: ${location.raw})` : message);
+    this.name = 'KuhulError';
+    this.line = location?.line ?? null;
+    this.column = location?.column ?? null;
+    this.glyph = location?.glyph ?? null;
+    this.raw = location?.raw ?? null;
+  }
+
+  /**
+   * Attach source location after the fact (keeps the error's type)
+   */
+  locate(location) {
+    if (this.line === null && location?.line) {
+      this.message = `${this.message} (line ${location.line}: ${location.raw})`;
+      this.line = location.line;
+      this.column = location.column ?? null;
+      this.glyph = location.glyph ?? null;
+      this.raw = location.raw ?? null;
+    }
+    return this;
+  }
+}
+
+/**
+ * Malformed glyph source (unbalanced blocks, bad literals)
+ */
+export class KuhulSyntaxError extends KuhulError {
+  constructor(message, location = null) {
+    super(message, location);
+    this.name = 'KuhulSyntaxError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Execution budget exceeded (instructions, time, stack, callDepth, memory)
+ * The program is at fault, not the server - reported as 422 with the limit hit
+ */
+export class KuhulLimitError extends KuhulError {
+  constructor(limit, max, location = null) {
+    super(`K'uhul ${limit} limit exceeded (max ${max})`, location);
+    this.name = 'KuhulLimitError';
+    this.status = 422;
+    this.limit = limit;
+    this.max = max;
+  }
+}
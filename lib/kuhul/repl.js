@@ -0,0 +1,269 @@
+/**
+ * K'uhul REPL
+ * Interactive session over a single KuhulVM - variables and the stack survive
+ * between inputs, and functions entered on their own ([Pop name]...[Xul])
+ * stay callable from later inputs
+ *
+ * Commands:
+ *   :vars            Show session variables
+ *   :stack           Show the value stack
+ *   :funcs           List defined functions
+ *   :trace on|off    Print the instruction trace after each input
+ *   :reset           Clear variables, stack and functions
+ *   :help            Show commands
+ *   :quit            Exit
+ */
+
+import readline from 'readline';
+import { homedir } from 'os';
+import { join } from 'path';
+import { readFileSync, writeFileSync } from 'fs';
+import { inspect } from 'util';
+import { KuhulVM } from './vm.js';
+import { KuhulCompiler } from './compiler.js';
+import { KuhulSyntaxError } from './errors.js';
+import { inspectValue } from './debugger.js';
+
+const HISTORY_FILE = join(homedir(), '.asxr_repl_history');
+const HISTORY_SIZE = 500;
+
+export class KuhulRepl {
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.historyFile = options.historyFile === undefined ? HISTORY_FILE : options.historyFile;
+    this.limits = options.limits || {};
+    this.handlers = options.handlers || null;
+    this.compiler = new KuhulCompiler();
+    this.showTrace = false;
+    this.buffer = [];
+    this.reset();
+  }
+
+  /**
+   * Fresh VM and function library
+   */
+  reset() {
+    this.vm = new KuhulVM({ handlers: this.handlers, limits: this.limits });
+    this.definitions = new Map(); // function name -> defining source chunk
+  }
+
+  /**
+   * Start interactive loop; resolves when the session ends
+   */
+  start() {
+    this.rl = readline.createInterface({
+      input: this.input,
+      output: this.output,
+      prompt: 'kuhul> ',
+      history: this.loadHistory(),
+      historySize: HISTORY_SIZE,
+      removeHistoryDuplicates: true
+    });
+
+    this.rl.on('history', (history) => this.saveHistory(history));
+
+    this.print('K\'uhul REPL - type :help for commands, :quit to exit');
+    this.rl.prompt();
+
+    // Lines are handled one at a time - pasted or piped input arrives faster than it runs
+    let queue = Promise.resolve();
+    let closed = false;
+
+    return new Promise(resolve => {
+      this.rl.on('line', (line) => {
+        queue = queue.then(async () => {
+          if (closed) return;
+          const keepGoing = await this.handleLine(line);
+          if (!keepGoing) {
+            closed = true;
+            this.rl.close();
+            return;
+          }
+          this.rl.setPrompt(this.buffer.length ? '...... ' : 'kuhul> ');
+          this.rl.prompt();
+        });
+      });
+
+      this.rl.on('close', () => {
+        closed = true;
+        queue.then(resolve);
+      });
+    });
+  }
+
+  /**
+   * Handle one input line; returns false to end the session
+   */
+  async handleLine(line) {
+    const trimmed = line.trim();
+
+    if (this.buffer.length === 0 && trimmed.startsWith(':')) {
+      return this.command(trimmed);
+    }
+
+    if (!trimmed && this.buffer.length === 0) return true;
+
+    this.buffer.push(line);
+    const source = this.buffer.join('\n');
+
+    // Keep reading while a block is still open
+    if (this.isIncomplete(source)) return true;
+
+    this.buffer = [];
+    await this.evaluate(source);
+    return true;
+  }
+
+  /**
+   * Run source in the session VM
+   */
+  async evaluate(source) {
+    try {
+      const tree = this.compiler.structure(this.compiler.parse(source));
+      if (tree.body.length === 0 && tree.functions.size === 0) return;
+
+      // Definitions only: remember them instead of running the first function
+      if (tree.body.length === 0 && tree.functions.size > 0) {
+        for (const name of tree.functions.keys()) {
+          this.definitions.set(name, source);
+        }
+        this.print(`defined ${Array.from(tree.functions.keys()).join(', ')}`);
+        return;
+      }
+
+      // Library goes after the input so reported line numbers match what was typed
+      const library = Array.from(new Set(this.definitions.values()))
+        .filter(chunk => !this.shadowed(chunk, tree.functions));
+      const program = this.compiler.compile([source, ...library].join('\n'));
+
+      const depth = this.vm.stack.length;
+      const top = this.vm.stack[depth - 1];
+      this.vm.trace = this.showTrace ? [] : null;
+
+      const result = await this.vm.execute(program);
+
+      if (this.vm.trace) {
+        for (const entry of this.vm.trace) {
+          this.print(`  ${String(entry.pc).padStart(4)}  ${entry.op.padEnd(18)} ${entry.raw || ''}`);
+        }
+      }
+
+      // Echo the stack top only when the input changed it
+      const stack = this.vm.stack;
+      const changed = stack.length > depth || (stack.length > 0 && stack[stack.length - 1] !== top);
+      this.print(this.format(changed ? result : undefined));
+    } catch (err) {
+      this.print(`${err.name || 'Error'}: ${err.message}`);
+    }
+  }
+
+  /**
+   * REPL commands
+   */
+  command(input) {
+    const [cmd, ...rest] = input.slice(1).split(/\s+/);
+
+    switch (cmd) {
+      case 'vars':
+      case 'variables': {
+        const vars = Object.fromEntries(this.vm.variables);
+        this.print(Object.keys(vars).length ? this.format(vars) : '(no variables)');
+        break;
+      }
+
+      case 'stack':
+        this.print(this.vm.stack.length ? this.format(this.vm.stack) : '(empty stack)');
+        break;
+
+      case 'funcs':
+      case 'functions':
+        this.print(this.definitions.size ? Array.from(this.definitions.keys()).join('\n') : '(no functions)');
+        break;
+
+      case 'trace':
+        this.showTrace = rest[0] ? rest[0] === 'on' : !this.showTrace;
+        this.print(`trace ${this.showTrace ? 'on' : 'off'}`);
+        break;
+
+      case 'reset':
+        this.reset();
+        this.print('session reset');
+        break;
+
+      case 'help':
+        this.print([
+          ':vars            Show session variables',
+          ':stack           Show the value stack',
+          ':funcs           List defined functions',
+          ':trace on|off    Print the instruction trace after each input',
+          ':reset           Clear variables, stack and functions',
+          ':quit            Exit'
+        ].join('\n'));
+        break;
+
+      case 'quit':
+      case 'exit':
+      case 'q':
+        return false;
+
+      default:
+        this.print(`Unknown command :${cmd} (try :help)`);
+    }
+
+    return true;
+  }
+
+  /**
+   * True while a loop, branch or named function block is still open
+   */
+  isIncomplete(source) {
+    let instructions;
+    try {
+      instructions = this.compiler.parse(source);
+      this.compiler.structure(instructions);
+    } catch (err) {
+      return err instanceof KuhulSyntaxError && /^Unterminated/.test(err.message);
+    }
+
+    // structure() closes functions at end of input - the REPL waits for [Xul] instead
+    const opened = instructions.filter(i => i.glyph === 'Pop' && i.args[0]).length;
+    const closed = instructions.filter(i => i.glyph === 'Xul').length;
+    return opened > closed;
+  }
+
+  /**
+   * Chunk redefines a function the new input also defines
+   */
+  shadowed(chunk, functions) {
+    return Array.from(this.definitions.entries())
+      .some(([name, source]) => source === chunk && functions.has(name));
+  }
+
+  format(value) {
+    if (value === undefined) return '(ok)';
+    return inspect(inspectValue(value), { depth: 4, colors: !!this.output.isTTY });
+  }
+
+  print(text) {
+    this.output.write(text + '\n');
+  }
+
+  loadHistory() {
+    if (!this.historyFile) return [];
+    try {
+      return readFileSync(this.historyFile, 'utf8').split('\n').filter(Boolean).reverse();
+    } catch {
+      return [];
+    }
+  }
+
+  saveHistory(history) {
+    if (!this.historyFile) return;
+    try {
+      writeFileSync(this.historyFile, history.slice(0, HISTORY_SIZE).reverse().join('\n') + '\n');
+    } catch {
+      // History is a convenience - ignore unwritable home directories
+    }
+  }
+}
@@ -3,51 +3,138 @@
  * Glyph-based execution engine for high-efficiency shard processing
  *
  * Glyph Reference:
- * Pop    - Push to stack
- * Wo     - Write/assign
- * Ch'en  - Container/variable
- * Yax    - Get/access
- * Sek    - Execute/call
- * Kumk'u - End loop
+ * Pop    - Begin function definition ([Pop name] ... [Xul])
+ * Wo     - Write/assign (push literal)
+ * Ch'en  - Container/variable (pop into variable)
+ * Yax    - Get/access (push variable)
+ * Sek    - Execute/call (operations, functions, native handlers)
  * K'ayab'- Begin loop
- * Xul    - End program
+ * Kumk'u - End loop
+ * Ik'    - Begin conditional (pops condition, or tests [Ik' var])
+ * Ak'bal - Else branch
+ * K'an   - End conditional
+ * Xul    - End function definition / return / end program
+ *
+ * Loops:
+ *   [K'ayab' 5 i]          - counted loop, index in `i` (count may be a variable name)
+ *   [K'ayab' while flag]   - repeat while variable `flag` is truthy
+ *   [K'ayab' each list x]  - iterate array variable `list`, item in `x`
+ *
+ * Several glyphs may share a line: [Wo 1]→[Ch'en x]
+ * A program made only of function definitions runs its first function.
+ *
+ * Source is compiled to bytecode by KuhulCompiler (compiler.js); execute()
+ * accepts either source text or a precompiled program.
+ *
+ * Debugging: pass `debugger` (a KuhulDebugger, see debugger.js) for breakpoints and
+ * stepping, and `trace: true` (or an array to fill) to record one entry per instruction.
+ *
+ * Limits: pass `limits` ({ instructions, timeMs, stackDepth, callDepth, memoryBytes });
+ * exceeding one aborts with KuhulLimitError. See DEFAULT_LIMITS.
+ *
+ * Events: pass `events` ({ publish(topic, data) }) and [Sek emit topic] publishes
+ * the stack top, or inline key=value arguments: [Sek emit ready status=ok]
+ *
+ * Mesh calls: pass `mesh` ({ call(target, method, path, data) }) and
+ * [Sek mesh_call users GET /list] calls another shard (by ID or virtual port)
+ * and pushes its result. POST/PUT bodies come from inline key=value arguments
+ * or the stack top: [Sek mesh_call 3002 POST /orders sku=abc]
+ *
+ * Native handlers: pass `handlers` ({ has(name), invoke(name, input, context) })
+ * and [Sek fs_read] calls it with the stack top as input, or with inline
+ * key=value arguments: [Sek fs_read path=README.md]
+ *
+ * Hive control: [Sek register_virtual_api] and [Sek start_virtual_server] create
+ * shards and boot configs, so they only work when the trusted caller passes
+ * `hive` (a HiveOrchestrator). Ad-hoc and shard code never gets it.
  */
 
+import { SCXCodec } from '../scx/codec.js';
+import { XJSONParser } from '../xjson/parser.js';
+import { KuhulCompiler, OP, OP_NAMES, parseLiteral, unquote } from './compiler.js';
+import { KuhulError, KuhulLimitError } from './errors.js';
+import { inspectValue } from './debugger.js';
+
+export { KuhulError, KuhulSyntaxError, KuhulLimitError } from './errors.js';
+
+export const DEFAULT_LIMITS = Object.freeze({
+  instructions: 1000000,
+  timeMs: 5000,
+  stackDepth: 10000,
+  callDepth: 256,
+  memoryBytes: 32 * 1024 * 1024
+});
+
+const DEFAULT_TRACE_LIMIT = 10000;
+const MEMORY_CHECK_INTERVAL = 64;
+
+// Keys that would reach into prototypes via [Sek get] / [Sek set]
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// [Sek op] pops b, a and pushes a op b - [Sek op value] uses value as b
+const BINARY_OPS = new Map([
+  ['add', (a, b) => a + b],
+  ['sub', (a, b) => a - b],
+  ['mul', (a, b) => a * b],
+  ['div', (a, b) => a / b],
+  ['mod', (a, b) => a % b],
+  ['eq', (a, b) => a === b],
+  ['neq', (a, b) => a !== b],
+  ['lt', (a, b) => a < b],
+  ['lte', (a, b) => a <= b],
+  ['gt', (a, b) => a > b],
+  ['gte', (a, b) => a >= b],
+  ['and', (a, b) => a && b],
+  ['or', (a, b) => a || b]
+]);
+
 export class KuhulVM {
-  constructor() {
+  constructor(options = {}) {
+    this.handlers = options.handlers || null;
+    this.events = options.events || null;
+    this.mesh = options.mesh || null;
+    this.hive = options.hive || null;
+    this.debugger = options.debugger || null;
+    this.trace = options.trace === true ? [] : (options.trace || null);
+    this.traceLimit = options.traceLimit ?? DEFAULT_TRACE_LIMIT;
+    this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+    this.steps = 0;
+    this.startedAt = null;
+    this.contextKeys = new Set();
     this.stack = [];
     this.variables = new Map();
-    this.functions = new Map();
+    this.program = null;
+    this.pc = 0;
+    this.frames = [];
+    this.loops = [];
+    this.halted = false;
     this.glyphs = {
-      'Pop': this.gPop.bind(this),
       'Wo': this.gWo.bind(this),
       'Ch\'en': this.gChen.bind(this),
       'Yax': this.gYax.bind(this),
       'Sek': this.gSek.bind(this),
-      'K\'ayab\'': this.gKayab.bind(this),
-      'Kumk\'u': this.gKumku.bind(this),
       'Xul': this.gXul.bind(this)
     };
   }
 
   /**
-   * Execute K'uhul glyph code
+   * Execute K'uhul glyph code (source text or compiled program)
    */
   async execute(code, context = {}) {
     // Initialize context
     Object.entries(context).forEach(([key, value]) => {
       this.variables.set(key, value);
+      this.contextKeys.add(key);
     });
 
-    // Parse glyph code
-    const instructions = this.parse(code);
-
-    // Execute instructions
-    for (const inst of instructions) {
-      if (this.halted) break;
+    this.program = isProgram(code) ? code : new KuhulCompiler().compile(code);
+    this.startedAt = Date.now();
+    this.steps = 0;
+    this.halted = false;
+    this.frames = [];
+    this.loops = [];
 
-      await this.executeInstruction(inst);
-    }
+    await this.run(0);
 
     // Return stack top or variables
     return this.stack.length > 0
@@ -56,81 +143,234 @@ export class KuhulVM {
   }
 
   /**
-   * Parse glyph code into instructions
+   * Bytecode interpreter loop
+   * Runs until HALT, end of code, or RET of a frame entered via callFunction()
    */
-  parse(code) {
-    if (typeof code !== 'string') {
-      // If code is a handler name, return mock instruction
-      return [{ glyph: 'Sek', args: [code] }];
-    }
+  async run(pc) {
+    const { code } = this.program;
+
+    while (pc < code.length && !this.halted) {
+      const [op, a, b] = code[pc];
+      let next = pc + 1;
+      this.pc = pc;
+      this.steps++;
+      this.checkLimits(pc);
+
+      const traceEntry = this.trace && this.trace.length < this.traceLimit
+        ? this.beginTrace(pc, op)
+        : null;
+
+      try {
+        if (this.debugger) {
+          await this.debugger.beforeInstruction(this, pc);
+        }
+
+        switch (op) {
+          case OP.PUSH:
+            // Literals live in the (cached) program - never hand out the shared object
+            this.stack.push(a !== null && typeof a === 'object' ? structuredClone(a) : a);
+            break;
+
+          case OP.STORE:
+            await this.gChen([a].filter(v => v !== null));
+            break;
+
+          case OP.LOAD:
+            await this.gYax([a]);
+            break;
+
+          case OP.SEK:
+            if (a === null) {
+              console.warn(`[K'uhul] Unknown glyph: ${b}`);
+            } else {
+              await this.gSek(a);
+            }
+            break;
+
+          case OP.CALL:
+            this.pushFrame(a, next);
+            next = this.program.functions[a];
+            break;
+
+          case OP.RET: {
+            const frame = this.frames.pop();
+            this.loops.length = frame.loops;
+            if (frame.returnPc === -1) return;
+            next = frame.returnPc;
+            break;
+          }
 
-    const instructions = [];
-    const lines = code.split('\n').map(l => l.trim()).filter(Boolean);
+          case OP.HALT:
+            this.halted = true;
+            return;
+
+          case OP.JUMP:
+            next = a;
+            break;
+
+          case OP.JUMP_IF_FALSE:
+            if (!this.stack.pop()) next = a;
+            break;
+
+          case OP.JUMP_IF_VAR_FALSE:
+            if (!this.variables.get(a)) next = b;
+            break;
+
+          case OP.LOOP_COUNT: {
+            const count = a === null
+              ? this.stack.pop()
+              : typeof a === 'string' ? this.variables.get(a) : a;
+            if (typeof count !== 'number' || isNaN(count)) {
+              throw new KuhulError('K\'ayab\' count must be a number');
+            }
+            this.loops.push({ n: count, i: 0, variable: b });
+            break;
+          }
 
-    for (const line of lines) {
-      if (line.startsWith('#')) continue; // Comment
+          case OP.LOOP_EACH: {
+            const items = this.variables.get(a);
+            if (!Array.isArray(items)) {
+              throw new KuhulError(`K'ayab' each expects an array in "${a}"`);
+            }
+            this.loops.push({ items, n: items.length, i: 0, variable: b });
+            break;
+          }
 
-      const match = line.match(/^\[(\w+'?)\s*(.*?)\]$/);
-      if (match) {
-        const [, glyph, argsStr] = match;
-        const args = argsStr
-          ? argsStr.split(/\s+/).filter(Boolean)
-          : [];
+          case OP.LOOP_NEXT: {
+            const loop = this.loops[this.loops.length - 1];
+            if (loop.i >= loop.n) {
+              this.loops.pop();
+              next = a;
+            } else {
+              this.variables.set(loop.variable, loop.items ? loop.items[loop.i] : loop.i);
+              loop.i++;
+            }
+            break;
+          }
 
-        instructions.push({ glyph, args, raw: line });
+          default:
+            throw new KuhulError(`Invalid opcode ${op}`);
+        }
+      } catch (err) {
+        if (traceEntry) traceEntry.error = err.message;
+        throw this.locateError(err, pc);
+      } finally {
+        if (traceEntry) traceEntry.stackAfter = this.stack.map(v => inspectValue(v));
       }
+
+      pc = next;
     }
+  }
 
-    return instructions;
+  /**
+   * Start trace record for instruction at pc
+   */
+  beginTrace(pc, op) {
+    const location = this.program.sourceMap[pc];
+    const entry = {
+      step: this.steps,
+      pc,
+      op: OP_NAMES[op],
+      line: location?.line ?? null,
+      raw: location?.raw ?? null,
+      stackBefore: this.stack.map(v => inspectValue(v)),
+      stackAfter: null
+    };
+
+    this.trace.push(entry);
+    return entry;
   }
 
   /**
-   * Execute single instruction
+   * Attach the failing glyph's source location to an error
    */
-  async executeInstruction(inst) {
-    const handler = this.glyphs[inst.glyph];
+  locateError(err, pc) {
+    const location = this.program.sourceMap[pc];
 
-    if (!handler) {
-      console.warn(`[K'uhul] Unknown glyph: ${inst.glyph}`);
-      return;
+    if (err instanceof KuhulError) return err.locate(location);
+    if (!location?.line) return err;
+
+    const located = new KuhulError(err.message, location);
+    located.cause = err;
+    if (err.status) located.status = err.status;
+    return located;
+  }
+
+  /**
+   * Enforce execution budget before each instruction
+   */
+  checkLimits(pc) {
+    const { limits } = this;
+    const location = this.program.sourceMap[pc];
+
+    if (this.steps > limits.instructions) {
+      throw new KuhulLimitError('instructions', limits.instructions, location);
+    }
+
+    // Wall time is not charged while a debugger holds the VM paused
+    if (!this.debugger && Date.now() - this.startedAt > limits.timeMs) {
+      throw new KuhulLimitError('time', `${limits.timeMs}ms`, location);
+    }
+
+    if (this.stack.length > limits.stackDepth) {
+      throw new KuhulLimitError('stack', limits.stackDepth, location);
     }
 
-    await handler(inst.args);
+    if (this.steps % MEMORY_CHECK_INTERVAL === 0 && this.estimateMemory() > limits.memoryBytes) {
+      throw new KuhulLimitError('memory', `${limits.memoryBytes} bytes`, location);
+    }
   }
 
-  // ========================================
-  // GLYPH IMPLEMENTATIONS
-  // ========================================
+  /**
+   * Approximate bytes held by the stack and program-created variables
+   * (context values are owned by the caller and not charged)
+   */
+  estimateMemory() {
+    const budget = { used: 0, max: this.limits.memoryBytes };
+
+    for (const value of this.stack) {
+      estimateSize(value, budget);
+    }
+    for (const [key, value] of this.variables) {
+      if (!this.contextKeys.has(key)) estimateSize(value, budget);
+    }
+
+    return budget.used;
+  }
 
   /**
-   * Pop - Define function/scope
+   * Push call frame (returnPc -1 marks a call made from native code)
    */
-  async gPop(args) {
-    const funcName = args[0];
-    if (funcName) {
-      this.currentFunction = funcName;
-      this.functions.set(funcName, []);
+  pushFrame(name, returnPc) {
+    // Own keys only - programs cloned to a worker get their prototype back
+    if (!Object.hasOwn(this.program.functions, name)) {
+      throw new KuhulError(`Unknown function: ${name}`);
+    }
+    if (this.frames.length >= this.limits.callDepth) {
+      throw new KuhulLimitError('callDepth', this.limits.callDepth);
     }
+    this.frames.push({ name, returnPc, loops: this.loops.length });
   }
 
   /**
-   * Wo - Write/assign value
+   * Call user-defined function from native code (shares stack and variables)
    */
-  async gWo(args) {
-    let value = args.join(' ');
+  async callFunction(name) {
+    const pc = this.pc;
+    this.pushFrame(name, -1);
+    await this.run(this.program.functions[name]);
+    this.pc = pc;
+  }
 
-    // Parse value
-    if (value.startsWith('"') || value.startsWith("'")) {
-      value = value.slice(1, -1);
-    } else if (value === 'true' || value === 'false') {
-      value = value === 'true';
-    } else if (!isNaN(value)) {
-      value = parseFloat(value);
-    } else if (value.startsWith('{') || value.startsWith('[')) {
-      value = JSON.parse(value);
-    }
+  // ========================================
+  // GLYPH IMPLEMENTATIONS
+  // ========================================
 
-    this.stack.push(value);
+  /**
+   * Wo - Write/assign value
+   */
+  async gWo(args) {
+    this.stack.push(parseLiteral(args.join(' ')));
   }
 
   /**
@@ -175,36 +415,106 @@ export class KuhulVM {
       return;
     }
 
-    // Common operations
-    switch (operation) {
+    // Arithmetic / comparison
+    const binary = BINARY_OPS.get(args[0]);
+    if (binary) {
+      const b = args.length > 1 ? parseLiteral(args.slice(1).join(' ')) : this.stack.pop();
+      const a = this.stack.pop();
+      this.stack.push(binary(a, b));
+      return;
+    }
+
+    // Common operations (first argument is the operation name)
+    switch (args[0]) {
+      case 'not':
+        this.stack.push(!this.stack.pop());
+        break;
+
+      case 'dup':
+        this.stack.push(this.stack[this.stack.length - 1]);
+        break;
+
       case 'get':
         // Get property from object
-        const key = args[1];
+        const key = safeKey(unquote(args[1]));
         const obj = this.stack.pop();
-        this.stack.push(obj?.[key] || null);
+        this.stack.push(obj !== null && typeof obj === 'object' && Object.hasOwn(obj, key) ? obj[key] : null);
         break;
 
+      case 'set': {
+        // Set property on object: [obj, value] -> [obj]
+        const setKey = safeKey(unquote(args[1]));
+        const setValue = this.stack.pop();
+        const target = this.stack.pop();
+        if (target !== null && typeof target === 'object') {
+          target[setKey] = setValue;
+        }
+        this.stack.push(target);
+        break;
+      }
+
       case 'for_each':
       case 'forEach':
-        // Iterate array
+        // Iterate array, calling function with `item` set
         const fn = args[1];
+        if (!Object.hasOwn(this.program.functions, fn ?? '')) {
+          throw new KuhulError(`Unknown function: ${fn}`);
+        }
         const arr = this.stack.pop();
         if (Array.isArray(arr)) {
           for (const item of arr) {
+            if (this.halted) break;
             this.variables.set('item', item);
-            await this.execute(fn, Object.fromEntries(this.variables));
+            await this.callFunction(fn);
           }
         }
         break;
 
-      case 'scx_decompress':
+      case 'scx_decompress': {
+        const input = this.stack.pop();
+        this.stack.push(typeof input === 'string' || input instanceof Uint8Array ? new SCXCodec().decode(input) : input);
+        break;
+      }
+
       case 'xjson_parse':
+        this.stack.push(new XJSONParser().parse(this.stack.pop()));
+        break;
+
       case 'xj_compile_view':
+        this.stack.push(new XJSONParser().compileView(this.stack.pop() || {}));
+        break;
+
       case 'register_virtual_api':
-      case 'start_virtual_server':
-        // Mock operations for now
+      case 'start_virtual_server': {
+        // Capability granted by the VM's creator, never by program context
         const input = this.stack.pop();
-        this.stack.push(input);
+        if (!this.hive) {
+          const denied = new KuhulError(`${args[0]} is not permitted here (the VM was not given the hive)`);
+          denied.status = 403;
+          throw denied;
+        }
+        this.stack.push(args[0] === 'register_virtual_api'
+          ? this.hive.registry.get((await this.hive.createShard(input)).id)
+          : await this.hive.boot(input));
+        break;
+      }
+
+      case 'emit': {
+        // Publish event: [Sek emit topic] (payload from stack) or [Sek emit topic key=value]
+        const topic = unquote(args[1] ?? '');
+        if (!topic) {
+          throw new KuhulError('emit requires a topic: [Sek emit topic]');
+        }
+        if (!this.events) {
+          throw new KuhulError('emit requires an event bus (run inside a shard)');
+        }
+        const payload = args.length > 2 ? parseInlineArgs(args.slice(2)) : this.stack.pop();
+        await this.events.publish(topic, payload ?? null);
+        break;
+      }
+
+      case 'mesh_call':
+        await this.callMesh(args.slice(1));
         break;
 
       case 'process':
@@ -216,10 +526,9 @@ export class KuhulVM {
         break;
 
       default:
-        // Custom function call
-        if (this.functions.has(operation)) {
-          const func = this.functions.get(operation);
-          await this.execute(func.join('\n'), Object.fromEntries(this.variables));
+        // Native handler call (user functions compile to CALL)
+        if (this.handlers?.has(args[0])) {
+          await this.callHandler(args[0], args.slice(1));
         } else {
           // Return operation result
           this.stack.push({ operation, executed: true });
@@ -228,24 +537,141 @@ export class KuhulVM {
   }
 
   /**
-   * K'ayab' - Begin loop
+   * Call another shard: [target, METHOD?, path, key=value...]
    */
-  async gKayab(args) {
-    const loopName = args[0];
-    this.loopContext = { name: loopName, iterations: 0 };
+  async callMesh(callArgs) {
+    if (!this.mesh) {
+      throw new KuhulError('mesh_call requires a mesh (run inside a shard)');
+    }
+
+    const rest = [...callArgs];
+    const target = unquote(rest.shift() ?? '');
+    const method = /^[A-Z]+$/.test(rest[0] || '') ? rest.shift() : 'GET';
+    const path = unquote(rest.shift() ?? '');
+
+    if (!target || !path) {
+      throw new KuhulError('mesh_call requires a target and path: [Sek mesh_call shard METHOD /path]');
+    }
+
+    let body = null;
+    if (rest.length > 0) {
+      body = parseInlineArgs(rest);
+    } else if (method !== 'GET' && method !== 'DELETE') {
+      body = this.stack.pop() ?? null;
+    }
+
+    this.stack.push(await this.withinTimeBudget(this.mesh.call(target, method, path, body)));
   }
 
   /**
-   * Kumk'u - End loop
+   * Call native handler with inline key=value args or the stack top as input
    */
-  async gKumku(args) {
-    this.loopContext = null;
+  async callHandler(name, inlineArgs) {
+    const input = inlineArgs.length > 0
+      ? parseInlineArgs(inlineArgs)
+      : this.stack.pop();
+
+    const call = this.handlers.invoke(name, input ?? {}, {
+      shard: this.variables.get('shard'),
+      state: this.variables.get('state')
+    });
+
+    this.stack.push(await this.withinTimeBudget(call));
   }
 
   /**
-   * Xul - End program
+   * Await a native call (handler, mesh call) within what is left of the time budget,
+   * so a hanging or blocked call can't outlive it (the debugger pauses the clock)
+   */
+  async withinTimeBudget(call) {
+    if (this.debugger) return call;
+
+    let timer;
+    const remaining = this.limits.timeMs - (Date.now() - this.startedAt);
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new KuhulLimitError('time', `${this.limits.timeMs}ms`)),
+        Math.max(remaining, 0)
+      );
+    });
+
+    try {
+      return await Promise.race([call, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Xul - End program (compiled to RET inside functions)
    */
   async gXul(args) {
     this.halted = true;
   }
 }
+
+/**
+ * Reject property names that reach into prototypes
+ */
+function safeKey(key) {
+  if (FORBIDDEN_KEYS.has(key)) {
+    throw new KuhulError(`Property "${key}" is not accessible`);
+  }
+  return key;
+}
+
+/**
+ * Add rough byte size of a value to budget.used; stops once budget.max is passed
+ */
+function estimateSize(value, budget, seen = new Set()) {
+  if (budget.used > budget.max) return;
+
+  if (typeof value === 'string') {
+    budget.used += 2 * value.length;
+    return;
+  }
+
+  if (value === null || typeof value !== 'object' || seen.has(value)) {
+    budget.used += 8;
+    return;
+  }
+
+  seen.add(value);
+  budget.used += 16;
+
+  const keys = Array.isArray(value) ? null : Object.keys(value);
+  const length = keys ? keys.length : value.length;
+
+  for (let i = 0; i < length && budget.used <= budget.max; i++) {
+    const key = keys ? keys[i] : i;
+    budget.used += keys ? 2 * key.length : 8;
+    estimateSize(value[key], budget, seen);
+  }
+}
+
+/**
+ * Check whether code is a compiled program rather than source
+ */
+function isProgram(code) {
+  return code !== null && typeof code === 'object' && Array.isArray(code.code);
+}
+
+/**
+ * Parse [Sek name key=value ...] arguments into an input object
+ */
+function parseInlineArgs(args) {
+  const input = {};
+
+  for (const arg of args) {
+    const eq = arg.indexOf('=');
+    if (eq <= 0) continue;
+
+    const raw = unquote(arg.slice(eq + 1));
+    input[arg.slice(0, eq)] = raw === 'true' ? true
+      : raw === 'false' ? false
+      : raw !== '' && !isNaN(raw) && raw === arg.slice(eq + 1) ? parseFloat(raw)
+      : raw;
+  }
+
+  return input;
+}
@@ -1,71 +1,150 @@
 /**
  * SCX Codec
  * Atomic compression for K'uhul glyphs, XJSON structures, and KLH configurations
- * Achieves 87% size reduction through symbol compression
+ *
+ * SCX v2 is a binary container (Uint8Array):
+ *
+ *   header   "SCX" (3 bytes) | version (1 byte, 2) | flags (1 byte)
+ *            with flag 0x01: dictionary id (varint length + UTF-8) | dictionary hash (4 bytes)
+ *            flag 0x02: a sequence - any number of values follow, sharing one string table
+ *   value    one type tag byte, then:
+ *              null / false / true     -
+ *              int / negative int      varint (magnitude)
+ *              float                   8 bytes, float64 little-endian
+ *              string                  varint byte length + UTF-8 (added to the string table)
+ *              string (UTF-16)         varint unit count + 2 bytes per unit (lone surrogates)
+ *              string ref              varint index into the string table
+ *              bytes                   varint length + raw bytes (Uint8Array)
+ *              array                   varint count + values
+ *              object                  varint count + (key string, value) pairs
+ *
+ * The string table is built as strings are written - the first occurrence is
+ * stored inline, repeats (keys especially) are a reference - so encoding and
+ * decoding need a single pass. Types survive the round trip: "123" stays a
+ * string, and values may contain any character.
+ *
+ * A dictionary (see dictionary.js) preloads the string table. Its id and hash
+ * are written to the header and decode() finds it in the dictionary registry.
+ *
+ * The reader and writer live in format.js; stream.js / node-stream.js use
+ * them to encode and decode incrementally.
+ *
+ * decode() still reads the v1 text form ("s⟁users⟁P⟁3001"), and
+ * encodeString() wraps v2 in base64 ("⟁SCX2:...") where only text can travel.
  */
 
+import { SCXDictionary, getDictionary } from './dictionary.js';
+import {
+  MAGIC, HEADER_SIZE, SCXDecodeError, ByteWriter, ByteQueue, StringTable,
+  writeHeader, writeValue, readHeader, readValue, readAll, toBytes
+} from './format.js';
+
+export { SCXDecodeError };
+
+const ARMOR_PREFIX = '⟁SCX2:';
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+const textDecoder = new TextDecoder();
+
+/**
+ * v1 text form key / value table. Several words share a code ('html' and
+ * 'hive' are both H), so v1 decoding is ambiguous - it is only kept to read
+ * existing v1 data. v2 uses trainable dictionaries instead.
+ */
+const V1_DICTIONARY = {
+  // XJSON keys
+  '@shard': 's',
+  'shard': 's',
+  'id': 'i',
+  'api': 'a',
+  'path': 'p',
+  'method': 'm',
+  'handler': 'h',
+  'view': 'v',
+  '@html': 'H',
+  'html': 'H',
+  '@body': 'B',
+  'body': 'B',
+  '@node': 'n',
+  'node': 'n',
+  'attrs': 'A',
+  'children': 'c',
+  'port': 'P',
+  'runtime': 'r',
+
+  // KLH keys
+  'hive': 'H',
+  'shards': 'S',
+  'mesh': 'M',
+  'protocol': 'pr',
+  'ports': 'Ps',
+
+  // K'uhul glyphs
+  'Pop': 'Pp',
+  'Wo': 'W',
+  'Ch\'en': 'C',
+  'Yax': 'Y',
+  'Sek': 'S',
+  'K\'ayab\'': 'K',
+  'Kumk\'u': 'Km',
+  'Xul': 'X',
+
+  // Common values
+  'GET': 'G',
+  'POST': 'Po',
+  'PUT': 'Pu',
+  'DELETE': 'D',
+  'virtual-rest': 'vr',
+  'kuhul': 'k'
+};
+
+// Reverse table for v1 decoding (the later word wins a shared code)
+const V1_REVERSE = Object.fromEntries(Object.entries(V1_DICTIONARY).map(([k, v]) => [v, k]));
+
+// v1 path segments that would walk into or replace a prototype
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
 export class SCXCodec {
-  constructor() {
+  /**
+   * options.dictionary - SCXDictionary, its JSON form, or a registered id,
+   * used by encode() (decode() takes the dictionary named in each header)
+   */
+  constructor(options = {}) {
     this.separator = '⟁';
+    this.dictionary = options.dictionary ? resolveDictionary(options.dictionary) : null;
+  }
 
-    // Compression dictionary
-    this.dictionary = {
-      // XJSON keys
-      '@shard': 's',
-      'shard': 's',
-      'id': 'i',
-      'api': 'a',
-      'path': 'p',
-      'method': 'm',
-      'handler': 'h',
-      'view': 'v',
-      '@html': 'H',
-      'html': 'H',
-      '@body': 'B',
-      'body': 'B',
-      '@node': 'n',
-      'node': 'n',
-      'attrs': 'A',
-      'children': 'c',
-      'port': 'P',
-      'runtime': 'r',
-
-      // KLH keys
-      'hive': 'H',
-      'shards': 'S',
-      'mesh': 'M',
-      'protocol': 'pr',
-      'ports': 'Ps',
-
-      // K'uhul glyphs
-      'Pop': 'Pp',
-      'Wo': 'W',
-      'Ch\'en': 'C',
-      'Yax': 'Y',
-      'Sek': 'S',
-      'K\'ayab\'': 'K',
-      'Kumk\'u': 'Km',
-      'Xul': 'X',
-
-      // Common values
-      'GET': 'G',
-      'POST': 'Po',
-      'PUT': 'Pu',
-      'DELETE': 'D',
-      'virtual-rest': 'vr',
-      'kuhul': 'k'
-    };
+  /**
+   * Encode data to an SCX v2 container (Uint8Array)
+   */
+  encode(data) {
+    const [bytes] = this.encodeChunks(data, { chunkSize: Infinity });
+    return bytes;
+  }
 
-    // Reverse dictionary for decompression
-    this.reverseDictionary = Object.fromEntries(
-      Object.entries(this.dictionary).map(([k, v]) => [v, k])
-    );
+  /**
+   * Encode data as a sequence of Uint8Array chunks of about chunkSize bytes
+   * (64 KiB), produced as they are written - concatenated, they are encode(data)
+   */
+  *encodeChunks(data, { chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+    const writer = new ByteWriter(chunkSize);
+    writeHeader(writer, { dictionary: this.dictionary });
+    yield* writeValue(writer, data, this.encoderStrings(), true);
+    if (writer.pos > 0) yield writer.flush();
   }
 
   /**
-   * Encode/compress data to SCX format
+   * SCX v2 as text ("⟁SCX2:" + base64), for JSON bodies and string-only channels
    */
-  encode(data) {
+  encodeString(data) {
+    return ARMOR_PREFIX + toBase64(this.encode(data));
+  }
+
+  /**
+   * Encode to the v1 text form (dictionary keys, ⟁-separated paths).
+   * Lossy - values come back typed by their looks - kept for old readers.
+   */
+  encodeText(data) {
     if (typeof data === 'string') {
       try {
         data = JSON.parse(data);
@@ -81,18 +160,108 @@ export class SCXCodec {
   }
 
   /**
-   * Decode/decompress SCX format
+   * Decode SCX: v2 bytes (Uint8Array / ArrayBuffer / Buffer), "⟁SCX2:" text,
+   * or the v1 text form. Text that isn't SCX is returned as-is.
    */
-  decode(scxString) {
-    if (!scxString.includes(this.separator)) {
+  decode(input) {
+    const bytes = toBytes(input);
+    if (bytes) {
+      if (this.isBinary(bytes)) return this.decodeBinary(bytes);
+      input = textDecoder.decode(bytes);
+    }
+
+    if (typeof input !== 'string') {
+      throw new SCXDecodeError('SCX input must be bytes or a string');
+    }
+
+    if (input.startsWith(ARMOR_PREFIX)) {
+      return this.decodeBinary(fromBase64(input.slice(ARMOR_PREFIX.length)));
+    }
+
+    if (!input.includes(this.separator)) {
       // Not SCX format, return as-is
-      return scxString;
+      return input;
     }
 
-    const obj = this.scxStringToObject(scxString);
+    const obj = this.scxStringToObject(input);
     return this.decompressObject(obj);
   }
 
+  /**
+   * Bytes start with an SCX v2 header (any version - decodeBinary checks it)
+   */
+  isBinary(bytes) {
+    return bytes.length >= HEADER_SIZE && MAGIC.every((b, i) => bytes[i] === b);
+  }
+
+  /**
+   * Decode an SCX v2 container
+   */
+  decodeBinary(bytes) {
+    const queue = new ByteQueue();
+    queue.push(bytes);
+
+    const header = readAll(readHeader(queue), queue);
+    if (header.sequence) {
+      throw new SCXDecodeError('SCX data is a sequence of values - read it with SCXStreamDecoder');
+    }
+
+    const value = readAll(readValue(queue, this.decoderStrings(header)), queue);
+    if (queue.length > 0) {
+      throw new SCXDecodeError(`Trailing data after SCX value at byte ${queue.offset}`);
+    }
+    return value;
+  }
+
+  /**
+   * Parse an SCX v2 header: { version, dictionary: { id, hash } | null, sequence, size }
+   */
+  readHeader(bytes) {
+    if (!this.isBinary(bytes)) {
+      throw new SCXDecodeError('Not an SCX container (bad magic)');
+    }
+
+    const queue = new ByteQueue();
+    queue.push(bytes);
+    return readAll(readHeader(queue), queue);
+  }
+
+  /**
+   * String table an encoder starts from: string → index, preloaded with this codec's dictionary
+   */
+  encoderStrings() {
+    const strings = new Map();
+    this.dictionary?.entries.forEach((entry, i) => strings.set(entry, i));
+    return strings;
+  }
+
+  /**
+   * String table a decoder starts from, preloaded with the dictionary the header names
+   */
+  decoderStrings(header, readRange = null) {
+    const entries = header.dictionary ? this.dictionaryFor(header.dictionary).entries : [];
+    return new StringTable(entries, readRange);
+  }
+
+  /**
+   * Dictionary named in a header: this codec's own, else the registry's
+   */
+  dictionaryFor({ id, hash }) {
+    const dictionary = this.dictionary?.id === id ? this.dictionary : getDictionary(id);
+
+    if (!dictionary) {
+      const err = new SCXDecodeError(`Unknown SCX dictionary "${id}" - register it before decoding`);
+      err.dictionary = { id, hash };
+      throw err;
+    }
+    if (dictionary.hash !== hash) {
+      const err = new SCXDecodeError(`SCX dictionary "${id}" mismatch: data needs hash ${hash}, registered is ${dictionary.hash}`);
+      err.dictionary = { id, hash };
+      throw err;
+    }
+    return dictionary;
+  }
+
   /**
    * Compress object keys and values
    */
@@ -105,9 +274,9 @@ export class SCXCodec {
       const compressed = {};
 
       for (const [key, value] of Object.entries(obj)) {
-        const compressedKey = this.dictionary[key] || key;
+        const compressedKey = v1Word(V1_DICTIONARY, key);
         const compressedValue = typeof value === 'string'
-          ? (this.dictionary[value] || value)
+          ? v1Word(V1_DICTIONARY, value)
           : this.compressObject(value);
 
         compressed[compressedKey] = compressedValue;
@@ -131,9 +300,9 @@ export class SCXCodec {
       const decompressed = {};
 
       for (const [key, value] of Object.entries(obj)) {
-        const decompressedKey = this.reverseDictionary[key] || key;
+        const decompressedKey = v1Word(V1_REVERSE, key);
         const decompressedValue = typeof value === 'string'
-          ? (this.reverseDictionary[value] || value)
+          ? v1Word(V1_REVERSE, value)
           : this.decompressObject(value);
 
         decompressed[decompressedKey] = decompressedValue;
@@ -193,17 +362,21 @@ export class SCXCodec {
   }
 
   /**
-   * Set value at path in object
+   * Set value at path in object (own properties only; prototype keys are rejected)
    */
   setPath(obj, path, value) {
     const parts = path.split(/\.|\[|\]/).filter(Boolean);
+    if (parts.some(part => FORBIDDEN_KEYS.has(part))) {
+      throw new SCXDecodeError(`Forbidden key in SCX path: ${path}`);
+    }
+
     let current = obj;
 
     for (let i = 0; i < parts.length - 1; i++) {
       const part = parts[i];
       const isNum = !isNaN(part);
 
-      if (!(part in current)) {
+      if (!Object.hasOwn(current, part)) {
         current[part] = isNum ? [] : {};
       }
 
@@ -231,7 +404,7 @@ export class SCXCodec {
   compressString(str) {
     let compressed = str;
 
-    for (const [full, short] of Object.entries(this.dictionary)) {
+    for (const [full, short] of Object.entries(V1_DICTIONARY)) {
       const regex = new RegExp(`\\b${full}\\b`, 'g');
       compressed = compressed.replace(regex, short);
     }
@@ -249,7 +422,9 @@ export class SCXCodec {
 
     const compressedSize = typeof compressed === 'string'
       ? compressed.length
-      : JSON.stringify(compressed).length;
+      : compressed instanceof Uint8Array
+        ? compressed.byteLength
+        : JSON.stringify(compressed).length;
 
     const reduction = ((originalSize - compressedSize) / originalSize) * 100;
 
@@ -261,3 +436,44 @@ export class SCXCodec {
     };
   }
 }
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * v1 dictionary code for a word (own entries only), or the word itself
+ */
+function v1Word(table, word) {
+  return Object.hasOwn(table, word) ? table[word] : word;
+}
+
+function resolveDictionary(dictionary) {
+  if (typeof dictionary !== 'string') return SCXDictionary.from(dictionary);
+
+  const registered = getDictionary(dictionary);
+  if (!registered) {
+    throw new SCXDecodeError(`Unknown SCX dictionary "${dictionary}"`);
+  }
+  return registered;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  let binary;
+  try {
+    binary = atob(text);
+  } catch {
+    throw new SCXDecodeError('Invalid base64 in SCX text');
+  }
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
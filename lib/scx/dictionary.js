@@ -0,0 +1,194 @@
+/**
+ * SCX Dictionaries
+ * Strings preloaded into the SCX v2 string table, so data encoded with a
+ * dictionary stores common keys and values as one- or two-byte references
+ *
+ *   const dict = SCXDictionary.train(crowns, { id: 'crowns-v1', size: 512 });
+ *   registerDictionary(dict);
+ *   const bytes = new SCXCodec({ dictionary: dict }).encode(crown);
+ *   new SCXCodec().decode(bytes);   // header names "crowns-v1" + hash → found in the registry
+ *
+ * An entry's code is its position, so two strings can never share a code;
+ * a dictionary listing the same string twice, or a second dictionary
+ * registered under an existing id with different content, is rejected.
+ * The content hash travels in every encoded header, so data is never decoded
+ * against a retrained dictionary that happens to share the id.
+ */
+
+const ID_PATTERN = /^[\w.-]{1,64}$/;
+const MAX_ENTRIES = 65536;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Invalid or conflicting dictionary
+ */
+export class SCXDictionaryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SCXDictionaryError';
+    this.status = status;
+  }
+}
+
+export class SCXDictionary {
+  /**
+   * { id, entries, hash? } - a given hash must match the entries
+   */
+  constructor({ id, entries, hash } = {}) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new SCXDictionaryError(`Invalid dictionary id: ${JSON.stringify(id)} (letters, digits, _ . - up to 64)`);
+    }
+    if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string')) {
+      throw new SCXDictionaryError(`Dictionary "${id}" entries must be an array of strings`);
+    }
+    if (entries.length > MAX_ENTRIES) {
+      throw new SCXDictionaryError(`Dictionary "${id}" has ${entries.length} entries (max ${MAX_ENTRIES})`);
+    }
+
+    const seen = new Set();
+    const collisions = new Set();
+    for (const entry of entries) {
+      if (seen.has(entry)) collisions.add(entry);
+      seen.add(entry);
+    }
+    if (collisions.size > 0) {
+      throw new SCXDictionaryError(
+        `Dictionary "${id}" has colliding entries: ${[...collisions].map(e => JSON.stringify(e)).join(', ')}`
+      );
+    }
+
+    this.id = id;
+    this.entries = Object.freeze([...entries]);
+    this.hash = hashEntries(this.entries);
+
+    if (hash !== undefined && hash !== this.hash) {
+      throw new SCXDictionaryError(`Dictionary "${id}" hash mismatch: expected ${hash}, entries hash to ${this.hash}`);
+    }
+  }
+
+  /**
+   * Build a dictionary from sample documents by frequency analysis.
+   * A string earns its place by how many documents use it times its length
+   * (what a reference saves over writing it inline once per document);
+   * the most valuable strings get the lowest, shortest codes.
+   *
+   * options: id, size (max entries, 256), minDocuments (2), minLength (2), maxLength (64)
+   */
+  static train(documents, options = {}) {
+    const { id, size = 256, minDocuments = 2, minLength = 2, maxLength = 64 } = options;
+    const counts = new Map();
+
+    for (const document of documents) {
+      const seen = new Set();
+      collectStrings(document, seen);
+      for (const value of seen) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+
+    const scored = [];
+    for (const [value, count] of counts) {
+      const length = textEncoder.encode(value).length;
+      if (count >= minDocuments && length >= minLength && length <= maxLength) {
+        scored.push({ value, score: count * length });
+      }
+    }
+
+    scored.sort((a, b) => b.score - a.score || (a.value < b.value ? -1 : 1));
+
+    return new SCXDictionary({ id, entries: scored.slice(0, size).map(s => s.value) });
+  }
+
+  /**
+   * Dictionary from its JSON form ({ id, hash, entries })
+   */
+  static from(json) {
+    return json instanceof SCXDictionary ? json : new SCXDictionary(json || {});
+  }
+
+  toJSON() {
+    return { id: this.id, hash: this.hash, entries: this.entries };
+  }
+}
+
+// ========================================
+// REGISTRY
+// ========================================
+
+const DICTIONARIES = new Map();
+
+/**
+ * Register dictionary (instance or JSON form) for decoding; same id with
+ * different content is a 409. Returns the registered instance.
+ */
+export function registerDictionary(dictionary) {
+  const dict = SCXDictionary.from(dictionary);
+  const existing = DICTIONARIES.get(dict.id);
+
+  if (existing) {
+    if (existing.hash !== dict.hash) {
+      throw new SCXDictionaryError(
+        `Dictionary "${dict.id}" is already registered with hash ${existing.hash} (got ${dict.hash})`,
+        409
+      );
+    }
+    return existing;
+  }
+
+  DICTIONARIES.set(dict.id, dict);
+  return dict;
+}
+
+export function getDictionary(id) {
+  return DICTIONARIES.get(id) || null;
+}
+
+export function unregisterDictionary(id) {
+  return DICTIONARIES.delete(id);
+}
+
+export function listDictionaries() {
+  return Array.from(DICTIONARIES.values()).map(d => ({ id: d.id, hash: d.hash, size: d.entries.length }));
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Keys and string values in a document (as SCX would write them)
+ */
+function collectStrings(value, seen) {
+  if (value && typeof value.toJSON === 'function' && !(value instanceof Uint8Array)) {
+    value = value.toJSON();
+  }
+
+  if (typeof value === 'string') {
+    seen.add(value);
+  } else if (Array.isArray(value)) {
+    for (const item of value) collectStrings(item, seen);
+  } else if (value && typeof value === 'object' && !(value instanceof Uint8Array)) {
+    for (const [key, item] of Object.entries(value)) {
+      seen.add(key);
+      collectStrings(item, seen);
+    }
+  }
+}
+
+/**
+ * FNV-1a (32 bit) over each entry's length and UTF-8 bytes; 8 hex digits
+ */
+function hashEntries(entries) {
+  let hash = 0x811c9dc5;
+  const mix = (byte) => {
+    hash = Math.imul(hash ^ byte, 0x01000193);
+  };
+
+  for (const entry of entries) {
+    const bytes = textEncoder.encode(entry);
+    for (let shift = 24; shift >= 0; shift -= 8) mix((bytes.length >>> shift) & 0xff);
+    for (const byte of bytes) mix(byte);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
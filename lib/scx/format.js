@@ -0,0 +1,690 @@
+/**
+ * SCX v2 Binary Format
+ * Reader and writer shared by SCXCodec (codec.js) and the streaming codec
+ * (stream.js). Both are generators, so one implementation serves one-shot
+ * and incremental use: writeValue yields a chunk whenever the writer holds
+ * chunkSize bytes, readValue yields whenever it needs bytes that haven't
+ * arrived yet (the caller pushes more into the queue and resumes it).
+ */
+
+export const MAGIC = [0x53, 0x43, 0x58]; // "SCX"
+export const VERSION = 2;
+export const HEADER_SIZE = 5;
+
+export const FLAG_DICTIONARY = 0x01;
+export const FLAG_SEQUENCE = 0x02;
+
+export const TAG = {
+  NULL: 0x00,
+  FALSE: 0x01,
+  TRUE: 0x02,
+  INT: 0x03,
+  NEG_INT: 0x04,
+  FLOAT: 0x05,
+  STRING: 0x06,
+  STRING_UTF16: 0x07,
+  STRING_REF: 0x08,
+  BYTES: 0x09,
+  ARRAY: 0x0a,
+  OBJECT: 0x0b
+};
+
+// Strings inside skipped (lazy) values longer than this stay on disk until used
+const LAZY_STRING_BYTES = 256;
+
+// Strings TextEncoder can't carry losslessly (it would replace them with U+FFFD)
+const LONE_SURROGATE = /\p{Surrogate}/u;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Malformed or unsupported SCX input
+ */
+export class SCXDecodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SCXDecodeError';
+    this.status = 400;
+  }
+}
+
+// ========================================
+// WRITER
+// ========================================
+
+/**
+ * Growable byte buffer; flush() hands out what has been written so far
+ */
+export class ByteWriter {
+  constructor(chunkSize = Infinity) {
+    this.chunkSize = chunkSize;
+    this.buffer = new Uint8Array(256);
+    this.pos = 0;
+  }
+
+  reserve(n) {
+    if (this.pos + n <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.pos + n) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(this.buffer.subarray(0, this.pos));
+    this.buffer = grown;
+  }
+
+  byte(b) {
+    this.reserve(1);
+    this.buffer[this.pos++] = b;
+  }
+
+  bytes(data) {
+    this.reserve(data.length);
+    this.buffer.set(data, this.pos);
+    this.pos += data.length;
+  }
+
+  /**
+   * Unsigned LEB128 (exact up to Number.MAX_SAFE_INTEGER)
+   */
+  varint(n) {
+    while (n >= 0x80) {
+      this.byte((n % 0x80) | 0x80);
+      n = Math.floor(n / 0x80);
+    }
+    this.byte(n);
+  }
+
+  float64(n) {
+    this.reserve(8);
+    new DataView(this.buffer.buffer, this.buffer.byteOffset + this.pos, 8).setFloat64(0, n, true);
+    this.pos += 8;
+  }
+
+  flush() {
+    const chunk = this.buffer.slice(0, this.pos);
+    this.pos = 0;
+    return chunk;
+  }
+}
+
+/**
+ * Header: magic, version, flags, then the dictionary id and hash when one is used
+ */
+export function writeHeader(writer, { dictionary = null, sequence = false } = {}) {
+  writer.bytes(MAGIC);
+  writer.byte(VERSION);
+  writer.byte((dictionary ? FLAG_DICTIONARY : 0) | (sequence ? FLAG_SEQUENCE : 0));
+
+  if (dictionary) {
+    const id = textEncoder.encode(dictionary.id);
+    writer.varint(id.length);
+    writer.bytes(id);
+    writer.bytes(Uint8Array.from(dictionary.hash.match(/../g), pair => parseInt(pair, 16)));
+  }
+}
+
+/**
+ * Write one value; follows JSON.stringify for what gets written (toJSON,
+ * undefined / functions dropped from objects and nulled in arrays).
+ * `strings` maps each string already written to its table index.
+ */
+export function* writeValue(writer, value, strings, root = false) {
+  value = resolve(value);
+  if (!writeScalar(writer, value, strings, root)) {
+    yield* writeContainer(writer, value, strings);
+  }
+  if (writer.pos >= writer.chunkSize) {
+    yield writer.flush();
+  }
+}
+
+function resolve(value) {
+  if (value && typeof value.toJSON === 'function' && !(value instanceof Uint8Array)) {
+    return value.toJSON();
+  }
+  return value;
+}
+
+/**
+ * Write a non-container value (no generator needed); false for arrays and objects
+ */
+function writeScalar(writer, value, strings, root) {
+  switch (typeof value) {
+    case 'string':
+      writeString(writer, value, strings);
+      return true;
+
+    case 'number':
+      if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+        writer.byte(value < 0 ? TAG.NEG_INT : TAG.INT);
+        writer.varint(Math.abs(value));
+      } else {
+        writer.byte(TAG.FLOAT);
+        writer.float64(value);
+      }
+      return true;
+
+    case 'boolean':
+      writer.byte(value ? TAG.TRUE : TAG.FALSE);
+      return true;
+
+    case 'bigint':
+      throw new TypeError('SCX cannot encode BigInt values');
+
+    case 'undefined':
+    case 'function':
+    case 'symbol':
+      if (root) throw new TypeError(`SCX cannot encode ${typeof value}`);
+      writer.byte(TAG.NULL);
+      return true;
+  }
+
+  if (value === null) {
+    writer.byte(TAG.NULL);
+  } else if (value instanceof Uint8Array) {
+    writer.byte(TAG.BYTES);
+    writer.varint(value.length);
+    writer.bytes(value);
+  } else {
+    return false;
+  }
+  return true;
+}
+
+function* writeContainer(writer, value, strings) {
+  const items = Array.isArray(value) ? value : Object.entries(value).filter(([, v]) => isWritable(v));
+  writer.byte(Array.isArray(value) ? TAG.ARRAY : TAG.OBJECT);
+  writer.varint(items.length);
+
+  for (let item of items) {
+    if (items !== value) {
+      writeString(writer, item[0], strings);
+      item = item[1];
+    }
+
+    item = resolve(item);
+    if (!writeScalar(writer, item, strings, false)) {
+      yield* writeContainer(writer, item, strings);
+    }
+    if (writer.pos >= writer.chunkSize) {
+      yield writer.flush();
+    }
+  }
+}
+
+function isWritable(value) {
+  return value !== undefined && typeof value !== 'function' && typeof value !== 'symbol';
+}
+
+function writeString(writer, value, strings) {
+  const index = strings.get(value);
+  if (index !== undefined) {
+    writer.byte(TAG.STRING_REF);
+    writer.varint(index);
+    return;
+  }
+
+  strings.set(value, strings.size);
+
+  if (LONE_SURROGATE.test(value)) {
+    writer.byte(TAG.STRING_UTF16);
+    writer.varint(value.length);
+    writer.reserve(value.length * 2);
+    for (let i = 0; i < value.length; i++) {
+      const unit = value.charCodeAt(i);
+      writer.buffer[writer.pos++] = unit & 0xff;
+      writer.buffer[writer.pos++] = unit >> 8;
+    }
+  } else {
+    const encoded = textEncoder.encode(value);
+    writer.byte(TAG.STRING);
+    writer.varint(encoded.length);
+    writer.bytes(encoded);
+  }
+}
+
+// ========================================
+// READER
+// ========================================
+
+/**
+ * Bytes received but not yet read, as a list of chunks.
+ * `offset` is the absolute position of the next unread byte.
+ */
+export class ByteQueue {
+  constructor(offset = 0) {
+    this.chunks = [];
+    this.head = 0;
+    this.length = 0;
+    this.offset = offset;
+  }
+
+  push(chunk) {
+    if (chunk.length > 0) {
+      this.chunks.push(chunk);
+      this.length += chunk.length;
+    }
+  }
+
+  byte() {
+    const chunk = this.chunks[0];
+    const b = chunk[this.head++];
+    if (this.head === chunk.length) this.advance();
+    this.length--;
+    this.offset++;
+    return b;
+  }
+
+  /**
+   * Next n bytes (caller checked length); a view when they sit in one chunk
+   */
+  take(n) {
+    const chunk = this.chunks[0];
+    let out;
+
+    if (n === 0) {
+      return new Uint8Array(0);
+    } else if (chunk.length - this.head >= n) {
+      out = chunk.subarray(this.head, this.head + n);
+      this.head += n;
+      if (this.head === chunk.length) this.advance();
+    } else {
+      out = new Uint8Array(n);
+      for (let filled = 0; filled < n;) {
+        const next = this.chunks[0];
+        const count = Math.min(next.length - this.head, n - filled);
+        out.set(next.subarray(this.head, this.head + count), filled);
+        filled += count;
+        this.head += count;
+        if (this.head === next.length) this.advance();
+      }
+    }
+
+    this.length -= n;
+    this.offset += n;
+    return out;
+  }
+
+  /**
+   * Drop up to n bytes; returns how many were dropped
+   */
+  skip(n) {
+    let dropped = 0;
+    while (dropped < n && this.length > 0) {
+      const chunk = this.chunks[0];
+      const count = Math.min(chunk.length - this.head, n - dropped);
+      this.head += count;
+      if (this.head === chunk.length) this.advance();
+      dropped += count;
+      this.length -= count;
+      this.offset += count;
+    }
+    return dropped;
+  }
+
+  /**
+   * Byte i positions ahead (caller checked length)
+   */
+  peek(i) {
+    let index = this.head + i;
+    if (index < this.chunks[0].length) return this.chunks[0][index];
+    for (const chunk of this.chunks) {
+      if (index < chunk.length) return chunk[index];
+      index -= chunk.length;
+    }
+    return undefined;
+  }
+
+  float64() {
+    const bytes = this.take(8);
+    return new DataView(bytes.buffer, bytes.byteOffset, 8).getFloat64(0, true);
+  }
+
+  advance() {
+    this.chunks.shift();
+    this.head = 0;
+  }
+}
+
+/**
+ * Strings read so far, by table index. Entries may be lazy ({ offset, length, utf16 }
+ * of a long string inside a skipped value), read back through readRange when used.
+ */
+export class StringTable {
+  constructor(entries = [], readRange = null) {
+    this.strings = [...entries];
+    this.readRange = readRange;
+  }
+
+  get size() {
+    return this.strings.length;
+  }
+
+  add(value) {
+    this.strings.push(value);
+  }
+
+  get(index) {
+    const entry = this.strings[index];
+    if (typeof entry === 'string') return entry;
+
+    const bytes = this.readRange(entry.offset, entry.offset + entry.length);
+    return decodeString(bytes, entry.utf16 ? TAG.STRING_UTF16 : TAG.STRING);
+  }
+
+  /**
+   * The same strings, read-only - for re-reading a skipped value whose own
+   * strings are already in the table
+   */
+  view() {
+    return {
+      size: this.size,
+      get: (index) => this.get(index),
+      add() {}
+    };
+  }
+}
+
+/**
+ * Run a reader over bytes that are all in the queue already
+ */
+export function readAll(reader, queue) {
+  const step = reader.next();
+  if (!step.done) {
+    throw new SCXDecodeError(`Truncated SCX data at byte ${queue.offset}`);
+  }
+  return step.value;
+}
+
+/**
+ * Wait until the queue holds n bytes
+ */
+export function* need(queue, n) {
+  while (queue.length < n) yield;
+}
+
+/**
+ * Parse header: { version, dictionary: { id, hash } | null, sequence, size }
+ */
+export function* readHeader(queue) {
+  const start = queue.offset;
+  if (queue.length < HEADER_SIZE) yield* need(queue, HEADER_SIZE);
+
+  const head = Array.from(queue.take(HEADER_SIZE));
+  if (!MAGIC.every((b, i) => head[i] === b)) {
+    throw new SCXDecodeError('Not an SCX container (bad magic)');
+  }
+
+  const [, , , version, flags] = head;
+  if (version !== VERSION) {
+    throw new SCXDecodeError(`Unsupported SCX version ${version} (expected ${VERSION})`);
+  }
+  if (flags & ~(FLAG_DICTIONARY | FLAG_SEQUENCE)) {
+    throw new SCXDecodeError(`Unsupported SCX flags 0x${flags.toString(16)}`);
+  }
+
+  let dictionary = null;
+  if (flags & FLAG_DICTIONARY) {
+    const length = yield* readVarint(queue);
+    if (queue.length < length + 4) yield* need(queue, length + 4);
+    const id = textDecoder.decode(queue.take(length));
+    const hash = Array.from(queue.take(4), b => b.toString(16).padStart(2, '0')).join('');
+    dictionary = { id, hash };
+  }
+
+  return { version, dictionary, sequence: Boolean(flags & FLAG_SEQUENCE), size: queue.offset - start };
+}
+
+/**
+ * Read one value.
+ *
+ * ctx (optional) tracks paths for lazy reading: { path, lazy(path), defer(container, key, start, end) }.
+ * A value whose path lazy() accepts is skipped - its strings still enter the
+ * table, long ones as lazy entries - and handed to defer() with its byte range.
+ * ctx SKIP skips without building anything.
+ */
+export function* readValue(queue, table, ctx = null) {
+  if (queue.length < 1) yield* need(queue, 1);
+  const skip = ctx === SKIP;
+  const tag = queue.byte();
+
+  switch (tag) {
+    case TAG.NULL: return null;
+    case TAG.FALSE: return false;
+    case TAG.TRUE: return true;
+    case TAG.INT: return yield* readVarint(queue);
+    case TAG.NEG_INT: return -(yield* readVarint(queue));
+
+    case TAG.FLOAT:
+      if (queue.length < 8) yield* need(queue, 8);
+      return queue.float64();
+
+    case TAG.STRING:
+    case TAG.STRING_UTF16:
+    case TAG.STRING_REF:
+      return yield* readString(queue, table, tag, skip);
+
+    case TAG.BYTES: {
+      const length = yield* readVarint(queue);
+      if (skip) {
+        yield* skipBytes(queue, length);
+        return undefined;
+      }
+      if (queue.length < length) yield* need(queue, length);
+      return new Uint8Array(queue.take(length)); // a copy, also when chunks are Buffers
+    }
+
+    case TAG.ARRAY: {
+      const count = yield* readVarint(queue);
+      const items = skip ? null : [];
+      for (let i = 0; i < count; i++) {
+        if (skip || !ctx) {
+          let item = readBuffered(queue, table, skip);
+          if (item === PENDING) item = yield* readValue(queue, table, ctx);
+          if (!skip) items.push(item);
+        } else {
+          yield* readChild(queue, table, ctx, items, i);
+        }
+      }
+      return items;
+    }
+
+    case TAG.OBJECT: {
+      const count = yield* readVarint(queue);
+      const obj = skip ? null : {};
+      for (let i = 0; i < count; i++) {
+        let key = readBuffered(queue, table, skip);
+        if (key === PENDING) {
+          if (queue.length < 1) yield* need(queue, 1);
+          key = yield* readString(queue, table, queue.byte(), skip);
+        } else if (typeof key !== 'string' && key !== undefined) {
+          // (undefined: a reference skipped unread)
+          throw new SCXDecodeError(`Expected SCX string at byte ${queue.offset}`);
+        }
+
+        if (ctx && !skip) {
+          yield* readChild(queue, table, ctx, obj, key);
+          continue;
+        }
+
+        let value = readBuffered(queue, table, skip);
+        if (value === PENDING) value = yield* readValue(queue, table, ctx);
+        if (!skip) setProperty(obj, key, value);
+      }
+      return obj;
+    }
+
+    default:
+      throw new SCXDecodeError(`Unknown SCX type tag 0x${tag.toString(16)} at byte ${queue.offset - 1}`);
+  }
+}
+
+// Context marker: skip the value, keeping only its strings
+export const SKIP = Object.freeze({ skip: true });
+
+// readBuffered() result: not a scalar, or not all here yet
+const PENDING = Symbol('pending');
+
+/**
+ * Fast path for the common case: a scalar or string whose bytes are all
+ * buffered is read without a generator. Anything else is left untouched.
+ */
+function readBuffered(queue, table, skip) {
+  if (queue.length < 1) return PENDING;
+  const tag = queue.peek(0);
+
+  switch (tag) {
+    case TAG.NULL: queue.byte(); return null;
+    case TAG.FALSE: queue.byte(); return false;
+    case TAG.TRUE: queue.byte(); return true;
+
+    case TAG.FLOAT:
+      if (queue.length < 9) return PENDING;
+      queue.byte();
+      return queue.float64();
+
+    case TAG.INT:
+    case TAG.NEG_INT:
+    case TAG.STRING_REF:
+    case TAG.STRING: {
+      const size = varintSize(queue, 1);
+      if (size === 0) return PENDING;
+      if (tag === TAG.STRING) {
+        let length = 0;
+        for (let i = size; i > 0; i--) length = length * 0x80 + (queue.peek(i) & 0x7f);
+        if (queue.length < 1 + size + length || (skip && length > LAZY_STRING_BYTES)) return PENDING;
+      }
+
+      queue.byte();
+      const n = takeVarint(queue);
+      if (tag === TAG.INT) return n;
+      if (tag === TAG.NEG_INT) return -n;
+      if (tag === TAG.STRING_REF) return stringAt(table, n, queue, skip);
+
+      const value = decodeString(queue.take(n), tag);
+      table.add(value);
+      return value;
+    }
+
+    default:
+      return PENDING;
+  }
+}
+
+function* readChild(queue, table, ctx, container, key) {
+  const path = [...ctx.path, key];
+
+  if (ctx.lazy(path)) {
+    const start = queue.offset;
+    yield* readValue(queue, table, SKIP);
+    ctx.defer(container, key, start, queue.offset);
+  } else {
+    setProperty(container, key, yield* readValue(queue, table, { ...ctx, path }));
+  }
+}
+
+function setProperty(container, key, value) {
+  if (key === '__proto__') {
+    // An own property, as JSON.parse makes it - never the prototype
+    Object.defineProperty(container, key, { value, enumerable: true, writable: true, configurable: true });
+  } else {
+    container[key] = value;
+  }
+}
+
+function* readString(queue, table, tag, skip) {
+  if (tag === TAG.STRING_REF) {
+    return stringAt(table, yield* readVarint(queue), queue, skip);
+  }
+
+  if (tag !== TAG.STRING && tag !== TAG.STRING_UTF16) {
+    throw new SCXDecodeError(`Expected SCX string at byte ${queue.offset - 1}`);
+  }
+
+  const count = yield* readVarint(queue);
+  const length = tag === TAG.STRING ? count : count * 2;
+
+  if (skip && length > LAZY_STRING_BYTES) {
+    table.add({ offset: queue.offset, length, utf16: tag === TAG.STRING_UTF16 });
+    yield* skipBytes(queue, length);
+    return undefined;
+  }
+
+  if (queue.length < length) yield* need(queue, length);
+  const value = decodeString(queue.take(length), tag);
+  table.add(value);
+  return value;
+}
+
+function stringAt(table, index, queue, skip) {
+  if (index >= table.size) {
+    throw new SCXDecodeError(`SCX string reference ${index} out of range at byte ${queue.offset}`);
+  }
+  return skip ? undefined : table.get(index);
+}
+
+function decodeString(bytes, tag) {
+  if (tag === TAG.STRING) return textDecoder.decode(bytes);
+
+  let value = '';
+  for (let i = 0; i < bytes.length; i += 0x2000) {
+    const units = [];
+    for (let j = i; j < Math.min(i + 0x2000, bytes.length); j += 2) {
+      units.push(bytes[j] | (bytes[j + 1] << 8));
+    }
+    value += String.fromCharCode(...units);
+  }
+  return value;
+}
+
+function* readVarint(queue) {
+  while (varintSize(queue) === 0) yield;
+  return takeVarint(queue);
+}
+
+/**
+ * Bytes in the buffered varint at position `at` (0 = not all here yet)
+ */
+function varintSize(queue, at = 0) {
+  for (let i = 0; i < 8; i++) {
+    if (at + i >= queue.length) return 0;
+    if (!(queue.peek(at + i) & 0x80)) return i + 1;
+  }
+  return 8; // too long - takeVarint reports it
+}
+
+function takeVarint(queue) {
+  let result = 0;
+  let scale = 1;
+  for (;;) {
+    const b = queue.byte();
+    result += (b & 0x7f) * scale;
+    if (!(b & 0x80)) break;
+    scale *= 0x80;
+    if (scale > 2 ** 49) {
+      throw new SCXDecodeError(`Varint too long at byte ${queue.offset}`);
+    }
+  }
+  if (!Number.isSafeInteger(result)) {
+    throw new SCXDecodeError(`Varint out of range at byte ${queue.offset}`);
+  }
+  return result;
+}
+
+/**
+ * Drop n bytes as they arrive (never buffers them all)
+ */
+function* skipBytes(queue, n) {
+  let remaining = n;
+  while (remaining > 0) {
+    if (queue.length < 1) yield* need(queue, 1);
+    remaining -= queue.skip(remaining);
+  }
+}
+
+export function toBytes(input) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  return null;
+}
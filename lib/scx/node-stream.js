@@ -0,0 +1,102 @@
+/**
+ * SCX Node Streams
+ * stream.js on Node's stream API, for files, sockets and HTTP responses
+ *
+ *   await pipeline(createEncodeStream(crown), fs.createWriteStream('crown.scx.json'));
+ *   const [crown] = await decodeStream(fs.createReadStream('crown.scx.json'));
+ *
+ * Node object streams end at a pushed null, so SCXDecodeTransform can't emit
+ * a null value; decodeStream() and SCXStreamDecoder can.
+ */
+
+import { Readable, Transform } from 'node:stream';
+import { SCXCodec, SCXDecodeError } from './codec.js';
+import { SCXStreamEncoder, SCXStreamDecoder } from './stream.js';
+
+/**
+ * Readable of one value's SCX bytes, encoded as it is read
+ * options: codec, chunkSize (64 KiB)
+ */
+export function createEncodeStream(value, { codec = new SCXCodec(), chunkSize } = {}) {
+  return Readable.from(codec.encodeChunks(value, { chunkSize }), { objectMode: false });
+}
+
+/**
+ * Decode every value in a byte stream (any async iterable of chunks)
+ * options: as SCXStreamDecoder
+ */
+export async function decodeStream(source, options = {}) {
+  const decoder = new SCXStreamDecoder(options);
+  const values = [];
+
+  for await (const chunk of source) {
+    values.push(...decoder.write(chunk));
+  }
+  values.push(...decoder.end());
+  return values;
+}
+
+/**
+ * Transform: values (object mode) → SCX bytes
+ */
+export class SCXEncodeTransform extends Transform {
+  constructor(options = {}) {
+    super({ writableObjectMode: true });
+    this.encoder = new SCXStreamEncoder(options);
+  }
+
+  _transform(value, encoding, callback) {
+    try {
+      for (const chunk of this.encoder.write(value)) this.push(chunk);
+      callback();
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      for (const chunk of this.encoder.end()) this.push(chunk);
+      callback();
+    } catch (err) {
+      callback(err);
+    }
+  }
+}
+
+/**
+ * Transform: SCX bytes → values (object mode)
+ */
+export class SCXDecodeTransform extends Transform {
+  constructor(options = {}) {
+    super({ readableObjectMode: true });
+    this.decoder = new SCXStreamDecoder(options);
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.emitValues(this.decoder.write(chunk));
+      callback();
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this.emitValues(this.decoder.end());
+      callback();
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  emitValues(values) {
+    for (const value of values) {
+      if (value === null) {
+        throw new SCXDecodeError('SCX value is null, which a Node object stream cannot carry - use decodeStream()');
+      }
+      this.push(value);
+    }
+  }
+}
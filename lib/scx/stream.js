@@ -0,0 +1,224 @@
+/**
+ * SCX Streaming
+ * Incremental SCX v2 encoding and decoding, for crowns too large to hold twice
+ *
+ *   const decoder = new SCXStreamDecoder();
+ *   for await (const chunk of source) values.push(...decoder.write(chunk));
+ *   values.push(...decoder.end());
+ *
+ *   response.body.pipeThrough(createDecoderStream())   // WHATWG streams (browser, Node, Deno)
+ *
+ * A stream holds one value, or - encoded with { sequence: true } - any number
+ * of values sharing one string table (header flag 0x02).
+ *
+ * Lazy decoding: given lazy(path) and readRange(start, end), values at
+ * accepted paths are skipped while streaming and become getters that decode
+ * them from their byte range on first use (so a crown's documents cost only
+ * their position until read). Long strings inside them stay on disk too.
+ */
+
+import { SCXCodec } from './codec.js';
+import {
+  SCXDecodeError, ByteWriter, ByteQueue, writeHeader, writeValue,
+  readHeader, readValue, readAll, need, toBytes
+} from './format.js';
+
+/**
+ * Values in, SCX chunks out: write() and end() return the bytes ready so far
+ */
+export class SCXStreamEncoder {
+  /**
+   * options: codec (its dictionary is used), sequence (false), chunkSize (64 KiB)
+   */
+  constructor({ codec = new SCXCodec(), sequence = false, chunkSize = 64 * 1024 } = {}) {
+    this.codec = codec;
+    this.sequence = sequence;
+    this.writer = new ByteWriter(chunkSize);
+    this.strings = null;
+    this.count = 0;
+  }
+
+  /**
+   * Encode one value; returns its chunks (iterate to produce them one at a time)
+   */
+  *write(value) {
+    if (this.count > 0 && !this.sequence) {
+      throw new TypeError('SCX stream already holds its value - encode with { sequence: true } for more');
+    }
+    this.start();
+    this.count++;
+
+    yield* writeValue(this.writer, value, this.strings, true);
+    if (this.writer.pos > 0) yield this.writer.flush();
+  }
+
+  /**
+   * Finish the stream; returns the remaining chunks
+   */
+  end() {
+    if (this.count === 0) {
+      if (!this.sequence) throw new TypeError('SCX stream ended without a value');
+      this.start();
+    }
+    return this.writer.pos > 0 ? [this.writer.flush()] : [];
+  }
+
+  start() {
+    if (this.strings) return;
+    writeHeader(this.writer, { dictionary: this.codec.dictionary, sequence: this.sequence });
+    this.strings = this.codec.encoderStrings();
+  }
+}
+
+/**
+ * SCX chunks in, values out: write() and end() return the values completed so far
+ */
+export class SCXStreamDecoder {
+  /**
+   * options: codec (for dictionary lookup), lazy(path) and readRange(start, end)
+   * for lazy values. Paths are arrays of keys and indexes (['knowledge', 'documents', 3]);
+   * readRange returns the bytes between two absolute stream offsets.
+   */
+  constructor({ codec = new SCXCodec(), lazy = null, readRange = null } = {}) {
+    if (lazy && !readRange) {
+      throw new TypeError('Lazy SCX decoding needs readRange(start, end)');
+    }
+
+    this.codec = codec;
+    this.lazy = lazy;
+    this.readRange = readRange;
+    this.queue = new ByteQueue();
+    this.header = null;
+    this.table = null;
+    this.values = [];
+    this.between = false;
+    this.done = false;
+
+    this.parser = this.parse();
+    this.parser.next();
+  }
+
+  write(chunk) {
+    const bytes = toBytes(chunk);
+    if (!bytes) {
+      throw new SCXDecodeError('SCX stream chunks must be bytes');
+    }
+    if (this.done) {
+      if (bytes.length > 0) {
+        throw new SCXDecodeError(`Trailing data after SCX value at byte ${this.queue.offset}`);
+      }
+      return [];
+    }
+
+    this.queue.push(bytes);
+    if (this.parser.next().done) {
+      this.done = true;
+      if (this.queue.length > 0) {
+        throw new SCXDecodeError(`Trailing data after SCX value at byte ${this.queue.offset}`);
+      }
+    }
+    return this.values.splice(0);
+  }
+
+  /**
+   * Finish the stream; throws if it stopped partway through a value
+   */
+  end() {
+    if (!this.done && !this.between) {
+      throw new SCXDecodeError(`Truncated SCX stream at byte ${this.queue.offset + this.queue.length}`);
+    }
+    this.done = true;
+    return this.values.splice(0);
+  }
+
+  *parse() {
+    this.header = yield* readHeader(this.queue);
+    this.table = this.codec.decoderStrings(this.header, this.readRange);
+
+    const ctx = this.lazy
+      ? { path: [], lazy: this.lazy, defer: (container, key, start, end) => this.defer(container, key, start, end) }
+      : null;
+
+    do {
+      if (this.header.sequence) {
+        // A sequence may end cleanly here, between values
+        this.between = true;
+        if (this.queue.length < 1) yield* need(this.queue, 1);
+        this.between = false;
+      }
+      this.values.push(yield* readValue(this.queue, this.table, ctx));
+    } while (this.header.sequence);
+  }
+
+  /**
+   * Make container[key] a getter that decodes bytes start..end on first use
+   * (assigning replaces it with a plain value)
+   */
+  defer(container, key, start, end) {
+    let value;
+    let loaded = false;
+
+    Object.defineProperty(container, key, {
+      enumerable: true,
+      configurable: true,
+      get: () => {
+        if (!loaded) {
+          value = this.materialize(start, end);
+          loaded = true;
+        }
+        return value;
+      },
+      set(replacement) {
+        Object.defineProperty(this, key, { value: replacement, enumerable: true, writable: true, configurable: true });
+      }
+    });
+  }
+
+  materialize(start, end) {
+    const queue = new ByteQueue(start);
+    queue.push(toBytes(this.readRange(start, end)));
+
+    // Strings first seen in this range are in the table already - re-read them inline, don't add them again
+    const value = readAll(readValue(queue, this.table.view()), queue);
+    if (queue.length > 0 || queue.offset !== end) {
+      throw new SCXDecodeError(`Lazy SCX value at bytes ${start}-${end} did not decode to its range`);
+    }
+    return value;
+  }
+}
+
+// ========================================
+// WHATWG STREAMS
+// ========================================
+
+/**
+ * TransformStream: values → SCX Uint8Array chunks (same options as SCXStreamEncoder)
+ */
+export function createEncoderStream(options = {}) {
+  const encoder = new SCXStreamEncoder(options);
+
+  return new TransformStream({
+    transform(value, controller) {
+      for (const chunk of encoder.write(value)) controller.enqueue(chunk);
+    },
+    flush(controller) {
+      for (const chunk of encoder.end()) controller.enqueue(chunk);
+    }
+  });
+}
+
+/**
+ * TransformStream: SCX bytes → decoded values (same options as SCXStreamDecoder)
+ */
+export function createDecoderStream(options = {}) {
+  const decoder = new SCXStreamDecoder(options);
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      for (const value of decoder.write(chunk)) controller.enqueue(value);
+    },
+    flush(controller) {
+      for (const value of decoder.end()) controller.enqueue(value);
+    }
+  });
+}
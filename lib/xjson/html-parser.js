@@ -0,0 +1,292 @@
+/**
+ * XJSON HTML Parser
+ * Dependency-free HTML tokenizer and tree builder producing XJSON nodes
+ * (runs in Node and in the browser - no DOMParser needed)
+ *
+ *   parseHTMLNodes('<ul class="a"><li>One<li>Two &amp; more</ul>')
+ *   // → [{ node: 'ul', attrs: { cls: 'a' }, children: [
+ *   //      { node: 'li', children: ['One'] }, { node: 'li', children: ['Two & more'] } ] }]
+ *
+ * Handles comments (dropped), doctype, character references, void and
+ * self-closing tags, raw text in <script>/<style> (kept as { raw } nodes so
+ * compileNode writes it back unescaped), RCDATA in <textarea>/<title>, and
+ * the common implied end tags (<p>, <li>, <td>, <option>...).
+ * Whitespace-only text between elements is dropped except inside <pre>/<textarea>.
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Content is text up to the matching end tag
+const RAW_TEXT = new Set(['script', 'style']);
+const RCDATA = new Set(['textarea', 'title']);
+
+const PRESERVE_WHITESPACE = new Set(['pre', 'textarea']);
+
+// Start tags that close an open <p>
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+// Start tag -> open elements it implicitly ends, and the elements that stop the search
+const IMPLIED_END = {
+  li: { closes: ['li'], scope: ['ul', 'ol', 'menu'] },
+  dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+  dd: { closes: ['dt', 'dd'], scope: ['dl'] },
+  option: { closes: ['option'], scope: ['select', 'datalist', 'optgroup'] },
+  optgroup: { closes: ['optgroup', 'option'], scope: ['select'] },
+  tr: { closes: ['tr', 'td', 'th'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  thead: { closes: ['tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+  tbody: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], scope: ['table'] },
+  tfoot: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], scope: ['table'] }
+};
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  bull: '•', middot: '·', deg: '°', plusmn: '±', times: '×', divide: '÷',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶',
+  larr: '←', rarr: '→', uarr: '↑', darr: '↓', hearts: '♥', check: '✓'
+};
+
+const TAG_NAME = /[A-Za-z][^\s/>]*/y;
+const ATTR = /\s*([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+
+/**
+ * Decode character references (&amp; &#169; &#xA9;); unknown ones stay as written
+ */
+export function decodeEntities(text) {
+  if (!text.includes('&')) return text;
+
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[A-Za-z][A-Za-z0-9]*);?/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff)
+        ? String.fromCodePoint(code)
+        : '�';
+    }
+    return Object.hasOwn(NAMED_ENTITIES, ref) ? NAMED_ENTITIES[ref] : match;
+  });
+}
+
+/**
+ * Tokenize HTML into text / start / end tokens (comments and doctype are skipped)
+ */
+export function tokenizeHTML(html) {
+  const tokens = [];
+  let pos = 0;
+  let text = '';
+
+  const flushText = () => {
+    if (text) tokens.push({ type: 'text', value: decodeEntities(text) });
+    text = '';
+  };
+
+  while (pos < html.length) {
+    const lt = html.indexOf('<', pos);
+    if (lt === -1) {
+      text += html.slice(pos);
+      break;
+    }
+
+    text += html.slice(pos, lt);
+    pos = lt;
+    const next = html[pos + 1];
+
+    // <!-- comment -->
+    if (html.startsWith('<!--', pos)) {
+      const end = html.indexOf('-->', pos + 4);
+      pos = end === -1 ? html.length : end + 3;
+      continue;
+    }
+
+    // <!DOCTYPE ...>, <![CDATA[...]]>, <?xml ...?>
+    if (next === '!' || next === '?') {
+      const end = html.indexOf('>', pos + 2);
+      pos = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    // </tag>
+    if (next === '/') {
+      TAG_NAME.lastIndex = pos + 2;
+      const name = TAG_NAME.exec(html);
+      if (!name) {
+        // "</" not followed by a name is text; "</>" is ignored
+        if (html[pos + 2] === '>') {
+          pos += 3;
+        } else {
+          text += '</';
+          pos += 2;
+        }
+        continue;
+      }
+      const end = html.indexOf('>', TAG_NAME.lastIndex);
+      flushText();
+      tokens.push({ type: 'end', name: name[0].toLowerCase() });
+      pos = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    // <tag attrs...>
+    TAG_NAME.lastIndex = pos + 1;
+    const name = TAG_NAME.exec(html);
+    if (!name) {
+      text += '<';
+      pos += 1;
+      continue;
+    }
+
+    flushText();
+    const tag = name[0].toLowerCase();
+    const { attrs, selfClosing, end } = readAttributes(html, TAG_NAME.lastIndex);
+    tokens.push({ type: 'start', name: tag, attrs, selfClosing });
+    pos = end;
+
+    // Raw text / RCDATA runs to the matching end tag
+    if ((RAW_TEXT.has(tag) || RCDATA.has(tag)) && !selfClosing) {
+      const close = new RegExp(`</${tag}(?=[\\s/>]|$)`, 'ig');
+      close.lastIndex = pos;
+      const match = close.exec(html);
+      const contentEnd = match ? match.index : html.length;
+      const content = html.slice(pos, contentEnd);
+
+      if (content) {
+        tokens.push(RAW_TEXT.has(tag)
+          ? { type: 'raw', value: content }
+          : { type: 'text', value: decodeEntities(content) });
+      }
+      tokens.push({ type: 'end', name: tag });
+
+      const closeEnd = match ? html.indexOf('>', contentEnd) : -1;
+      pos = closeEnd === -1 ? html.length : closeEnd + 1;
+    }
+  }
+
+  flushText();
+  return tokens;
+}
+
+function readAttributes(html, pos) {
+  const attrs = [];
+
+  while (pos < html.length) {
+    while (/\s/.test(html[pos] || '')) pos++;
+
+    if (html[pos] === '>') {
+      return { attrs, selfClosing: false, end: pos + 1 };
+    }
+    if (html.startsWith('/>', pos)) {
+      return { attrs, selfClosing: true, end: pos + 2 };
+    }
+    if (html[pos] === '/') {
+      pos++;
+      continue;
+    }
+
+    ATTR.lastIndex = pos;
+    const match = ATTR.exec(html);
+    if (!match) {
+      // Stray quote or "=" - skip it
+      pos++;
+      continue;
+    }
+
+    const [, name, dq, sq, bare] = match;
+    const value = dq ?? sq ?? bare;
+    attrs.push([name.toLowerCase(), value === undefined ? true : decodeEntities(value)]);
+    pos = ATTR.lastIndex;
+  }
+
+  return { attrs, selfClosing: false, end: html.length };
+}
+
+/**
+ * Parse HTML into a list of top-level XJSON nodes (text nodes are strings)
+ */
+export function parseHTMLNodes(html) {
+  const root = { node: '#root', children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const openIndex = (name, scope = []) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].node === name) return i;
+      if (scope.includes(stack[i].node)) return -1;
+    }
+    return -1;
+  };
+  const preserving = () => stack.some(el => PRESERVE_WHITESPACE.has(el.node));
+
+  for (const token of tokenizeHTML(String(html))) {
+    if (token.type === 'text') {
+      if (token.value.trim() || preserving()) {
+        appendText(current(), token.value);
+      }
+    } else if (token.type === 'raw') {
+      current().children.push({ raw: token.value });
+    } else if (token.type === 'start') {
+      // Implied end tags
+      if (CLOSES_P.has(token.name)) {
+        const p = openIndex('p', ['button']);
+        if (p !== -1) stack.length = p;
+      }
+      const implied = IMPLIED_END[token.name];
+      if (implied) {
+        for (const name of implied.closes) {
+          const i = openIndex(name, implied.scope);
+          if (i !== -1) stack.length = i;
+        }
+      }
+
+      const element = { node: token.name };
+      if (token.attrs.length > 0) {
+        element.attrs = {};
+        for (const [name, value] of token.attrs) {
+          const key = name === 'class' ? 'cls' : name;
+          if (!Object.hasOwn(element.attrs, key)) element.attrs[key] = value;
+        }
+      }
+      element.children = [];
+      current().children.push(element);
+
+      if (!VOID_ELEMENTS.has(token.name) && !token.selfClosing) {
+        stack.push(element);
+      }
+    } else if (token.type === 'end') {
+      // Close the nearest matching element (and anything left open inside it)
+      const i = openIndex(token.name);
+      if (i !== -1) stack.length = i;
+    }
+  }
+
+  return root.children.map(clean);
+}
+
+function appendText(parent, value) {
+  const last = parent.children[parent.children.length - 1];
+  if (typeof last === 'string') {
+    parent.children[parent.children.length - 1] = last + value;
+  } else {
+    parent.children.push(value);
+  }
+}
+
+/**
+ * Drop empty children arrays, matching the hand-written XJSON shape
+ */
+function clean(node) {
+  if (typeof node !== 'object' || node.raw !== undefined) return node;
+  if (node.children.length === 0) {
+    delete node.children;
+  } else {
+    node.children = node.children.map(clean);
+  }
+  return node;
+}
@@ -4,6 +4,14 @@
  * Handles both standard JSON and XJSON with ⟁ prefix notation
  */
 
+import { validate, getSchema, schemaErrors } from './schema.js';
+import { compilePipeline } from './pipeline.js';
+import { KuhulCompiler } from '../kuhul/compiler.js';
+import { evaluate, interpolate, resolvePath } from './template.js';
+import { parseHTMLNodes } from './html-parser.js';
+
+export { resolvePath };
+
 export class XJSONParser {
   constructor() {
     this.prefix = '⟁';
@@ -47,6 +55,15 @@ export class XJSONParser {
     return obj;
   }
 
+  /**
+   * Validate XJSON against a schema (object or built-in name: hive, shard,
+   * apiRoute, viewNode, crown, agent...) - see schema.js
+   * Returns { valid, errors: [{ path, message }] }
+   */
+  validate(obj, schema) {
+    return validate(this.parse(obj), schema);
+  }
+
   /**
    * Stringify to XJSON format
    */
@@ -89,52 +106,203 @@ export class XJSONParser {
 
   /**
    * Compile XJSON view to HTML
+   * `data` is the template context ({{expr}}, if, each, bind);
+   * view.components holds named node subtrees used as { component: name }
    */
-  compileView(viewDef) {
+  compileView(viewDef, data = {}) {
     const html = viewDef.html || viewDef['⟁html'];
     if (!html) return '';
 
     const body = html.body || html['⟁body'];
     if (!body) return '';
 
-    return this.compileNode(body);
+    return this.compileNode(body, data, { components: viewDef.components || viewDef['⟁components'] });
+  }
+
+  /**
+   * Compile XJSON view to a complete HTML document
+   * view.html.head may carry a `title` and extra head `children` nodes;
+   * options.scripts are inline scripts appended to the head
+   */
+  compileDocument(viewDef, data = {}, options = {}) {
+    const html = viewDef.html || viewDef['⟁html'] || {};
+    const head = html.head || html['⟁head'] || {};
+    const title = head.title || head['⟁title'];
+    const components = viewDef.components || viewDef['⟁components'];
+
+    const headHtml = [
+      '<meta charset="utf-8">',
+      title ? `<title>${escapeHTML(formatBound(interpolate(title, data)))}</title>` : '',
+      ...(head.children || head['⟁children'] || []).map(child => this.compileNode(child, data, { components })),
+      ...(options.scripts || []).map(script => `<script>${script}</script>`)
+    ].join('');
+
+    return `<!DOCTYPE html><html><head>${headHtml}</head><body>${this.compileView(viewDef, data)}</body></html>`;
   }
 
   /**
    * Compile XJSON node to HTML string
+   * Text and attribute values are escaped; { raw: "<b>...</b>" } opts into trusted HTML.
+   *
+   * Templates, evaluated against `data` (see template.js for expressions):
+   *   "Hi {{user.name}}"                     interpolation in text and attribute values
+   *   { if: "expr", else: node }             conditional node
+   *   { each: "users", as: "user", index: "i" }  node repeated per array item
+   *   { component: "card", props: {...} }    named subtree from options.components;
+   *                                          { slot: true } inside it renders the caller's children
+   *   { bind: "path" }                       node text / attribute value from a data path
    */
-  compileNode(node) {
-    if (typeof node === 'string') {
-      return node;
+  compileNode(node, data = {}, options = {}) {
+    return this.renderNode(node, data, { components: options.components || {}, depth: 0, slot: null });
+  }
+
+  renderNode(node, scope, ctx) {
+    if (node === null || node === undefined || node === false) {
+      return '';
+    }
+
+    if (typeof node !== 'object') {
+      return escapeHTML(formatBound(interpolate(node, scope)));
+    }
+
+    // each runs before if, so if can filter items
+    const each = node.each ?? node['⟁each'];
+    if (each !== undefined) {
+      const items = evaluate(each, scope);
+      if (items === null || items === undefined) return '';
+      if (!Array.isArray(items)) {
+        throw new Error(`XJSON each expects an array: ${each}`);
+      }
+
+      const as = node.as || node['⟁as'] || 'item';
+      const indexName = node.index || node['⟁index'] || 'index';
+      const single = omitKeys(node, ['each', 'as', 'index']);
+
+      return items
+        .map((item, i) => this.renderNode(single, { ...scope, [as]: item, [indexName]: i }, ctx))
+        .join('');
+    }
+
+    const condition = node.if ?? node['⟁if'];
+    if (condition !== undefined && !evaluate(condition, scope)) {
+      const otherwise = node.else ?? node['⟁else'];
+      return otherwise === undefined ? '' : this.renderNode(otherwise, scope, ctx);
+    }
+
+    const raw = node.raw ?? node['⟁raw'];
+    if (raw !== undefined) {
+      return String(raw);
+    }
+
+    if (node.slot || node['⟁slot']) {
+      const slot = ctx.slot;
+      return slot
+        ? slot.children.map(child => this.renderNode(child, slot.scope, slot.ctx)).join('')
+        : '';
+    }
+
+    const component = node.component || node['⟁component'];
+    if (component) {
+      return this.renderComponent(component, node, scope, ctx);
     }
 
     const tag = node.node || node['⟁node'] || 'div';
-    const attrs = node.attrs || node['⟁attrs'] || {};
-    const children = node.children || node['⟁children'] || [];
+    if (!TAG_NAME.test(tag)) {
+      throw new Error(`Invalid XJSON node name: ${tag}`);
+    }
 
+    const attrs = node.attrs || node['⟁attrs'] || {};
     const attrStr = Object.entries(attrs)
       .map(([k, v]) => {
         const key = k.startsWith(this.prefix) ? k.slice(1) : k;
-        const attrKey = key === 'cls' ? 'class' : key;
-        return `${attrKey}="${v}"`;
+        return compileAttr(key === 'cls' ? 'class' : key, this.attrValue(v, scope));
       })
+      .filter(Boolean)
       .join(' ');
 
-    const childrenHtml = children
-      .map(child => this.compileNode(child))
-      .join('');
+    const open = `<${tag}${attrStr ? ' ' + attrStr : ''}>`;
+
+    // Void elements have no content and no closing tag
+    if (VOID_ELEMENTS.has(tag.toLowerCase())) {
+      return open;
+    }
+
+    // Bound text is final - it is escaped but never interpolated again
+    const bind = node.bind || node['⟁bind'];
+    const childrenHtml = bind
+      ? escapeHTML(formatBound(resolvePath(scope, bind)))
+      : (node.children || node['⟁children'] || [])
+        .map(child => this.renderNode(child, scope, ctx))
+        .join('');
 
-    return `<${tag}${attrStr ? ' ' + attrStr : ''}>${childrenHtml}</${tag}>`;
+    return `${open}${childrenHtml}</${tag}>`;
   }
 
   /**
-   * Parse HTML to XJSON node structure
+   * Render named component with props (interpolated in the caller's scope) over that scope
+   */
+  renderComponent(name, node, scope, ctx) {
+    if (!Object.hasOwn(ctx.components, name)) {
+      throw new Error(`Unknown XJSON component: ${name}`);
+    }
+    if (ctx.depth >= MAX_COMPONENT_DEPTH) {
+      throw new Error(`XJSON components nested deeper than ${MAX_COMPONENT_DEPTH} (at ${name})`);
+    }
+
+    const props = Object.fromEntries(
+      Object.entries(node.props || node['⟁props'] || {}).map(([k, v]) => [k, interpolate(v, scope)])
+    );
+
+    return this.renderNode(ctx.components[name], { ...scope, ...props }, {
+      ...ctx,
+      depth: ctx.depth + 1,
+      slot: { children: node.children || node['⟁children'] || [], scope, ctx }
+    });
+  }
+
+  /**
+   * Attribute value: { bind: path }, interpolated string, or style object with interpolated values
+   */
+  attrValue(value, scope) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const bind = value.bind || value['⟁bind'];
+      if (bind) return resolvePath(scope, bind);
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolate(v, scope)]));
+    }
+    if (Array.isArray(value)) {
+      return value.map(v => interpolate(v, scope));
+    }
+    return interpolate(value, scope);
+  }
+
+  /**
+   * Parse HTML to XJSON node structure (first node of the body)
+   * Uses the built-in parser (html-parser.js), so it works in Node too
    */
   parseHTML(htmlString) {
-    // Simple HTML parser (for basic cases)
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(htmlString, 'text/html');
-    return this.domToXJSON(doc.body.firstChild);
+    const { body } = splitDocument(parseHTMLNodes(htmlString));
+    return body[0] ?? null;
+  }
+
+  /**
+   * Convert an HTML page (or fragment) into a shard view definition
+   */
+  htmlToView(htmlString) {
+    const { title, styles, body } = splitDocument(parseHTMLNodes(htmlString));
+    const root = body.length === 1 && typeof body[0] === 'object'
+      ? body[0]
+      : { node: 'div', children: body };
+
+    const head = {};
+    if (title) head.title = title;
+    if (styles.length > 0) head.children = styles;
+
+    return {
+      html: {
+        ...(Object.keys(head).length > 0 ? { head } : {}),
+        body: root
+      }
+    };
   }
 
   /**
@@ -171,30 +339,206 @@ export class XJSONParser {
   }
 }
 
+const TAG_NAME = /^[A-Za-z][\w-]*$/;
+
+// Components may use components, but not endlessly
+const MAX_COMPONENT_DEPTH = 32;
+
+// Attribute names may not contain whitespace, quotes, ">", "/", "=" or controls
+const ATTR_NAME = /^[^\s"'>/=\x00-\x1f\x7f]+$/;
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+/**
+ * Serialize one attribute: true -> bare name, false/null -> omitted,
+ * arrays are space-joined (class lists), a style object becomes CSS
+ */
+function compileAttr(name, value) {
+  if (!ATTR_NAME.test(name)) {
+    throw new Error(`Invalid XJSON attribute name: ${name}`);
+  }
+
+  if (value === true) return name;
+  if (value === false || value === null || value === undefined) return '';
+
+  let text;
+  if (Array.isArray(value)) {
+    text = value.filter(v => v !== null && v !== undefined && v !== false).join(' ');
+  } else if (name === 'style' && typeof value === 'object') {
+    text = Object.entries(value)
+      .filter(([, v]) => v !== null && v !== undefined && v !== false)
+      .map(([prop, v]) => `${prop.startsWith('--') ? prop : prop.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}: ${v}`)
+      .join('; ');
+  } else {
+    text = formatBound(value);
+  }
+
+  return `${name}="${escapeHTML(text)}"`;
+}
+
+/**
+ * Title, stylesheets and body content of parsed HTML - a full document's
+ * <body> children, or the fragment itself (whitespace-only text dropped)
+ */
+function splitDocument(nodes) {
+  const find = (list, name) => list.find(n => n?.node === name);
+  const htmlEl = find(nodes, 'html');
+  const top = htmlEl ? htmlEl.children || [] : nodes;
+  const head = find(top, 'head');
+  const bodyEl = find(top, 'body');
+  const titleEl = find(head?.children || top, 'title');
+
+  const body = bodyEl
+    ? bodyEl.children || []
+    : top.filter(n => !['head', 'title', 'meta', 'link', 'base'].includes(n?.node));
+
+  return {
+    title: titleEl?.children?.join('') || null,
+    styles: (head?.children || []).filter(n => n?.node === 'style' || (n?.node === 'link' && n.attrs?.rel === 'stylesheet')),
+    body: body.filter(n => typeof n !== 'string' || n.trim())
+  };
+}
+
+function omitKeys(node, keys) {
+  return Object.fromEntries(Object.entries(node).filter(([k]) =>
+    !keys.includes(k.startsWith('⟁') ? k.slice(1) : k)));
+}
+
+function formatBound(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Compiled API route (serializes without its bytecode)
+ */
+export class XJSONRoute {
+  constructor(fields) {
+    Object.assign(this, fields);
+  }
+
+  toJSON() {
+    const { method, path, type, handler, request, response, defaults } = this;
+    return { method, path, type, handler, request, response, defaults };
+  }
+}
+
 /**
  * XJSON API Definition Compiler
+ * Turns a shard's `api` array into ready-to-run routes:
+ *
+ *   { "path": "/users/:id", "method": "GET",
+ *     "handler": "get_user" | "[Yax ...]" | { "kuhul": "..." } | { "pipeline": [...] },
+ *     "request": "schemaName" | { ...XJSON schema },   // checked against the input
+ *     "response": { ...XJSON schema },                 // checked against the result
+ *     "defaults": { "limit": 20 } }                    // missing input values
+ *
+ * Route `type` tells the runtime how to execute it:
+ *   native    - handler names a native handler (options.handlers)
+ *   kuhul     - K'uhul source, compiled to bytecode (`program`)
+ *   pipeline  - XJSON operations (`pipeline`, see pipeline.js)
+ *   mock      - a name on a non-K'uhul shard; answers with a placeholder
  */
 export class XJSONAPICompiler {
   /**
-   * Compile API definition to route handlers
+   * Compile API definition to routes
+   * options.runtime is the shard runtime, options.handlers a registry with has(name)
    */
-  compile(apiDef) {
-    const routes = [];
+  compile(apiDef, options = {}) {
+    if (!Array.isArray(apiDef)) {
+      throw new Error('api must be an array of routes');
+    }
 
-    for (const route of apiDef) {
-      const path = route.path || route['⟁path'];
-      const method = route.method || route['⟁method'] || 'GET';
-      const handler = route.handler || route['⟁handler'];
+    const runtime = options.runtime || 'kuhul';
+    const kuhul = new KuhulCompiler();
+    // Identical handler sources share one compiled program
+    const programs = new Map();
 
-      routes.push({
-        path,
+    return apiDef.map((raw) => {
+      const route = new XJSONParser().normalize(raw || {});
+      const method = (route.method || 'GET').toUpperCase();
+      const path = route.path;
+      const label = `${method} ${path}`;
+
+      if (typeof path !== 'string' || !path.startsWith('/')) {
+        throw new Error(`Route ${label}: path must start with /`);
+      }
+
+      const compiled = new XJSONRoute({
         method,
-        handler: typeof handler === 'string'
-          ? handler
-          : handler
+        path,
+        type: null,
+        handler: route.handler,
+        program: null,
+        pipeline: null,
+        request: this.schemaRef(route.request, label, 'request'),
+        response: this.schemaRef(route.response, label, 'response'),
+        defaults: route.defaults || {}
       });
+
+      const handler = route.handler;
+      try {
+        if (typeof handler === 'string' && /^[\w.]+$/.test(handler) && options.handlers?.has(handler)) {
+          compiled.type = 'native';
+        } else if (typeof handler === 'string' && runtime === 'kuhul') {
+          compiled.type = 'kuhul';
+          compiled.program = this.compileKuhul(kuhul, programs, handler);
+        } else if (typeof handler === 'string') {
+          compiled.type = 'mock';
+        } else if (handler && typeof handler.kuhul === 'string') {
+          compiled.type = 'kuhul';
+          compiled.program = this.compileKuhul(kuhul, programs, handler.kuhul);
+        } else if (Array.isArray(handler) || (handler && Array.isArray(handler.pipeline))) {
+          compiled.type = 'pipeline';
+          compiled.pipeline = compilePipeline(Array.isArray(handler) ? handler : handler.pipeline);
+        } else {
+          throw new Error('handler must be a name, K\'uhul source, { kuhul } or { pipeline }');
+        }
+      } catch (err) {
+        throw new Error(`Route ${label}: ${err.message}`);
+      }
+
+      return compiled;
+    });
+  }
+
+  compileKuhul(kuhul, programs, source) {
+    if (!programs.has(source)) {
+      programs.set(source, kuhul.compile(source));
+    }
+    return programs.get(source);
+  }
+
+  /**
+   * Request / response schema: registered name or inline schema, checked here
+   * so a broken schema fails the compile instead of every request
+   */
+  schemaRef(schema, label, kind) {
+    if (schema === undefined || schema === null) return null;
+    if (typeof schema === 'string' && !getSchema(schema)) {
+      throw new Error(`Route ${label}: unknown ${kind} schema "${schema}"`);
+    }
+    if (typeof schema !== 'string' && (typeof schema !== 'object' || Array.isArray(schema))) {
+      throw new Error(`Route ${label}: ${kind} schema must be a name or an object`);
     }
 
-    return routes;
+    const errors = schemaErrors(schema);
+    if (errors.length > 0) {
+      const summary = errors.map(e => `${e.path} ${e.message}`).join('; ');
+      throw new Error(`Route ${label}: invalid ${kind} schema: ${summary}`);
+    }
+    return schema;
   }
 }
@@ -0,0 +1,261 @@
+/**
+ * XJSON Pipelines
+ * Route handlers written as a list of operations instead of K'uhul source
+ *
+ *   "handler": { "pipeline": [
+ *     { "op": "assert", "that": "input.name", "status": 400, "message": "name is required" },
+ *     { "op": "push", "path": "state.users", "value": { "name": "{{input.name}}" } },
+ *     { "op": "get", "from": "state.users" },
+ *     { "op": "filter", "where": "item.name != ''" },
+ *     { "op": "map", "to": { "name": "{{item.name}}", "n": "{{index}}" } },
+ *     { "op": "respond", "status": 201 }
+ *   ] }
+ *
+ * Each step reads and replaces `result` (the previous step's output). Expressions
+ * and {{...}} templates (see template.js) see { input, params, query, body,
+ * state, shard, result }, plus `item` / `index` inside filter and map.
+ * `set` and `push` write under `state.` only; `respond` ends the pipeline.
+ */
+
+import { compileExpression, evaluate, interpolate, interpolateDeep } from './template.js';
+
+/**
+ * Pipeline failure carrying an HTTP status (assert, bad input shapes)
+ */
+export class PipelineError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'PipelineError';
+    this.status = status;
+  }
+}
+
+// Keys that would reach into prototypes via set / push paths
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Operations by name: fields each step must declare, fields holding expressions, run(step, scope, services)
+ */
+const OPS = {
+  input: {
+    run: (step, scope) => scope.input
+  },
+  value: {
+    required: ['value'],
+    run: (step, scope) => interpolateDeep(step.value, scope)
+  },
+  get: {
+    required: ['from'],
+    expressions: ['from'],
+    run: (step, scope) => evaluate(step.from, scope)
+  },
+  set: {
+    required: ['path'],
+    expressions: ['from'],
+    run: (step, scope) => {
+      assign(scope, step.path, valueOf(step, scope), false);
+      return scope.result;
+    }
+  },
+  push: {
+    required: ['path'],
+    expressions: ['from'],
+    run: (step, scope) => {
+      assign(scope, step.path, valueOf(step, scope), true);
+      return scope.result;
+    }
+  },
+  filter: {
+    required: ['where'],
+    expressions: ['where'],
+    run: (step, scope) => list(scope.result, step)
+      .filter((item, index) => evaluate(step.where, { ...scope, item, index }))
+  },
+  map: {
+    required: ['to'],
+    run: (step, scope) => list(scope.result, step)
+      .map((item, index) => interpolateDeep(step.to, { ...scope, item, index }))
+  },
+  pick: {
+    required: ['keys'],
+    run: (step, scope) => Array.isArray(scope.result)
+      ? scope.result.map(item => pick(item, step.keys))
+      : pick(scope.result, step.keys)
+  },
+  sort: {
+    required: ['by'],
+    run: (step, scope) => {
+      const direction = step.order === 'desc' ? -1 : 1;
+      return [...list(scope.result, step)].sort((a, b) => {
+        const x = a?.[step.by];
+        const y = b?.[step.by];
+        return x === y ? 0 : (x > y ? 1 : -1) * direction;
+      });
+    }
+  },
+  limit: {
+    required: ['count'],
+    run: (step, scope) => {
+      const count = Number(interpolate(step.count, scope));
+      const offset = Number(interpolate(step.offset ?? 0, scope)) || 0;
+      return list(scope.result, step).slice(offset, offset + count);
+    }
+  },
+  count: {
+    run: (step, scope) => list(scope.result, step).length
+  },
+  assert: {
+    required: ['that'],
+    expressions: ['that'],
+    run: (step, scope) => {
+      if (!evaluate(step.that, scope)) {
+        throw new PipelineError(
+          step.message ? String(interpolate(step.message, scope)) : `Assertion failed: ${step.that}`,
+          step.status || 400
+        );
+      }
+      return scope.result;
+    }
+  },
+  call: {
+    required: ['handler'],
+    run: (step, scope, services) => services.handlers.invoke(
+      step.handler,
+      step.input !== undefined ? interpolateDeep(step.input, scope) : scope.input,
+      services.handlerContext
+    )
+  },
+  mesh: {
+    required: ['shard', 'path'],
+    run: (step, scope, services) => services.meshCall(
+      String(interpolate(step.shard, scope)),
+      (step.method || 'GET').toUpperCase(),
+      String(interpolate(step.path, scope)),
+      step.data !== undefined ? interpolateDeep(step.data, scope) : scope.result
+    )
+  },
+  emit: {
+    required: ['topic'],
+    run: (step, scope, services) => {
+      services.events.publish(step.topic, step.data !== undefined ? interpolateDeep(step.data, scope) : scope.result);
+      return scope.result;
+    }
+  },
+  respond: {
+    run: (step, scope) => ({
+      status: step.status || 200,
+      data: step.body !== undefined ? interpolateDeep(step.body, scope) : scope.result
+    })
+  }
+};
+
+/**
+ * Check pipeline steps (unknown ops, missing fields, bad expressions); returns them normalized
+ */
+export function compilePipeline(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('pipeline must be a non-empty array of steps');
+  }
+
+  return steps.map((step, i) => {
+    const normalized = typeof step === 'string' ? { op: step } : step;
+    // Own keys only, so "toString" or "constructor" are unknown ops rather than Object.prototype members
+    const op = Object.hasOwn(OPS, normalized?.op) ? OPS[normalized.op] : null;
+    if (!op) {
+      throw new Error(`Unknown pipeline op "${normalized?.op}" at step ${i}`);
+    }
+
+    for (const field of op.required || []) {
+      if (normalized[field] === undefined) {
+        throw new Error(`Pipeline step ${i} (${normalized.op}) needs "${field}"`);
+      }
+    }
+
+    for (const field of op.expressions || []) {
+      if (normalized[field] !== undefined) {
+        try {
+          compileExpression(normalized[field]);
+        } catch (err) {
+          throw new Error(`Pipeline step ${i} (${normalized.op}): ${err.message}`);
+        }
+      }
+    }
+
+    if ((normalized.op === 'set' || normalized.op === 'push') && !/^state(\.[\w$-]+)+$/.test(normalized.path)) {
+      throw new Error(`Pipeline step ${i} (${normalized.op}) can only write under state. (got ${normalized.path})`);
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Run compiled pipeline; services = { handlers, handlerContext, meshCall, events }
+ * Returns the final result, or { status, data } when a respond step ends it
+ */
+export async function runPipeline(steps, scope, services) {
+  const current = { ...scope, result: scope.result ?? scope.input };
+
+  for (const step of steps) {
+    if (!Object.hasOwn(OPS, step.op)) {
+      throw new PipelineError(`Unknown pipeline op "${step.op}"`, 500);
+    }
+    const output = await OPS[step.op].run(step, current, services);
+    if (step.op === 'respond') {
+      return output;
+    }
+    current.result = output;
+  }
+
+  return current.result;
+}
+
+export function listPipelineOps() {
+  return Object.keys(OPS);
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+function valueOf(step, scope) {
+  if (step.from !== undefined) return evaluate(step.from, scope);
+  if (step.value !== undefined) return interpolateDeep(step.value, scope);
+  return scope.result;
+}
+
+function list(value, step) {
+  if (!Array.isArray(value)) {
+    throw new PipelineError(`Pipeline op ${step.op} needs an array result`, 500);
+  }
+  return value;
+}
+
+function pick(item, keys) {
+  if (!item || typeof item !== 'object') return item;
+  return Object.fromEntries(keys.filter(k => Object.hasOwn(item, k)).map(k => [k, item[k]]));
+}
+
+/**
+ * Write value at state.a.b (push appends to the array there)
+ */
+function assign(scope, path, value, append) {
+  const keys = path.split('.').slice(1);
+  if (keys.some(k => FORBIDDEN_KEYS.has(k))) {
+    throw new PipelineError(`Forbidden state path: ${path}`, 400);
+  }
+
+  let target = scope.state;
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+
+  const last = keys[keys.length - 1];
+  if (append) {
+    if (!Array.isArray(target[last])) target[last] = [];
+    target[last].push(value);
+  } else {
+    target[last] = value;
+  }
+}
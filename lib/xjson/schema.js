@@ -0,0 +1,547 @@
+/**
+ * XJSON Schema
+ * Schema dialect and validator for XJSON documents (hive configs, shards, views, crowns, agents)
+ *
+ * A schema is itself XJSON - keywords may carry the ⟁ prefix:
+ *
+ *   {
+ *     "⟁type": "object",
+ *     "⟁required": ["id", "port"],
+ *     "⟁properties": {
+ *       "id": { "type": "string", "pattern": "^[\\w-]+$" },
+ *       "port": { "type": "integer", "minimum": 1, "maximum": 65535 },
+ *       "api": { "type": "array", "items": { "$ref": "apiRoute" } }
+ *     }
+ *   }
+ *
+ * Keywords:
+ *   type                 string | number | integer | boolean | object | array | null | any (or a list)
+ *   enum, caseInsensitive  allowed values (strings compared ignoring case when caseInsensitive)
+ *   pattern, minLength, maxLength          strings
+ *   patternMessage       error text used instead of "must match <pattern>"
+ *   minimum, maximum                       numbers
+ *   required, properties, additionalProperties (true | false | schema)   objects
+ *   items, minItems, maxItems, unique (keys that must differ between items)   arrays
+ *   $ref                 name of a registered schema (allows recursion, e.g. viewNode)
+ *   description          ignored by the validator
+ *
+ * Object and array keywords only apply when the value has that type, so
+ * { "type": ["string", "object"], "required": ["use"] } accepts "logger".
+ *
+ * Errors are path-addressed: { path: "shards[1].api[0].path", message: "must match ^/" }.
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null', 'any'];
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'ALL'];
+
+/**
+ * Validation failure carrying every error found (HTTP 400)
+ */
+export class XJSONValidationError extends Error {
+  constructor(label, errors, status = 400) {
+    const summary = errors.map(e => `${e.path || '(root)'} ${e.message}`).join('; ');
+    super(`Invalid ${label}: ${summary}`);
+    this.name = 'XJSONValidationError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+// ========================================
+// BUILT-IN SCHEMAS
+// ========================================
+
+// A Map, so names like "constructor" never resolve to Object.prototype members
+const SCHEMAS = new Map(Object.entries({
+  limits: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      instructions: { type: 'integer', minimum: 1 },
+      timeMs: { type: 'integer', minimum: 1 },
+      stackDepth: { type: 'integer', minimum: 1 },
+      callDepth: { type: 'integer', minimum: 1 },
+      memoryBytes: { type: 'integer', minimum: 1 }
+    }
+  },
+
+  middleware: {
+    type: 'array',
+    items: {
+      type: ['string', 'object'],
+      required: ['use'],
+      properties: {
+        use: { type: 'string', minLength: 1 }
+      }
+    }
+  },
+
+  apiRoute: {
+    type: 'object',
+    required: ['path', 'handler'],
+    properties: {
+      path: {
+        type: 'string',
+        pattern: '^/(?!(?:.*/)?\\*/+[^/])',
+        patternMessage: 'must start with / and may only end with a * segment'
+      },
+      method: { type: 'string', enum: HTTP_METHODS, caseInsensitive: true },
+      // Native handler name / K'uhul source, { kuhul }, { pipeline } or a bare pipeline array
+      handler: {
+        type: ['string', 'object', 'array'],
+        minLength: 1,
+        minItems: 1,
+        properties: {
+          kuhul: { type: 'string', minLength: 1 },
+          pipeline: { type: 'array', minItems: 1, items: { type: ['string', 'object'], required: ['op'] } }
+        }
+      },
+      request: { type: ['string', 'object'] },
+      response: { type: ['string', 'object'] },
+      defaults: { type: 'object' }
+    }
+  },
+
+  viewNode: {
+    type: ['string', 'number', 'object'],
+    properties: {
+      node: { type: 'string', pattern: '^[A-Za-z][\\w-]*$' },
+      bind: { type: 'string', minLength: 1 },
+      // Trusted HTML, emitted unescaped
+      raw: { type: 'string' },
+      // Template constructs (see template.js)
+      if: { type: 'string', minLength: 1 },
+      else: { $ref: 'viewNode' },
+      each: { type: 'string', minLength: 1 },
+      as: { type: 'string', pattern: '^[A-Za-z_$][\\w$]*$' },
+      index: { type: 'string', pattern: '^[A-Za-z_$][\\w$]*$' },
+      component: { type: 'string', minLength: 1 },
+      props: { type: 'object' },
+      slot: { type: 'boolean' },
+      attrs: {
+        type: 'object',
+        properties: {
+          style: { type: ['string', 'object'] }
+        },
+        additionalProperties: {
+          type: ['string', 'number', 'boolean', 'null', 'array', 'object'],
+          required: ['bind'],
+          properties: { bind: { type: 'string', minLength: 1 } }
+        }
+      },
+      children: { type: 'array', items: { $ref: 'viewNode' } }
+    }
+  },
+
+  view: {
+    type: ['object', 'null'],
+    properties: {
+      // Named node subtrees used as { component: name }
+      components: { type: 'object', additionalProperties: { $ref: 'viewNode' } },
+      // Binding name -> shard route run before rendering ("GET /list" or "/list")
+      data: {
+        type: 'object',
+        additionalProperties: { type: 'string', pattern: '^(?:[A-Za-z]+\\s+)?/' }
+      },
+      html: {
+        type: 'object',
+        properties: {
+          head: {
+            type: 'object',
+            properties: {
+              title: { type: 'string' },
+              children: { type: 'array', items: { $ref: 'viewNode' } }
+            }
+          },
+          body: { $ref: 'viewNode' }
+        }
+      }
+    }
+  },
+
+  shard: {
+    type: 'object',
+    required: ['id', 'port'],
+    properties: {
+      id: { type: 'string', pattern: '^[\\w-]+$' },
+      port: { type: 'integer', minimum: 1, maximum: 65535 },
+      runtime: { type: 'string', minLength: 1 },
+      api: { type: 'array', items: { $ref: 'apiRoute' } },
+      view: { $ref: 'view' },
+      handlers: { type: 'array', items: { type: 'string' } },
+      limits: { $ref: 'limits' },
+      isolation: { type: 'string', enum: ['inline', 'worker'] },
+      middleware: { $ref: 'middleware' },
+      replicas: { type: 'integer', minimum: 1, maximum: 64 },
+      balance: { type: 'string', enum: ['round-robin', 'least-busy'] },
+      health: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          maxFailures: { type: 'integer', minimum: 1 },
+          cooldownMs: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+  },
+
+  hive: {
+    type: 'object',
+    properties: {
+      hive: { type: 'string', minLength: 1 },
+      shards: { type: 'array', items: { $ref: 'shard' }, unique: ['id', 'port'] },
+      kuhul: {
+        type: 'object',
+        properties: {
+          isolation: { type: 'string', enum: ['inline', 'worker'] },
+          limits: { $ref: 'limits' }
+        }
+      },
+      mesh: {
+        type: 'object',
+        properties: {
+          protocol: { type: 'string' },
+          ports: { type: 'array', items: { type: 'integer', minimum: 1, maximum: 65535 } },
+          maxHops: { type: 'integer', minimum: 1 },
+          middleware: { $ref: 'middleware' }
+        }
+      },
+      ai: { type: 'object' }
+    }
+  },
+
+  crown: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      version: { type: 'string' },
+      description: { type: 'string' },
+      type: { type: 'string' },
+      stats: {
+        type: 'object',
+        properties: {
+          totalFiles: { type: 'integer', minimum: 0 },
+          totalSize: { type: 'integer', minimum: 0 },
+          compressedSize: { type: 'integer', minimum: 0 },
+          compressionRatio: { type: ['number', 'string'] }
+        }
+      },
+      knowledge: {
+        type: 'object',
+        properties: {
+          documents: { type: 'array' },
+          code: { type: 'array' },
+          data: { type: 'array' },
+          lore: { type: 'array' },
+          stats: { type: 'array' },
+          inventory: { type: 'array' }
+        }
+      },
+      fineTuning: {
+        type: 'object',
+        properties: {
+          conversations: { type: 'array' },
+          instructions: { type: 'array' },
+          examples: { type: 'array' }
+        }
+      },
+      config: {
+        type: 'object',
+        properties: {
+          temperature: { type: 'number', minimum: 0, maximum: 2 },
+          systemPrompt: { type: 'string' },
+          personality: { type: 'string' },
+          specializations: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  },
+
+  agent: {
+    type: 'object',
+    required: ['name', 'model', 'crown'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      model: { type: 'string', minLength: 1 },
+      crown: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      config: {
+        type: 'object',
+        properties: {
+          temperature: { type: 'number', minimum: 0, maximum: 2 },
+          maxTokens: { type: 'integer', minimum: 1 },
+          topK: { type: 'integer', minimum: 1 },
+          topP: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    }
+  }
+}));
+
+/**
+ * Add (or replace) a named schema usable as { "$ref": name }
+ */
+export function registerSchema(name, schema) {
+  SCHEMAS.set(name, stripPrefixes(schema));
+}
+
+export function getSchema(name) {
+  return SCHEMAS.get(name) || null;
+}
+
+export function listSchemas() {
+  return Array.from(SCHEMAS.keys());
+}
+
+// ========================================
+// VALIDATOR
+// ========================================
+
+/**
+ * Validate value against a schema (object or registered name)
+ * Returns { valid, errors: [{ path, message }] }
+ */
+export function validate(value, schema) {
+  const errors = [];
+  check(value, resolve(schema), '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check a schema itself (unknown types, unresolved $refs, bad patterns, ...)
+ * before it is used, so a bad schema is reported once and not on every validate()
+ * Returns [{ path, message }] like validate()
+ */
+export function schemaErrors(schema) {
+  const errors = [];
+  if (typeof schema === 'string') {
+    if (!SCHEMAS.has(schema)) errors.push({ path: '', message: `is not a registered schema (${schema})` });
+  } else if (!isType(schema, 'object')) {
+    errors.push({ path: '', message: `must be an object or a schema name (got ${typeName(schema)})` });
+  } else {
+    checkSchema(stripPrefixes(schema), '', errors);
+  }
+  return errors;
+}
+
+function checkSchema(schema, path, errors) {
+  const fail = (keyword, message) => errors.push({ path: join(path, keyword), message });
+
+  if (schema.$ref !== undefined && !(typeof schema.$ref === 'string' && SCHEMAS.has(schema.$ref))) {
+    fail('$ref', `is not a registered schema (${schema.$ref})`);
+  }
+
+  if (schema.type !== undefined) {
+    for (const type of [].concat(schema.type)) {
+      if (!TYPES.includes(type)) fail('type', `must be one of ${TYPES.join(', ')} (got ${type})`);
+    }
+  }
+
+  for (const keyword of ['enum', 'required', 'unique']) {
+    if (schema[keyword] !== undefined && !Array.isArray(schema[keyword])) fail(keyword, 'must be array');
+  }
+
+  for (const keyword of ['minLength', 'maxLength', 'minimum', 'maximum', 'minItems', 'maxItems']) {
+    if (schema[keyword] !== undefined && !isType(schema[keyword], 'number')) fail(keyword, 'must be number');
+  }
+
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern);
+    } catch {
+      fail('pattern', `is not a valid regular expression (${schema.pattern})`);
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (!isType(schema.properties, 'object')) {
+      fail('properties', 'must be object');
+    } else {
+      for (const [key, child] of Object.entries(schema.properties)) {
+        checkChild(child, join(join(path, 'properties'), key), errors);
+      }
+    }
+  }
+
+  if (schema.items !== undefined) {
+    checkChild(schema.items, join(path, 'items'), errors);
+  }
+
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    checkChild(schema.additionalProperties, join(path, 'additionalProperties'), errors);
+  }
+}
+
+function checkChild(schema, path, errors) {
+  if (isType(schema, 'object')) {
+    checkSchema(schema, path, errors);
+  } else {
+    errors.push({ path, message: `must be a schema object (got ${typeName(schema)})` });
+  }
+}
+
+function resolve(schema) {
+  if (typeof schema === 'string') {
+    const named = SCHEMAS.get(schema);
+    if (!named) {
+      throw new Error(`Unknown XJSON schema: ${schema}`);
+    }
+    return named;
+  }
+  if (!schema || typeof schema !== 'object') {
+    throw new Error('XJSON schema must be an object or a schema name');
+  }
+  return stripPrefixes(schema);
+}
+
+function check(value, schema, path, errors) {
+  if (schema.$ref) {
+    check(value, resolve(schema.$ref), path, errors);
+    return;
+  }
+
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    for (const type of types) {
+      if (!TYPES.includes(type)) throw new Error(`Unknown XJSON schema type: ${type}`);
+    }
+    if (!types.some(type => isType(value, type))) {
+      fail(`must be ${types.join(' or ')} (got ${typeName(value)})`);
+      return;
+    }
+  }
+
+  if (schema.enum) {
+    const fold = (v) => (schema.caseInsensitive && typeof v === 'string' ? v.toUpperCase() : v);
+    if (!schema.enum.some(option => fold(option) === fold(value))) {
+      fail(`must be one of ${schema.enum.join(', ')}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema.patternMessage || `must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (isType(value, 'object')) {
+    checkObject(value, schema, path, errors);
+  }
+
+  if (Array.isArray(value)) {
+    checkArray(value, schema, path, errors);
+  }
+}
+
+function checkObject(value, schema, path, errors) {
+  const properties = schema.properties || {};
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      errors.push({ path: join(path, key), message: 'is required' });
+    }
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    if (child === undefined) continue;
+
+    if (Object.hasOwn(properties, key)) {
+      check(child, properties[key], join(path, key), errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: join(path, key), message: 'is not allowed' });
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      check(child, schema.additionalProperties, join(path, key), errors);
+    }
+  }
+}
+
+function checkArray(value, schema, path, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path, message: `must have at least ${schema.minItems} items` });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+  }
+
+  if (schema.items) {
+    value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, errors));
+  }
+
+  for (const key of schema.unique || []) {
+    const seen = new Map(); // value -> first index
+    value.forEach((item, i) => {
+      const v = item?.[key];
+      if (v === undefined || v === null) return;
+      if (seen.has(v)) {
+        errors.push({ path: join(`${path}[${i}]`, key), message: `duplicates ${path}[${seen.get(v)}].${key} (${v})` });
+      } else {
+        seen.set(v, i);
+      }
+    });
+  }
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+function isType(value, type) {
+  switch (type) {
+    case 'any': return true;
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function typeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isInteger(value)) return 'number';
+  return typeof value === 'number' ? 'integer' : typeof value;
+}
+
+function join(path, key) {
+  const segment = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+  if (!path) return segment.startsWith('"') ? `[${segment}]` : segment;
+  return segment.startsWith('"') ? `${path}[${segment}]` : `${path}.${segment}`;
+}
+
+/**
+ * Schemas may be written in XJSON - drop ⟁ prefixes from keywords
+ * (property names under `properties` keep their meaning either way)
+ */
+function stripPrefixes(schema) {
+  if (Array.isArray(schema)) return schema.map(stripPrefixes);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    const clean = key.startsWith('⟁') ? key.slice(1) : key;
+    out[clean] = clean === 'enum' ? value : stripPrefixes(value);
+  }
+  return out;
+}
@@ -0,0 +1,219 @@
+/**
+ * XJSON Template Expressions
+ * The small, side-effect free expression language behind view templates
+ *
+ *   {{user.name}}   {{items.length}}   {{rows[i].id}}   {{!done}}
+ *   {{count > 0 && status == 'open'}}   {{role || "guest"}}
+ *
+ * Supported: dotted / bracketed paths, string, number, true / false / null
+ * literals, ! && || == != === !== < > <= >= and parentheses. Paths only see
+ * own properties, so templates can't reach prototypes or call anything.
+ */
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_$][\w$]*)|(===|!==|==|!=|<=|>=|&&|\|\||[!<>()[\].]))/y;
+
+const INTERPOLATION = /\{\{([^}]*)\}\}/g;
+
+// Parsed expressions by source, shared by every render
+const cache = new Map();
+const CACHE_LIMIT = 1000;
+
+/**
+ * Value at a dotted path ("state.users[0].name") in the binding context
+ * (own properties only, so bindings can't reach prototypes)
+ */
+export function resolvePath(data, path) {
+  return String(path)
+    .split(/[.[\]]/)
+    .filter(Boolean)
+    .reduce((value, key) => lookup(value, key), data);
+}
+
+/**
+ * Parse expression (cached); throws on syntax errors, so callers can check templates up front
+ */
+export function compileExpression(expr) {
+  let ast = cache.get(expr);
+  if (!ast) {
+    ast = parse(String(expr));
+    if (cache.size >= CACHE_LIMIT) cache.clear();
+    cache.set(expr, ast);
+  }
+  return ast;
+}
+
+/**
+ * Evaluate template expression against scope
+ */
+export function evaluate(expr, scope) {
+  return run(compileExpression(expr), scope);
+}
+
+/**
+ * interpolate() applied through arrays and plain objects
+ */
+export function interpolateDeep(value, scope) {
+  if (typeof value === 'string') return interpolate(value, scope);
+  if (Array.isArray(value)) return value.map(v => interpolateDeep(v, scope));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolateDeep(v, scope)]));
+  }
+  return value;
+}
+
+/**
+ * Replace {{expr}} occurrences in text; a string that is exactly one
+ * {{expr}} yields the value itself (so attributes can bind booleans, arrays...)
+ */
+export function interpolate(text, scope) {
+  if (typeof text !== 'string' || !text.includes('{{')) return text;
+
+  const whole = text.match(/^\{\{([^}]*)\}\}$/);
+  if (whole) return evaluate(whole[1], scope);
+
+  return text.replace(INTERPOLATION, (_, expr) => {
+    const value = evaluate(expr, scope);
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+function lookup(value, key) {
+  return value !== null && value !== undefined && Object.hasOwn(Object(value), key) ? value[key] : undefined;
+}
+
+// ========================================
+// PARSER
+// ========================================
+
+function tokenize(expr) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < expr.length) {
+    if (/^\s*$/.test(expr.slice(TOKEN.lastIndex))) break;
+
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(expr);
+    if (!match) {
+      throw new Error(`Invalid template expression "${expr}" at ${start}`);
+    }
+
+    const [, number, string, ident, op] = match;
+    if (number !== undefined) tokens.push({ type: 'literal', value: Number(number) });
+    else if (string !== undefined) tokens.push({ type: 'literal', value: unquote(string) });
+    else if (ident === 'true' || ident === 'false') tokens.push({ type: 'literal', value: ident === 'true' });
+    else if (ident === 'null') tokens.push({ type: 'literal', value: null });
+    else if (ident !== undefined) tokens.push({ type: 'ident', value: ident });
+    else tokens.push({ type: 'op', value: op });
+  }
+
+  return tokens;
+}
+
+function unquote(literal) {
+  return literal.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+function parse(expr) {
+  const tokens = tokenize(expr);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) {
+      throw new Error(`Invalid template expression "${expr}": expected ${op}`);
+    }
+    pos++;
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[pos++].value;
+      left = { type: 'binary', op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) {
+      throw new Error(`Invalid template expression "${expr}": unexpected end`);
+    }
+    if (token.type === 'literal') return token;
+    if (token.type === 'op' && token.value === '(') {
+      const inner = or();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'ident') {
+      let node = { type: 'path', name: token.value };
+      while (isOp('.', '[')) {
+        if (tokens[pos++].value === '.') {
+          const key = tokens[pos++];
+          if (key?.type !== 'ident' && typeof key?.value !== 'number') {
+            throw new Error(`Invalid template expression "${expr}": expected property name`);
+          }
+          node = { type: 'member', object: node, key: { type: 'literal', value: String(key.value) } };
+        } else {
+          node = { type: 'member', object: node, key: or() };
+          expect(']');
+        }
+      }
+      return node;
+    }
+    throw new Error(`Invalid template expression "${expr}": unexpected ${token.value}`);
+  };
+
+  const unary = () => {
+    if (isOp('!')) {
+      pos++;
+      return { type: 'not', operand: unary() };
+    }
+    return primary();
+  };
+
+  const comparison = binary(unary, ['===', '!==', '==', '!=', '<=', '>=', '<', '>']);
+  const and = binary(comparison, ['&&']);
+  const or = binary(and, ['||']);
+
+  const ast = or();
+  if (pos < tokens.length) {
+    throw new Error(`Invalid template expression "${expr}": unexpected ${tokens[pos].value}`);
+  }
+  return ast;
+}
+
+function run(node, scope) {
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'path': return lookup(scope, node.name);
+    case 'member': return lookup(run(node.object, scope), run(node.key, scope));
+    case 'not': return !run(node.operand, scope);
+    case 'binary': {
+      const left = run(node.left, scope);
+      if (node.op === '&&') return left && run(node.right, scope);
+      if (node.op === '||') return left || run(node.right, scope);
+
+      const right = run(node.right, scope);
+      switch (node.op) {
+        // == compares loosely only between strings and numbers ("3" == 3)
+        case '==': return left === right || (isScalar(left) && isScalar(right) && String(left) === String(right));
+        case '!=': return !(left === right || (isScalar(left) && isScalar(right) && String(left) === String(right)));
+        case '===': return left === right;
+        case '!==': return left !== right;
+        case '<': return left < right;
+        case '>': return left > right;
+        case '<=': return left <= right;
+        case '>=': return left >= right;
+      }
+    }
+  }
+  throw new Error(`Unknown template node: ${node.type}`);
+}
+
+function isScalar(value) {
+  return typeof value === 'string' || typeof value === 'number';
+}
@@ -0,0 +1,164 @@
+/**
+ * Handler Registry
+ * Native JS handler modules callable from K'uhul via [Sek handler_name]
+ *
+ * A handler module (e.g. server/handlers/filesystem.js) default-exports an object
+ * of async functions: { fs_read: async ({ input, context }) => result, ... }
+ * The module name is the file name without extension ("filesystem").
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Raised when a shard calls a handler from a module it did not declare
+ */
+export class HandlerPermissionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HandlerPermissionError';
+    this.status = 403;
+  }
+}
+
+export class HandlerRegistry {
+  constructor(options = {}) {
+    this.modules = new Map();
+    this.files = new Map();
+    this.quiet = !!options.quiet;
+  }
+
+  /**
+   * Register handler module
+   */
+  register(moduleName, handlers) {
+    // No prototype, so names like "toString" or "constructor" only resolve if registered
+    const fns = Object.create(null);
+
+    for (const [name, fn] of Object.entries(handlers || {})) {
+      if (typeof fn === 'function') {
+        fns[name] = fn;
+      }
+    }
+
+    this.modules.set(moduleName, fns);
+    if (this.quiet) return this;
+    console.log(`[Handlers] Registered module "${moduleName}" (${Object.keys(fns).length} handlers)`);
+
+    return this;
+  }
+
+  /**
+   * Load every *.js handler module from a directory
+   */
+  async loadDirectory(dir) {
+    const files = (await fs.readdir(dir)).filter(f => f.endsWith('.js'));
+
+    for (const file of files) {
+      const moduleName = path.basename(file, '.js');
+
+      try {
+        const filePath = path.join(dir, file);
+        const mod = await import(pathToFileURL(filePath).href);
+        this.register(moduleName, mod.default || mod);
+        this.files.set(moduleName, filePath);
+      } catch (err) {
+        // One broken module must not take the others down with it
+        console.error(`[Handlers] Failed to load module "${moduleName}": ${err.message}`);
+      }
+    }
+
+    return this.list();
+  }
+
+  /**
+   * Resolve handler by name ("fs_read" or "filesystem.fs_read")
+   * Returns { module, name, fn } or null
+   */
+  resolve(name, allowedModules = null) {
+    const [qualifiedModule, qualifiedName] = name.includes('.')
+      ? name.split('.', 2)
+      : [null, name];
+
+    // Permitted modules are searched first so a same-named handler elsewhere doesn't shadow them
+    const candidates = qualifiedModule
+      ? [qualifiedModule]
+      : Array.from(this.modules.keys()).sort((a, b) =>
+        Number(!allowedModules || allowedModules.includes(b)) -
+        Number(!allowedModules || allowedModules.includes(a)));
+
+    for (const moduleName of candidates) {
+      const fn = this.modules.get(moduleName)?.[qualifiedName];
+      if (!fn) continue;
+
+      if (allowedModules && !allowedModules.includes(moduleName)) {
+        throw new HandlerPermissionError(`Handler "${qualifiedName}" (module "${moduleName}") is not permitted for this shard`);
+      }
+
+      return { module: moduleName, name: qualifiedName, fn };
+    }
+
+    return null;
+  }
+
+  /**
+   * Invoke handler with input and execution context
+   */
+  async invoke(name, input = {}, context = {}, allowedModules = null) {
+    const handler = this.resolve(name, allowedModules);
+    if (!handler) {
+      throw new Error(`Handler not found: ${name}`);
+    }
+
+    return await handler.fn({ input: input ?? {}, context });
+  }
+
+  /**
+   * Create view restricted to a set of modules (what a shard declared)
+   */
+  scope(allowedModules = []) {
+    return {
+      has: (name) => {
+        try {
+          return !!this.resolve(name, allowedModules);
+        } catch {
+          // Exists but not permitted - still "ours" so invoke() reports the denial
+          return true;
+        }
+      },
+      invoke: (name, input, context) => this.invoke(name, input, context, allowedModules)
+    };
+  }
+
+  /**
+   * Source files of file-backed modules (used to re-load them inside worker threads)
+   */
+  moduleFiles(moduleNames) {
+    return moduleNames
+      .filter(name => this.files.has(name))
+      .map(name => ({ name, file: this.files.get(name) }));
+  }
+
+  /**
+   * Load modules from moduleFiles() output
+   */
+  async loadFiles(entries) {
+    for (const { name, file } of entries) {
+      const mod = await import(pathToFileURL(file).href);
+      this.register(name, mod.default || mod);
+      this.files.set(name, file);
+    }
+    return this;
+  }
+
+  /**
+   * List modules and their handler names
+   */
+  list() {
+    return Array.from(this.modules.entries()).map(([module, fns]) => ({
+      module,
+      handlers: Object.keys(fns)
+    }));
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * Hive Federation
+ * Peers ASXR servers so a mesh call can reach a shard living on another hive
+ *
+ * Each server exposes its local registry at GET /api/hive/registry. Peers are
+ * added from config (--peer URL) or POST /api/hive/peers; adding a peer also
+ * announces this hive to it, so peering is mutual. Registries are refreshed
+ * every syncIntervalMs, and peers are asked to re-sync right away when a local
+ * shard is created or deleted. A peer that fails to answer is marked down and
+ * its shards stop resolving until it comes back.
+ *
+ * Federation is one level deep: a hive forwards only to the hive that owns the
+ * shard, and a forwarded request (X-ASXR-Forwarded) is never forwarded again.
+ */
+
+import { ShardError } from './hive-orchestrator.js';
+
+export const DEFAULT_SYNC_INTERVAL_MS = 15000;
+export const DEFAULT_PEER_TIMEOUT_MS = 5000;
+
+const KEY_HEADER = 'x-asxr-federation-key';
+
+// Request headers copied onto forwarded calls; credentials (Authorization,
+// Cookie, API keys) stay with the hive they were sent to
+const FORWARD_HEADERS = new Set(['accept', 'accept-language', 'content-type', 'user-agent']);
+
+export class HiveFederation {
+  constructor(hive, options = {}) {
+    this.hive = hive;
+    this.url = normalizeUrl(options.url);
+    this.key = options.key || null;
+    this.syncIntervalMs = options.syncIntervalMs ?? DEFAULT_SYNC_INTERVAL_MS;
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_PEER_TIMEOUT_MS;
+    this.initialPeers = options.peers || [];
+    this.peers = new Map(); // url -> { url, hive, status, shards, lastSync, error }
+    this.timer = null;
+    this.notifyTimer = null;
+    this.unsubscribe = null;
+
+    console.log(`[Federation] Hive federation initialized at ${this.url}`);
+  }
+
+  /**
+   * Connect configured peers and start periodic registry sync
+   */
+  async start() {
+    await Promise.all(this.initialPeers.map(url => this.addPeer(url).catch(err => {
+      console.warn(`[Federation] Peer ${url} unavailable: ${err.message}`);
+    })));
+
+    this.timer = setInterval(() => this.syncAll(), this.syncIntervalMs);
+    this.timer.unref();
+
+    this.unsubscribe = this.hive.events.subscribe(
+      ['shard.*.created', 'shard.*.deleted'],
+      () => this.scheduleNotify()
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.notifyTimer);
+    this.unsubscribe?.();
+    this.timer = null;
+  }
+
+  /**
+   * Ask live peers to re-fetch our registry (batched - boot creates many shards at once)
+   */
+  scheduleNotify() {
+    if (this.notifyTimer) return;
+    this.notifyTimer = setTimeout(() => {
+      this.notifyTimer = null;
+      for (const peer of this.peers.values()) {
+        if (peer.status !== 'up') continue;
+        this.request(peer, 'POST', '/api/hive/peers', { url: this.url, announce: false })
+          .catch(err => console.warn(`[Federation] Could not notify ${peer.url}: ${err.message}`));
+      }
+    }, 100);
+    this.notifyTimer.unref();
+  }
+
+  // ========================================
+  // PEERS
+  // ========================================
+
+  /**
+   * Add peer, fetch its registry and (unless it announced itself) announce back
+   */
+  async addPeer(url, { announce = true } = {}) {
+    const peerUrl = normalizeUrl(url);
+    if (peerUrl === this.url) {
+      throw new ShardError('A hive cannot peer with itself', 400);
+    }
+
+    let peer = this.peers.get(peerUrl);
+    if (!peer) {
+      peer = { url: peerUrl, hive: null, status: 'pending', shards: [], lastSync: null, error: null };
+      this.peers.set(peerUrl, peer);
+      console.log(`[Federation] Peer added: ${peerUrl}`);
+    }
+
+    await this.syncPeer(peer);
+
+    if (announce && peer.status === 'up') {
+      await this.request(peer, 'POST', '/api/hive/peers', { url: this.url, announce: false })
+        .catch(err => console.warn(`[Federation] Could not announce to ${peerUrl}: ${err.message}`));
+    }
+
+    return this.describe(peer);
+  }
+
+  removePeer(url) {
+    const peerUrl = normalizeUrl(url);
+    if (!this.peers.delete(peerUrl)) {
+      throw new ShardError(`Unknown peer: ${peerUrl}`, 404);
+    }
+    console.log(`[Federation] Peer removed: ${peerUrl}`);
+    return { url: peerUrl, removed: true };
+  }
+
+  /**
+   * Refresh one peer's registry
+   */
+  async syncPeer(peer) {
+    try {
+      const registry = await this.request(peer, 'GET', '/api/hive/registry');
+      if (peer.status !== 'up') {
+        console.log(`[Federation] Peer up: ${peer.url} (hive ${registry.hive}, ${registry.shards.length} shards)`);
+      }
+      peer.hive = registry.hive;
+      peer.shards = registry.shards || [];
+      peer.status = 'up';
+      peer.error = null;
+    } catch (err) {
+      if (peer.status !== 'down') {
+        console.warn(`[Federation] Peer down: ${peer.url} (${err.message})`);
+      }
+      peer.status = 'down';
+      peer.error = err.message;
+    }
+    peer.lastSync = Date.now();
+  }
+
+  syncAll() {
+    return Promise.all(Array.from(this.peers.values()).map(peer => this.syncPeer(peer)));
+  }
+
+  /**
+   * This hive's local shards, as served to peers
+   */
+  registry() {
+    return {
+      hive: this.hive.id,
+      url: this.url,
+      shards: Array.from(this.hive.shards.values()).map(s => ({
+        id: s.id,
+        port: s.port,
+        status: s.status,
+        endpoints: this.hive.registry.get(s.id)?.endpoints || []
+      }))
+    };
+  }
+
+  list() {
+    return {
+      hive: this.hive.id,
+      url: this.url,
+      peers: Array.from(this.peers.values()).map(peer => this.describe(peer))
+    };
+  }
+
+  describe(peer) {
+    return {
+      url: peer.url,
+      hive: peer.hive,
+      status: peer.status,
+      lastSync: peer.lastSync,
+      error: peer.error,
+      shards: peer.shards.map(s => s.id)
+    };
+  }
+
+  /**
+   * Check the federation key on peer-only endpoints (open when no key is set)
+   */
+  authorize(req) {
+    if (this.key && req.headers[KEY_HEADER] !== this.key) {
+      throw new ShardError('Invalid federation key', 403);
+    }
+  }
+
+  // ========================================
+  // ROUTING
+  // ========================================
+
+  /**
+   * Live peer hosting shardId (local shards are never resolved here)
+   */
+  resolve(shardId) {
+    for (const peer of this.peers.values()) {
+      if (peer.status === 'up' && peer.shards.some(s => s.id === shardId)) {
+        return peer;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forward mesh middleware context to the owning peer; fills ctx status/body
+   */
+  async forward(ctx, peer) {
+    const headers = {};
+    for (const [name, value] of Object.entries(ctx.requestHeaders)) {
+      if (FORWARD_HEADERS.has(name)) headers[name] = value;
+    }
+
+    const response = await this.send(peer, ctx.method, `/mesh/${encodeURIComponent(ctx.shardId)}${ctx.path}`, ctx.data, {
+      ...headers,
+      'x-correlation-id': ctx.correlationId,
+      'x-mesh-chain': ctx.chain.join(',')
+    });
+
+    ctx.status = response.status;
+    ctx.body = response.body;
+    ctx.headers['X-ASXR-Hive'] = peer.hive;
+
+    // Non-JSON bodies (rendered views) keep their type
+    const contentType = response.headers.get('content-type');
+    if (typeof ctx.body === 'string' && contentType && !contentType.includes('json')) {
+      ctx.headers['Content-Type'] = contentType;
+    }
+
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) ctx.headers['Retry-After'] = retryAfter;
+  }
+
+  /**
+   * Shard-to-shard call to a remote shard; resolves the result or throws ShardError
+   */
+  async call(shardId, method, path, data, mesh) {
+    const peer = this.resolve(shardId);
+    if (!peer) {
+      throw new ShardError(`Shard not found: ${shardId}`, 404);
+    }
+
+    console.log(`[Federation] ${mesh.correlationId} ${mesh.chain.at(-1) || '-'} → ${shardId}@${peer.hive} ${method} ${path}`);
+
+    const response = await this.send(peer, method, `/mesh/${encodeURIComponent(shardId)}${path}`, data, {
+      'x-correlation-id': mesh.correlationId,
+      'x-mesh-chain': mesh.chain.join(',')
+    });
+
+    if (response.status >= 400) {
+      throw new ShardError(response.body?.error || `Remote shard ${shardId} returned ${response.status}`, response.status);
+    }
+
+    return response.body;
+  }
+
+  // ========================================
+  // TRANSPORT
+  // ========================================
+
+  async send(peer, method, path, data, headers = {}) {
+    let response;
+    try {
+      response = await fetch(peer.url + path, {
+        method,
+        headers: {
+          ...headers,
+          'content-type': 'application/json',
+          'x-asxr-forwarded': this.hive.id,
+          ...(this.key ? { [KEY_HEADER]: this.key } : {})
+        },
+        body: data !== null && data !== undefined && method !== 'GET' && method !== 'HEAD'
+          ? JSON.stringify(data)
+          : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (err) {
+      peer.status = 'down';
+      peer.error = err.message;
+      throw new ShardError(`Peer ${peer.url} unreachable: ${err.message}`, 502);
+    }
+
+    const text = await response.text();
+    let body;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {
+      body = text;
+    }
+
+    return { status: response.status, headers: response.headers, body };
+  }
+
+  /**
+   * JSON request to a peer API endpoint (throws on non-2xx)
+   */
+  async request(peer, method, path, data = null) {
+    const response = await this.send(peer, method, path, data);
+    if (response.status >= 400) {
+      throw new Error(response.body?.error || `HTTP ${response.status}`);
+    }
+    return response.body;
+  }
+}
+
+function normalizeUrl(url) {
+  if (!url || typeof url !== 'string') {
+    throw new ShardError('Peer URL required', 400);
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ShardError(`Invalid peer URL: ${url}`, 400);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new ShardError(`Peer URL must be http(s): ${url}`, 400);
+  }
+  return parsed.origin;
+}
@@ -4,21 +4,75 @@
  */
 
 import { randomUUID } from 'crypto';
-import { XJSONParser } from '../../lib/xjson/parser.js';
+import { XJSONParser, XJSONAPICompiler } from '../../lib/xjson/parser.js';
+import { XJSONValidationError, validate } from '../../lib/xjson/schema.js';
+import { runPipeline } from '../../lib/xjson/pipeline.js';
 import { KuhulVM } from '../../lib/kuhul/vm.js';
+import { inspectValue } from '../../lib/kuhul/debugger.js';
 import { SCXCodec } from '../../lib/scx/codec.js';
+import { RouteMatcher } from './route-matcher.js';
+import { HandlerRegistry } from './handler-registry.js';
+import { runInWorker, replaceContents } from './kuhul-worker.js';
+import { MeshEventBus } from './mesh-events.js';
+import { createMiddleware } from './mesh-middleware.js';
+import { ReplicaSet } from './replica-set.js';
+
+/**
+ * Shard error carrying an HTTP status for the mesh layer
+ */
+export class ShardError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'ShardError';
+    this.status = status;
+  }
+}
+
+// Default limit on nested shard-to-shard calls per request
+export const DEFAULT_MAX_HOPS = 8;
+export const DEFAULT_COMPACT_AFTER = 1000;
+
+// Tail of each replica's queue of K'uhul runs (see serialize())
+const replicaQueues = new WeakMap();
 
 export class HiveOrchestrator {
-  constructor() {
+  constructor(options = {}) {
     this.id = randomUUID();
     this.shards = new Map();
     this.mesh = {
       protocol: 'virtual-rest',
-      ports: new Map()
+      ports: new Map(),
+      maxHops: options.maxHops ?? DEFAULT_MAX_HOPS,
+      // Hive-wide middleware declarations and their built chain (see mesh-middleware.js)
+      middleware: [],
+      chain: []
     };
     this.registry = new Map();
     this.booted = false;
 
+    // Native JS handler modules available to shards (see handler-registry.js)
+    this.handlers = options.handlers || new HandlerRegistry();
+
+    // Default K'uhul execution budget and isolation ('inline' | 'worker');
+    // shards may override both with `limits` / `isolation`
+    this.kuhul = {
+      limits: options.limits || {},
+      isolation: options.isolation || 'inline'
+    };
+
+    // Shard lifecycle and K'uhul events, streamed over /mesh/stream (see mesh-events.js)
+    this.events = options.events || new MeshEventBus();
+
+    // Peer hives (HiveFederation), set by the server when federation is enabled
+    this.federation = null;
+
+    // Optional persistence layer (see hive-store.js); the journal is folded
+    // into a fresh snapshot once it holds compactAfter entries
+    this.store = options.store || null;
+    this.compactAfter = options.compactAfter ?? DEFAULT_COMPACT_AFTER;
+    this.journalLength = 0;
+    this.saving = null;
+
     console.log(`[KLH] Hive Orchestrator initialized: ${this.id}`);
   }
 
@@ -34,11 +88,21 @@ export class HiveOrchestrator {
       ? xjson.parse(config)
       : config;
 
+    // Reject the whole config, listing every error, before creating anything
+    const shards = hiveConfig?.shards || hiveConfig?.['⟁shards'] || [];
+    this.validateDefinition(hiveConfig, 'hive', 'hive config',
+      this.portConflicts(Array.isArray(shards) ? shards : [], i => `shards[${i}].port`));
+
     this.id = hiveConfig.hive || hiveConfig['⟁hive'] || this.id;
 
-    // Register shards from config
-    const shards = hiveConfig.shards || hiveConfig['⟁shards'] || [];
+    // K'uhul execution defaults
+    const kuhulConfig = hiveConfig.kuhul || hiveConfig['⟁kuhul'];
+    if (kuhulConfig) {
+      this.kuhul.limits = { ...this.kuhul.limits, ...kuhulConfig.limits };
+      this.kuhul.isolation = kuhulConfig.isolation || this.kuhul.isolation;
+    }
 
+    // Register shards from config
     for (const shardDef of shards) {
       await this.createShard(shardDef);
     }
@@ -47,6 +111,8 @@ export class HiveOrchestrator {
     if (hiveConfig.mesh || hiveConfig['⟁mesh']) {
       const meshConfig = hiveConfig.mesh || hiveConfig['⟁mesh'];
       this.mesh.protocol = meshConfig.protocol || meshConfig['⟁protocol'] || 'virtual-rest';
+      this.mesh.maxHops = meshConfig.maxHops ?? meshConfig['⟁maxHops'] ?? this.mesh.maxHops;
+      this.setMeshMiddleware(meshConfig.middleware || meshConfig['⟁middleware'] || []);
 
       const ports = meshConfig.ports || meshConfig['⟁ports'] || [];
       ports.forEach((port, idx) => {
@@ -60,6 +126,10 @@ export class HiveOrchestrator {
     this.booted = true;
     console.log(`[KLH] Hive ${this.id} booted with ${this.shards.size} shards`);
 
+    await this.snapshot();
+
+    this.events.publish('hive.booted', { hive: this.id, shards: Array.from(this.shards.keys()) });
+
     return {
       hive: this.id,
       shards: Array.from(this.shards.keys()),
@@ -71,18 +141,73 @@ export class HiveOrchestrator {
    * Create a new shard from XJSON definition
    */
   async createShard(shardDef) {
+    const shard = this.parseShardDef(shardDef);
+
+    this.validateDefinition(shard, 'shard', 'shard definition', this.portConflicts([shard], () => 'port'));
+
+    const shardInstance = this.buildShard(shard);
+
+    this.registerShard(shardInstance);
+
+    console.log(`[KLH] Shard created: ${shardInstance.id} on virtual port ${shardInstance.port}`);
+
+    await this.journal({ type: 'shard:create', definition: shard });
+    this.emitShardEvent(shardInstance.id, 'created', { port: shardInstance.port, runtime: shardInstance.runtime });
+
+    return shardInstance;
+  }
+
+  /**
+   * Decode SCX / parse XJSON shard definition
+   */
+  parseShardDef(shardDef) {
     const scx = new SCXCodec();
     const xjson = new XJSONParser();
 
-    // Decompress if SCX-compressed
+    // Decompress if SCX-compressed (v2 bytes, "⟁SCX2:" text or the v1 text form)
     let def = shardDef;
-    if (typeof shardDef === 'string' && shardDef.includes('⟁')) {
+    if (shardDef instanceof Uint8Array || (typeof shardDef === 'string' && shardDef.includes('⟁'))) {
       def = scx.decode(shardDef);
     }
 
     // Parse XJSON
-    const shard = typeof def === 'string' ? xjson.parse(def) : def;
+    return typeof def === 'string' ? xjson.parse(def) : def;
+  }
 
+  /**
+   * Check definition against a built-in XJSON schema; throws a 400 listing every error
+   */
+  validateDefinition(def, schema, label, extraErrors = []) {
+    const { errors } = new XJSONParser().validate(def, schema);
+    errors.push(...extraErrors);
+
+    if (errors.length > 0) {
+      throw new XJSONValidationError(label, errors);
+    }
+  }
+
+  /**
+   * Shard definitions whose port is already taken by another shard
+   */
+  portConflicts(defs, pathOf) {
+    const xjson = new XJSONParser();
+    const errors = [];
+
+    defs.forEach((raw, i) => {
+      const def = xjson.normalize(raw || {});
+      const owner = def.port !== undefined ? this.getShardByPort(def.port) : null;
+      if (owner && owner.id !== def.id) {
+        errors.push({ path: pathOf(i), message: `${def.port} is already used by shard ${owner.id}` });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Build shard instance (routes, state) from parsed definition
+   */
+  buildShard(shard) {
     const shardId = shard.id || shard['⟁id'] || randomUUID();
     const port = shard.port || shard['⟁port'] || 3001;
     const runtime = shard.runtime || shard['⟁runtime'] || 'kuhul';
@@ -94,37 +219,241 @@ export class HiveOrchestrator {
       runtime,
       api: shard.api || shard['⟁api'] || [],
       view: shard.view || shard['⟁view'] || null,
-      handlers: new Map(),
-      state: {},
-      vm: runtime === 'kuhul' ? new KuhulVM() : null,
+      definition: { ...shard, id: shardId },
+      router: new RouteMatcher(),
+      // Handler modules this shard may call via [Sek ...], e.g. ["filesystem"]
+      handlerModules: shard.handlers || shard['⟁handlers'] || [],
+      // Execution budget / isolation overrides (hive defaults in this.kuhul)
+      limits: shard.limits || shard['⟁limits'] || {},
+      isolation: shard.isolation || shard['⟁isolation'] || null,
+      // Mesh middleware run after the hive-wide chain
+      middleware: this.buildMiddleware(shard.middleware || shard['⟁middleware'] || [], shardId),
+      // Isolated instances, each with its own state (see replica-set.js)
+      replicaSet: this.buildReplicaSet(shard, shardId),
+      // The primary replica's state
+      get state() {
+        return this.replicaSet.replicas[0].state;
+      },
+      set state(value) {
+        this.replicaSet.replicas[0].state = value;
+      },
+      status: 'running',
+      error: null,
       created: Date.now()
     };
 
-    // Compile API handlers
-    for (const route of shardInstance.api) {
-      const path = route.path || route['⟁path'];
-      const method = route.method || route['⟁method'] || 'GET';
-      const handler = route.handler || route['⟁handler'];
+    // Compile API routes (handler type, bytecode / pipeline, schemas) - see XJSONAPICompiler
+    this.compileRoutes(shardInstance);
 
-      shardInstance.handlers.set(`${method}:${path}`, handler);
+    return shardInstance;
+  }
+
+  /**
+   * Compile shard API into its router, reporting bad routes as 400s
+   */
+  compileRoutes(shard) {
+    try {
+      const routes = new XJSONAPICompiler().compile(shard.api, {
+        runtime: shard.runtime,
+        handlers: this.handlers.scope(shard.handlerModules)
+      });
+      for (const route of routes) {
+        shard.router.add(route.method, route.path, route);
+      }
+    } catch (err) {
+      throw new ShardError(`Invalid api for ${shard.id}: ${err.message}`, 400);
     }
+  }
 
-    // Register shard
-    this.shards.set(shardId, shardInstance);
-    this.registry.set(shardId, {
-      id: shardId,
-      port,
+  /**
+   * Build middleware chain, reporting bad declarations as 400s
+   */
+  buildMiddleware(specs, owner) {
+    try {
+      return createMiddleware(specs);
+    } catch (err) {
+      throw new ShardError(`Invalid middleware for ${owner}: ${err.message}`, 400);
+    }
+  }
+
+  /**
+   * Build shard replica set, reporting bad declarations as 400s
+   */
+  buildReplicaSet(shard, shardId) {
+    try {
+      return new ReplicaSet(shardId, {
+        count: shard.replicas ?? shard['⟁replicas'] ?? 1,
+        balance: shard.balance || shard['⟁balance'],
+        health: shard.health || shard['⟁health'],
+        onEvict: (replica) => this.emitShardEvent(shardId, 'replica_evicted', {
+          replica: replica.index,
+          error: replica.lastError
+        }),
+        onRespawn: (replica) => {
+          // The replacement starts empty - record that so a restore matches
+          this.journal({ type: 'shard:state', id: shardId, state: replica.state, replica: replica.index });
+          this.emitShardEvent(shardId, 'replica_respawned', {
+            replica: replica.index,
+            generation: replica.generation
+          });
+        }
+      });
+    } catch (err) {
+      throw new ShardError(`Invalid replicas for ${shardId}: ${err.message}`, 400);
+    }
+  }
+
+  /**
+   * Replace hive-wide mesh middleware
+   */
+  setMeshMiddleware(specs) {
+    this.mesh.chain = this.buildMiddleware(specs, 'mesh');
+    this.mesh.middleware = specs;
+  }
+
+  /**
+   * Add shard instance to the hive and registry (or to the tables restore() is building)
+   */
+  registerShard(shardInstance, tables = this) {
+    tables.shards.set(shardInstance.id, shardInstance);
+    tables.registry.set(shardInstance.id, {
+      id: shardInstance.id,
+      port: shardInstance.port,
       endpoints: shardInstance.api.map(r => ({
         method: r.method || r['⟁method'],
         path: r.path || r['⟁path']
       }))
     });
+  }
+
+  /**
+   * Replace shard definition (API, view, port...) and redeploy it
+   */
+  async updateShard(shardId, shardDef) {
+    const existing = this.requireShard(shardId);
+    const patch = this.parseShardDef(shardDef);
+    const definition = { ...existing.definition, ...patch, id: shardId };
+
+    this.validateDefinition(definition, 'shard', 'shard definition', this.portConflicts([definition], () => 'port'));
+
+    const shard = await this.redeployShard(shardId, definition);
+
+    console.log(`[KLH] Shard updated: ${shardId}`);
 
-    console.log(`[KLH] Shard created: ${shardId} on virtual port ${port}`);
+    return shard;
+  }
+
+  /**
+   * Rebuild shard from its definition, keeping state and lifecycle status
+   */
+  async redeployShard(shardId, definition = null) {
+    const existing = this.requireShard(shardId);
+    const def = definition || existing.definition;
+
+    let shardInstance;
+    try {
+      shardInstance = this.rebuildShard(existing, def);
+    } catch (err) {
+      existing.status = 'failed';
+      existing.error = err.message;
+      await this.journal({ type: 'shard:status', id: shardId, status: 'failed', error: err.message });
+      this.emitShardEvent(shardId, 'failed', { error: err.message });
+      throw err;
+    }
+
+    this.registerShard(shardInstance);
+    if (this.mesh.ports.has(shardId)) {
+      this.mesh.ports.set(shardId, shardInstance.port);
+    }
+
+    console.log(`[KLH] Shard redeployed: ${shardId}`);
+
+    await this.journal({ type: 'shard:update', id: shardId, definition: shardInstance.definition });
+    this.emitShardEvent(shardId, 'updated', { port: shardInstance.port, status: shardInstance.status });
+
+    return shardInstance;
+  }
+
+  /**
+   * Build replacement for a shard from a new definition, keeping its replica states
+   */
+  rebuildShard(existing, definition) {
+    const shardInstance = this.buildShard(definition);
+
+    shardInstance.replicaSet.adoptStates(existing.replicaSet);
+    shardInstance.created = existing.created;
+    shardInstance.status = existing.status === 'stopped' ? 'stopped' : 'running';
 
     return shardInstance;
   }
 
+  /**
+   * Remove shard from the hive
+   */
+  async deleteShard(shardId) {
+    this.requireShard(shardId);
+
+    this.shards.delete(shardId);
+    this.registry.delete(shardId);
+    this.mesh.ports.delete(shardId);
+
+    console.log(`[KLH] Shard deleted: ${shardId}`);
+
+    await this.journal({ type: 'shard:delete', id: shardId });
+    this.emitShardEvent(shardId, 'deleted');
+
+    return { id: shardId, deleted: true };
+  }
+
+  /**
+   * Stop shard - mesh calls are rejected until it is started again
+   */
+  async stopShard(shardId) {
+    const shard = this.requireShard(shardId);
+
+    shard.status = 'stopped';
+
+    console.log(`[KLH] Shard stopped: ${shardId}`);
+
+    await this.journal({ type: 'shard:status', id: shardId, status: 'stopped' });
+    this.emitShardEvent(shardId, 'stopped');
+
+    return shard;
+  }
+
+  /**
+   * Start stopped shard (failed shards are redeployed first)
+   */
+  async startShard(shardId) {
+    let shard = this.requireShard(shardId);
+
+    if (shard.status === 'failed') {
+      shard.status = 'stopped';
+      shard = await this.redeployShard(shardId);
+    }
+
+    shard.status = 'running';
+    shard.error = null;
+
+    console.log(`[KLH] Shard started: ${shardId}`);
+
+    await this.journal({ type: 'shard:status', id: shardId, status: 'running' });
+    this.emitShardEvent(shardId, 'started');
+
+    return shard;
+  }
+
+  /**
+   * Get shard by ID or throw 404
+   */
+  requireShard(shardId) {
+    const shard = this.shards.get(shardId);
+    if (!shard) {
+      throw new ShardError(`Shard not found: ${shardId}`, 404);
+    }
+    return shard;
+  }
+
   /**
    * Get shard by ID
    */
@@ -144,32 +473,254 @@ export class HiveOrchestrator {
     return null;
   }
 
+  /**
+   * Resolve mesh call target: shard ID or virtual port
+   */
+  resolveShard(target) {
+    if (typeof target === 'number' || /^\d+$/.test(String(target))) {
+      const shard = this.getShardByPort(Number(target));
+      if (!shard) {
+        throw new ShardError(`No shard on virtual port ${target}`, 404);
+      }
+      return shard;
+    }
+    return this.requireShard(target);
+  }
+
+  /**
+   * Shard-to-shard call made from inside a handler
+   * `from` is the caller's mesh context { correlationId, chain }
+   */
+  async meshCall(target, method, path, data, from) {
+    // Shards on peer hives are reached through the federation (see hive-federation.js)
+    if (this.federation && !this.shards.has(String(target)) && this.federation.resolve(String(target))) {
+      if (from.chain.includes(String(target))) {
+        throw new ShardError(`Mesh call cycle: ${[...from.chain, target].join(' → ')}`, 508);
+      }
+      if (from.chain.length > this.mesh.maxHops) {
+        throw new ShardError(`Mesh hop limit exceeded (max ${this.mesh.maxHops}): ${[...from.chain, target].join(' → ')}`, 508);
+      }
+      return this.federation.call(String(target), method, path, data, from);
+    }
+
+    const shard = this.resolveShard(target);
+
+    if (from.chain.includes(shard.id)) {
+      throw new ShardError(`Mesh call cycle: ${[...from.chain, shard.id].join(' → ')}`, 508);
+    }
+
+    if (from.chain.length > this.mesh.maxHops) {
+      throw new ShardError(`Mesh hop limit exceeded (max ${this.mesh.maxHops}): ${[...from.chain, shard.id].join(' → ')}`, 508);
+    }
+
+    console.log(`[Mesh] ${from.correlationId} ${from.chain.at(-1)} → ${shard.id} ${method} ${path}`);
+
+    return this.routeToShard(shard.id, method, path, data, { mesh: from });
+  }
+
   /**
    * Route virtual API call to shard
+   * options.vm is passed to the KuhulVM (debugger, trace)
+   * options.mesh carries { correlationId, chain } through nested shard-to-shard calls
    */
-  async routeToShard(shardId, method, path, data) {
-    const shard = this.shards.get(shardId);
-    if (!shard) {
-      throw new Error(`Shard not found: ${shardId}`);
+  async routeToShard(shardId, method, path, data, options = {}) {
+    const shard = this.requireShard(shardId);
+
+    if (shard.status !== 'running') {
+      throw new ShardError(`Shard ${shardId} is ${shard.status}`, 503);
     }
 
-    const handlerKey = `${method}:${path}`;
-    const handler = shard.handlers.get(handlerKey);
+    const match = shard.router.match(method, path);
 
-    if (!handler) {
-      throw new Error(`No handler for ${handlerKey} in shard ${shardId}`);
+    if (!match) {
+      throw new ShardError(`No handler for ${method}:${path} in shard ${shardId}`, 404);
     }
 
-    // Execute handler in K'uhul VM if available
-    if (shard.vm) {
-      return await shard.vm.execute(handler, { shard, data, method, path });
+    // Route defaults, query, params and body; bad input is the caller's fault,
+    // so it is rejected before a replica runs (and can't count against its health)
+    const route = match.handler;
+    const body = data !== null && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    const input = { ...route.defaults, ...match.query, ...match.params, ...body };
+
+    if (route.request) {
+      const { errors } = validate(input, route.request);
+      if (errors.length > 0) {
+        throw new XJSONValidationError(`request for ${route.method} ${route.path}`, errors);
+      }
     }
 
-    // Fallback: mock response
-    return {
-      status: 200,
-      data: { message: `Handler ${handler} executed`, shard: shardId }
+    const replica = shard.replicaSet.pick();
+    if (!replica) {
+      throw new ShardError(`Shard ${shardId} has no healthy replicas`, 503);
+    }
+
+    // Debug sessions run on a copy of the replica's state, outside its queue and
+    // health count: a paused program holds no one up, and its changes are dropped
+    if (options.vm?.debugger) {
+      const copy = { index: replica.index, state: structuredClone(replica.state) };
+      return this.runHandler(shard, copy, { ...match, input }, method, path, data, { ...options, dryRun: true });
+    }
+
+    // Runs that await between reading and writing state are queued per replica
+    // (see needsQueue) - interleaved (or worker) runs would lose updates
+    const run = (lock = null) => this.runHandler(shard, replica, { ...match, input }, method, path, data, { ...options, lock });
+    return shard.replicaSet.run(replica, () => needsQueue(route) ? serialize(replica, run) : run());
+  }
+
+  /**
+   * Execute matched handler against one replica's state
+   * options.lock is the replica's queue lock when the run is serialized (see serialize())
+   * options.dryRun leaves the state changes uncommitted (debug sessions)
+   */
+  async runHandler(shard, replica, match, method, path, data, options) {
+    const shardId = shard.id;
+    const { handler: route, params, query, input } = match;
+    const handlers = this.handlers.scope(shard.handlerModules);
+    let stateBefore = JSON.stringify(replica.state);
+
+    // Calls made by this handler extend the chain and share the correlation ID
+    const mesh = {
+      correlationId: options.mesh?.correlationId || randomUUID(),
+      chain: [...(options.mesh?.chain || []), shardId]
     };
+    const meshCall = async (target, callMethod, callPath, callData) => {
+      if (!options.lock) {
+        return this.meshCall(target, callMethod, callPath, callData, mesh);
+      }
+
+      // A mesh call is a commit point: state changes so far are saved and the
+      // replica takes other runs while the call is out, so two shards calling
+      // each other can't deadlock (state read before the call may be stale after it)
+      await this.commitState(shard, stateBefore, replica);
+      const result = await options.lock.suspend(() => this.meshCall(target, callMethod, callPath, callData, mesh));
+      stateBefore = JSON.stringify(replica.state);
+      return result;
+    };
+    const shardInfo = { id: shard.id, port: shard.port, runtime: shard.runtime, replica: replica.index };
+
+    let result;
+    switch (route.type) {
+      // Route bound straight to a native handler name: input is defaults + query + params + body
+      case 'native':
+        result = await handlers.invoke(route.handler, input, {
+          shard: shardInfo,
+          state: replica.state,
+          mesh: { correlationId: mesh.correlationId, chain: mesh.chain, call: meshCall }
+        });
+        break;
+
+      case 'pipeline':
+        result = await runPipeline(route.pipeline, {
+          input,
+          params,
+          query,
+          body: data,
+          state: replica.state,
+          shard: shardInfo
+        }, {
+          handlers,
+          handlerContext: { shard: shardInfo, state: replica.state },
+          meshCall,
+          events: this.shardEvents(shardId)
+        });
+        break;
+
+      // Execute handler in a fresh K'uhul VM - stack, variables and halt flag
+      // never outlive the request; only the replica's state is shared between calls
+      case 'kuhul': {
+        const limits = { ...this.kuhul.limits, ...shard.limits };
+        const context = {
+          shard: shardInfo,
+          state: replica.state,
+          data,
+          input,
+          method,
+          path,
+          params,
+          query,
+          mesh: { correlationId: mesh.correlationId, chain: mesh.chain, hops: mesh.chain.length - 1 }
+        };
+
+        const isolation = shard.isolation || this.kuhul.isolation;
+
+        // Debug sessions need the VM in-process
+        if (isolation === 'worker' && !options.vm?.debugger) {
+          const output = await runInWorker({
+            program: route.program,
+            context,
+            limits,
+            handlerModules: this.handlers.moduleFiles(shard.handlerModules),
+            meshCall
+          });
+          replaceContents(replica.state, output.state);
+          for (const [topic, payload] of output.events) {
+            this.emitShardEvent(shardId, topic, payload);
+          }
+          result = output.result;
+        } else {
+          const vm = new KuhulVM({
+            ...options.vm,
+            handlers,
+            limits,
+            events: this.shardEvents(shardId),
+            mesh: { call: meshCall }
+          });
+          result = await vm.execute(route.program, context);
+        }
+        break;
+      }
+
+      // Fallback: mock response
+      default:
+        return {
+          status: 200,
+          data: { message: `Handler ${route.handler} executed`, shard: shardId }
+        };
+    }
+
+    if (!options.dryRun) {
+      await this.commitState(shard, stateBefore, replica);
+    }
+
+    // A result breaking the declared response schema is a shard bug, not the caller's
+    if (route.response) {
+      const body = result && typeof result === 'object' && 'status' in result && 'data' in result ? result.data : result;
+      const { errors } = validate(body, route.response);
+      if (errors.length > 0) {
+        throw new XJSONValidationError(`response for ${route.method} ${route.path}`, errors, 500);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Render shard's XJSON view as an HTML document
+   * Bindings see { state, shard, query } plus one entry per view.data source,
+   * e.g. "data": { "users": "GET /list" } runs the shard's own route first
+   */
+  async renderView(shardId, options = {}) {
+    const shard = this.requireShard(shardId);
+    if (!shard.view) {
+      throw new ShardError(`Shard ${shardId} has no view`, 404);
+    }
+
+    const xjson = new XJSONParser();
+    const view = xjson.normalize(shard.view);
+    const data = {
+      state: shard.state,
+      shard: { id: shard.id, port: shard.port, runtime: shard.runtime },
+      query: options.query || {}
+    };
+
+    // Sources run in declaration order, so later ones see state changed by earlier ones
+    for (const [name, source] of Object.entries(view.data || {})) {
+      const [method, path] = String(source).includes(' ') ? String(source).split(/\s+/, 2) : ['GET', source];
+      const result = await this.routeToShard(shardId, method.toUpperCase(), path, null, { mesh: options.mesh });
+      data[name] = result?.data ?? result;
+    }
+
+    return xjson.compileDocument(view, data, { scripts: options.scripts });
   }
 
   /**
@@ -180,6 +731,8 @@ export class HiveOrchestrator {
       id: s.id,
       port: s.port,
       runtime: s.runtime,
+      status: s.status,
+      replicas: s.replicaSet.size,
       endpoints: s.api.length,
       hasView: !!s.view
     }));
@@ -203,9 +756,394 @@ export class HiveOrchestrator {
 
   /**
    * Execute K'uhul code across shards
+   * Hive control glyphs need options.vm.hive - only trusted callers pass it
+   */
+  async executeGlyph(code, context = {}, options = {}) {
+    const vm = new KuhulVM({ limits: this.kuhul.limits, events: this.events, ...options.vm });
+    return await vm.execute(code, context);
+  }
+
+  /**
+   * Run ad-hoc glyph code, optionally against a shard's context
+   * Returns { result, trace, timing }; errors carry .trace and .timing
+   */
+  async evaluate(code, { shardId = null, data = null, context = {}, trace = false } = {}) {
+    const shard = shardId ? this.requireShard(shardId) : null;
+
+    const vm = new KuhulVM({
+      handlers: shard ? this.handlers.scope(shard.handlerModules) : null,
+      limits: { ...this.kuhul.limits, ...shard?.limits },
+      events: shard ? this.shardEvents(shard.id) : this.events,
+      trace
+    });
+
+    const shardContext = shard
+      ? { shard: { id: shard.id, port: shard.port, runtime: shard.runtime }, state: shard.state }
+      : {};
+
+    const stateBefore = JSON.stringify(shard?.state);
+    const started = performance.now();
+    const timing = () => ({
+      durationMs: Math.round((performance.now() - started) * 1000) / 1000,
+      instructions: vm.steps
+    });
+
+    let result;
+    try {
+      result = await vm.execute(code, { ...shardContext, data, ...context });
+    } catch (err) {
+      err.trace = vm.trace;
+      err.timing = timing();
+      throw err;
+    }
+
+    if (shard) {
+      await this.commitState(shard, stateBefore);
+    }
+
+    return {
+      result: inspectValue(result),
+      trace: vm.trace,
+      timing: timing()
+    };
+  }
+
+  // ========================================
+  // EVENTS
+  // ========================================
+
+  /**
+   * Publish shard.<id>.<event> (suppressed while replaying the journal)
+   */
+  emitShardEvent(shardId, event, data = null) {
+    return this.events.publish(`shard.${shardId}.${event}`, data, shardId);
+  }
+
+  /**
+   * Event sink for K'uhul running in a shard - [Sek emit name] becomes shard.<id>.name
+   */
+  shardEvents(shardId) {
+    return {
+      publish: (topic, data) => this.emitShardEvent(shardId, topic, data)
+    };
+  }
+
+  /**
+   * Journal and announce replica state after a handler ran, when it changed
+   * (replica defaults to the primary, whose state is shard.state)
+   */
+  async commitState(shard, stateBefore, replica = shard.replicaSet.replicas[0]) {
+    const stateAfter = JSON.stringify(replica.state);
+    if (stateAfter === stateBefore) return;
+
+    const replicaField = replica.index > 0 ? { replica: replica.index } : {};
+    await this.journal({ type: 'shard:state', id: shard.id, state: replica.state, ...replicaField });
+    this.emitShardEvent(shard.id, 'state', { state: JSON.parse(stateAfter), ...replicaField });
+  }
+
+  // ========================================
+  // PERSISTENCE
+  // ========================================
+
+  /**
+   * Serialize hive to a plain snapshot object
+   */
+  toSnapshot() {
+    return {
+      version: 1,
+      hive: this.id,
+      booted: this.booted,
+      timestamp: Date.now(),
+      shards: Array.from(this.shards.values()).map(s => ({
+        definition: s.definition,
+        state: s.state,
+        status: s.status,
+        ...(s.replicaSet.size > 1 ? { replicaStates: s.replicaSet.replicas.map(r => r.state) } : {})
+      })),
+      mesh: {
+        protocol: this.mesh.protocol,
+        ports: Object.fromEntries(this.mesh.ports),
+        maxHops: this.mesh.maxHops,
+        middleware: this.mesh.middleware
+      },
+      registry: Array.from(this.registry.values()),
+      kuhul: this.kuhul
+    };
+  }
+
+  /**
+   * Write full snapshot to the store
+   */
+  async snapshot() {
+    const snapshot = this.toSnapshot();
+
+    if (this.store) {
+      // Journal writes wait for this, so none land between the snapshot and the truncation
+      const saving = this.store.save(snapshot);
+      this.saving = saving;
+      try {
+        await saving;
+      } finally {
+        if (this.saving === saving) this.saving = null;
+      }
+      this.journalLength = 0;
+      console.log(`[KLH] Snapshot saved: ${snapshot.shards.length} shards`);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Rehydrate hive from a snapshot (or from the store when omitted)
+   * The restored shards are built next to the live ones and swapped in only
+   * once every one of them built, so a bad snapshot leaves the hive as it was
    */
-  async executeGlyph(code, context = {}) {
-    const vm = new KuhulVM();
-    return await vm.execute(code, { hive: this, ...context });
+  async restore(snapshot = null) {
+    let journal = [];
+    const supplied = !!snapshot;
+
+    if (!snapshot) {
+      if (!this.store) {
+        throw new Error('No hive store configured');
+      }
+      ({ snapshot, journal } = await this.store.load());
+    }
+
+    if (!snapshot && journal.length === 0) {
+      return { restored: false, hive: this.id, shards: [] };
+    }
+
+    // Stored snapshots and journaled definitions predate validation - only check supplied ones
+    if (supplied) {
+      this.validateSnapshot(snapshot);
+    }
+
+    const staged = this.stageRestore(snapshot, journal);
+
+    this.id = staged.id;
+    this.booted = staged.booted;
+    this.kuhul = staged.kuhul;
+    this.shards = staged.shards;
+    this.registry = staged.registry;
+    Object.assign(this.mesh, staged.mesh);
+
+    // Compact replayed journal into a fresh snapshot; a supplied snapshot
+    // replaces the stored one, or a restart would bring back the old hive
+    if (journal.length > 0 || supplied) {
+      await this.snapshot();
+    }
+
+    console.log(`[KLH] Hive ${this.id} restored with ${this.shards.size} shards`);
+
+    // Restoring emits no shard events, so followers resync from this
+    const shards = Array.from(this.shards.keys());
+    this.events.publish('hive.restored', { hive: this.id, shards });
+
+    return {
+      restored: true,
+      hive: this.id,
+      shards
+    };
   }
+
+  /**
+   * Check supplied snapshot like a hive config (shard definitions, duplicate
+   * ids and ports, mesh and K'uhul settings); throws a 400 listing every error
+   */
+  validateSnapshot(snapshot) {
+    const shards = Array.isArray(snapshot.shards)
+      ? snapshot.shards.map(entry => entry?.definition)
+      : snapshot.shards;
+    const config = {
+      ...(snapshot.hive !== undefined ? { hive: snapshot.hive } : {}),
+      ...(shards !== undefined ? { shards } : {}),
+      ...(snapshot.kuhul ? { kuhul: snapshot.kuhul } : {}),
+      ...(snapshot.mesh ? {
+        mesh: {
+          protocol: snapshot.mesh.protocol,
+          maxHops: snapshot.mesh.maxHops,
+          middleware: snapshot.mesh.middleware || []
+        }
+      } : {})
+    };
+
+    const { errors } = new XJSONParser().validate(config, 'hive');
+    if (errors.length > 0) {
+      throw new XJSONValidationError('hive snapshot', errors.map(e => ({
+        ...e,
+        path: e.path.replace(/^shards\[(\d+)\]/, 'shards[$1].definition')
+      })));
+    }
+  }
+
+  /**
+   * Build the hive a snapshot and journal describe without touching the live one
+   * Returns { id, booted, kuhul, shards, registry, mesh }; throws if any shard fails to build
+   */
+  stageRestore(snapshot, journal) {
+    const staged = {
+      id: this.id,
+      booted: this.booted,
+      kuhul: this.kuhul,
+      shards: new Map(),
+      registry: new Map(),
+      mesh: { ports: new Map() }
+    };
+
+    if (snapshot) {
+      staged.id = snapshot.hive || this.id;
+      staged.booted = !!snapshot.booted;
+      if (snapshot.kuhul) staged.kuhul = snapshot.kuhul;
+
+      const middleware = snapshot.mesh?.middleware || [];
+      Object.assign(staged.mesh, {
+        protocol: snapshot.mesh?.protocol || 'virtual-rest',
+        maxHops: snapshot.mesh?.maxHops ?? this.mesh.maxHops,
+        chain: this.buildMiddleware(middleware, 'mesh'),
+        middleware
+      });
+
+      for (const { definition, state, status, replicaStates } of snapshot.shards || []) {
+        const shard = this.buildShard(this.parseShardDef(definition));
+        shard.state = state || {};
+        shard.status = status || 'running';
+        (replicaStates || []).forEach((replicaState, i) => {
+          const replica = shard.replicaSet.replicas[i];
+          if (replica && i > 0) replica.state = replicaState || {};
+        });
+        this.registerShard(shard, staged);
+      }
+
+      for (const [shardId, port] of Object.entries(snapshot.mesh?.ports || {})) {
+        staged.mesh.ports.set(shardId, port);
+      }
+
+      for (const entry of snapshot.registry || []) {
+        staged.registry.set(entry.id, entry);
+      }
+    }
+
+    for (const entry of journal) {
+      this.applyJournalEntry(entry, staged);
+    }
+
+    return staged;
+  }
+
+  /**
+   * Replay one journal entry onto the tables stageRestore() is building
+   */
+  applyJournalEntry(entry, staged) {
+    const shard = staged.shards.get(entry.id);
+
+    switch (entry.type) {
+      case 'shard:create':
+        this.registerShard(this.buildShard(this.parseShardDef(entry.definition)), staged);
+        break;
+
+      case 'shard:state': {
+        const replica = shard?.replicaSet.replicas[entry.replica || 0];
+        if (replica) replica.state = entry.state || {};
+        break;
+      }
+
+      case 'shard:update':
+        if (shard) {
+          const rebuilt = this.rebuildShard(shard, entry.definition);
+          this.registerShard(rebuilt, staged);
+          if (staged.mesh.ports.has(entry.id)) {
+            staged.mesh.ports.set(entry.id, rebuilt.port);
+          }
+        }
+        break;
+
+      case 'shard:delete':
+        staged.shards.delete(entry.id);
+        staged.registry.delete(entry.id);
+        staged.mesh.ports.delete(entry.id);
+        break;
+
+      case 'shard:status':
+        if (shard) {
+          shard.status = entry.status;
+          shard.error = entry.error || null;
+        }
+        break;
+
+      default:
+        console.warn(`[KLH] Unknown journal entry: ${entry.type}`);
+    }
+  }
+
+  /**
+   * Append change to the store journal (no-op without a store);
+   * compacts it into a snapshot once it reaches compactAfter entries
+   */
+  async journal(entry) {
+    if (!this.store) return;
+
+    try {
+      while (this.saving) await this.saving.catch(() => {});
+      await this.store.append(entry);
+
+      if (++this.journalLength >= this.compactAfter) {
+        await this.snapshot();
+      }
+    } catch (err) {
+      console.error('[KLH] Failed to persist hive change:', err.message);
+    }
+  }
+}
+
+/**
+ * Whether runs of a route go through the replica's queue: K'uhul programs, and
+ * pipelines that write state (set / push) and await a handler or shard (call / mesh)
+ */
+function needsQueue(route) {
+  if (route.type === 'kuhul') return true;
+  if (route.type !== 'pipeline') return false;
+
+  const ops = new Set(route.pipeline.map(step => step.op));
+  return (ops.has('set') || ops.has('push')) && (ops.has('call') || ops.has('mesh'));
+}
+
+/**
+ * Run fn(lock) holding the replica's lock - runs on one replica are queued in order
+ * lock.suspend(work) releases the lock while work (an outbound mesh call) is out
+ * and takes it back, in turn, before returning work's result
+ */
+async function serialize(replica, fn) {
+  let release = await acquire(replica);
+  let done = false;
+
+  const lock = {
+    async suspend(work) {
+      release();
+      try {
+        return await work();
+      } finally {
+        release = await acquire(replica);
+        // The run may have ended (time limit) while work was out
+        if (done) release();
+      }
+    }
+  };
+
+  try {
+    return await fn(lock);
+  } finally {
+    done = true;
+    release();
+  }
+}
+
+/**
+ * Join the replica's queue; resolves to the release function once it is our turn
+ */
+function acquire(replica) {
+  const previous = replicaQueues.get(replica) || Promise.resolve();
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  replicaQueues.set(replica, previous.then(() => held));
+  return previous.then(() => release);
 }
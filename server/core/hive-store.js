@@ -0,0 +1,120 @@
+/**
+ * Hive Store
+ * Persistence layer for hive state (shard definitions, shard state, mesh ports, registry)
+ *
+ * A store implements:
+ *   load()            -> { snapshot, journal } (snapshot may be null, journal is an array)
+ *   save(snapshot)    -> persist a full snapshot and compact the journal
+ *   append(entry)     -> record a single change since the last snapshot
+ *   clear()           -> drop everything
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * JSON file + append-log store (default)
+ *
+ * Layout:
+ *   <dir>/snapshot.json   - last full snapshot
+ *   <dir>/journal.log     - newline-delimited JSON entries written after the snapshot
+ */
+export class JSONFileHiveStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.snapshotPath = path.join(dir, 'snapshot.json');
+    this.journalPath = path.join(dir, 'journal.log');
+  }
+
+  /**
+   * Load last snapshot and pending journal entries
+   */
+  async load() {
+    let snapshot = null;
+    const journal = [];
+
+    try {
+      snapshot = JSON.parse(await fs.readFile(this.snapshotPath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`[HiveStore] Ignoring unreadable snapshot: ${err.message}`);
+      }
+    }
+
+    try {
+      const lines = (await fs.readFile(this.journalPath, 'utf8')).split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          journal.push(JSON.parse(line));
+        } catch {
+          // A torn write at the tail of the log - everything before it is still valid
+          console.warn('[HiveStore] Skipping corrupt journal entry');
+        }
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    return { snapshot, journal };
+  }
+
+  /**
+   * Write full snapshot atomically and truncate the journal
+   */
+  async save(snapshot) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(snapshot, null, 2));
+    await fs.rename(tmpPath, this.snapshotPath);
+    await fs.writeFile(this.journalPath, '');
+  }
+
+  /**
+   * Append single journal entry
+   */
+  async append(entry) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.appendFile(this.journalPath, JSON.stringify({ ...entry, at: Date.now() }) + '\n');
+  }
+
+  /**
+   * Remove snapshot and journal
+   */
+  async clear() {
+    await fs.rm(this.snapshotPath, { force: true });
+    await fs.rm(this.journalPath, { force: true });
+  }
+}
+
+/**
+ * In-memory store (useful for tests and ephemeral hives)
+ */
+export class MemoryHiveStore {
+  constructor() {
+    this.snapshot = null;
+    this.journal = [];
+  }
+
+  async load() {
+    return {
+      snapshot: this.snapshot ? structuredClone(this.snapshot) : null,
+      journal: structuredClone(this.journal)
+    };
+  }
+
+  async save(snapshot) {
+    this.snapshot = structuredClone(snapshot);
+    this.journal = [];
+  }
+
+  async append(entry) {
+    this.journal.push(structuredClone({ ...entry, at: Date.now() }));
+  }
+
+  async clear() {
+    this.snapshot = null;
+    this.journal = [];
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * K'uhul Debug Server
+ * WebSocket front-end for KuhulDebugger (WS /mesh/debug)
+ *
+ * Client -> server:
+ *   { type: 'debug:start', code, context?, breakpoints?, stopOnEntry? }
+ *   { type: 'debug:start', shardId, method, path, data?, headers?, breakpoints?, stopOnEntry? }
+ *   { type: 'debug:breakpoints', lines: [3, 7] }
+ *   { type: 'debug:continue' | 'debug:step' | 'debug:stepInstruction' | 'debug:pause' | 'debug:stop' }
+ *   { type: 'debug:inspect' }
+ *
+ * Server -> client:
+ *   debug:connected, debug:started, debug:paused (pc, line, raw, stack, variables, frames),
+ *   debug:resumed, debug:completed (result, trace, duration), debug:error (error, status, line, trace)
+ *
+ * A shard route is called through the mesh middleware chain (apiKey, rateLimit, ...)
+ * like any /mesh/:shardId/ call, with the upgrade request's headers overridden by
+ * msg.headers. It runs on a copy of the replica's state, so a paused session holds
+ * up no other request and its state changes are dropped.
+ */
+
+import { KuhulDebugger, inspectValue } from '../../lib/kuhul/debugger.js';
+
+export class KuhulDebugServer {
+  constructor(hive, mesh) {
+    this.hive = hive;
+    this.mesh = mesh;
+    this.sessions = new Map();
+
+    console.log('[Debug] K\'uhul debug server initialized');
+  }
+
+  /**
+   * Handle debugger WebSocket connection (one debug session per socket)
+   */
+  handleWebSocket(ws, url, req = null) {
+    const sessionId = Math.random().toString(36).substr(2, 9);
+    const send = (msg) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(msg));
+      }
+    };
+
+    console.log(`[Debug] Session connected: ${sessionId}`);
+
+    ws.on('message', async (message) => {
+      try {
+        const msg = JSON.parse(message.toString());
+        const session = this.sessions.get(sessionId);
+
+        if (msg.type === 'debug:start') {
+          if (session && !session.done) {
+            throw new Error('A program is already running in this session');
+          }
+          this.start(sessionId, msg, send, req);
+          return;
+        }
+
+        if (!session) {
+          throw new Error('No debug session - send debug:start first');
+        }
+
+        const dbg = session.debugger;
+
+        switch (msg.type) {
+          case 'debug:breakpoints':
+            dbg.setBreakpoints(msg.lines || []);
+            send({ type: 'debug:breakpoints', lines: Array.from(dbg.breakpoints) });
+            break;
+
+          case 'debug:continue':
+            dbg.continue();
+            break;
+
+          case 'debug:step':
+            dbg.step();
+            break;
+
+          case 'debug:stepInstruction':
+            dbg.stepInstruction();
+            break;
+
+          case 'debug:pause':
+            dbg.pause();
+            break;
+
+          case 'debug:stop':
+            dbg.stop();
+            break;
+
+          case 'debug:inspect':
+            send({ type: 'debug:state', paused: !!dbg.paused, ...(dbg.paused || {}) });
+            break;
+
+          default:
+            throw new Error(`Unknown debug message: ${msg.type}`);
+        }
+      } catch (err) {
+        send({ type: 'error', error: err.message });
+      }
+    });
+
+    ws.on('close', () => {
+      // Abort anything still running so a paused VM doesn't wait forever
+      this.sessions.get(sessionId)?.debugger.stop();
+      this.sessions.delete(sessionId);
+      console.log(`[Debug] Session disconnected: ${sessionId}`);
+    });
+
+    send({ type: 'debug:connected', sessionId });
+  }
+
+  /**
+   * Start program (ad-hoc code or shard route) under the debugger
+   */
+  start(sessionId, msg, send, req = null) {
+    const dbg = new KuhulDebugger({
+      breakpoints: msg.breakpoints || [],
+      stopOnEntry: !!msg.stopOnEntry,
+      onPause: (state) => send({ type: 'debug:paused', ...state }),
+      onResume: ({ mode }) => send({ type: 'debug:resumed', mode })
+    });
+
+    const session = { debugger: dbg, trace: [], done: false };
+    this.sessions.set(sessionId, session);
+
+    const vm = { debugger: dbg, trace: session.trace };
+    const started = Date.now();
+
+    const run = msg.shardId
+      ? this.callShard(msg, vm, req)
+      : this.hive.executeGlyph(msg.code, msg.context || {}, { vm });
+
+    send({ type: 'debug:started', shardId: msg.shardId || null });
+
+    run
+      .then(result => send({
+        type: 'debug:completed',
+        result: inspectValue(result),
+        trace: session.trace,
+        duration: Date.now() - started
+      }))
+      .catch(err => send({
+        type: 'debug:error',
+        error: err.message,
+        status: err.status || 500,
+        line: err.line ?? null,
+        trace: session.trace
+      }))
+      .finally(() => {
+        session.done = true;
+      });
+  }
+
+  /**
+   * Call shard route under the debugger through the mesh middleware chain
+   * Error responses reject with the error behind them (or the middleware's answer)
+   */
+  async callShard(msg, vm, req) {
+    const ctx = this.mesh.socketContext(req, { ...msg, method: msg.method || 'GET' });
+    ctx.vm = vm;
+    await this.mesh.runChain(ctx);
+
+    if (ctx.status >= 400) {
+      if (ctx.error) throw ctx.error;
+      const err = new Error(ctx.body?.error || `Request failed with status ${ctx.status}`);
+      err.status = ctx.status;
+      throw err;
+    }
+
+    return ctx.body;
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * K'uhul Worker
+ * Runs a shard handler in a worker_threads isolate so a runaway program
+ * cannot block the HTTP server's event loop
+ *
+ * The same file is the worker entry point: when loaded as a worker it executes
+ * the program from workerData and posts back { result, state, events } or { error }.
+ * Mesh calls made by the program are relayed to the main thread ({ meshCall }
+ * out, { meshResult } back) since other shards live there. Both carry the
+ * shard state: the replica may run other requests while a call is out.
+ */
+
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import { KuhulVM, DEFAULT_LIMITS } from '../../lib/kuhul/vm.js';
+import { KuhulError, KuhulLimitError } from '../../lib/kuhul/errors.js';
+import { HandlerRegistry } from './handler-registry.js';
+
+const WORKER_FILE = fileURLToPath(import.meta.url);
+
+// Extra time given to the worker to report its own time limit before it is killed
+const TERMINATE_GRACE_MS = 250;
+
+/**
+ * Execute program in a fresh worker
+ * Resolves { result, state, events }; rejects with KuhulError / KuhulLimitError
+ */
+export function runInWorker({ program, context, limits = {}, handlerModules = [], meshCall = null }) {
+  const budget = { ...DEFAULT_LIMITS, ...limits };
+  const heapMb = Math.max(16, Math.ceil(budget.memoryBytes / (1024 * 1024)) * 2);
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+
+    const worker = new Worker(WORKER_FILE, {
+      workerData: { kuhul: true, program, context, limits: budget, handlerModules },
+      resourceLimits: { maxOldGenerationSizeMb: heapMb }
+    });
+
+    // Hard stop: a tight loop never reaches the VM's own time check
+    const timer = setTimeout(() => {
+      worker.terminate();
+      settle(reject, new KuhulLimitError('time', `${budget.timeMs}ms`));
+    }, budget.timeMs + TERMINATE_GRACE_MS);
+
+    worker.on('message', (msg) => {
+      if (msg.meshCall) {
+        relayMeshCall(worker, msg.meshCall, meshCall, context.state);
+        return;
+      }
+
+      worker.terminate();
+      if (msg.error) {
+        settle(reject, reviveError(msg.error));
+      } else {
+        settle(resolve, msg);
+      }
+    });
+
+    worker.once('error', (err) => {
+      settle(reject, err.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? new KuhulLimitError('memory', `${heapMb}MB heap`)
+        : err);
+    });
+
+    worker.once('exit', (code) => {
+      settle(reject, new KuhulError(`K'uhul worker exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Run a worker's mesh call in the main thread and post the outcome back
+ * The worker's state is written to the shared state first and read back after
+ */
+async function relayMeshCall(worker, { id, target, method, path, data, state }, meshCall, sharedState) {
+  try {
+    if (!meshCall) {
+      throw new KuhulError('mesh_call is not available here');
+    }
+    if (state && sharedState) replaceContents(sharedState, state);
+    const result = await meshCall(target, method, path, data);
+    worker.postMessage({ meshResult: { id, result: JSON.parse(JSON.stringify(result ?? null)), state: sharedState } });
+  } catch (err) {
+    worker.postMessage({ meshResult: { id, error: serializeError(err), state: sharedState } });
+  }
+}
+
+/**
+ * Replace an object's contents in place (keeps references held elsewhere valid)
+ */
+export function replaceContents(target, source) {
+  for (const key of Object.keys(target)) {
+    delete target[key];
+  }
+  Object.assign(target, source);
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    line: err.line,
+    raw: err.raw,
+    limit: err.limit,
+    max: err.max,
+    status: err.status
+  };
+}
+
+/**
+ * Rebuild typed error from its posted form
+ */
+function reviveError(data) {
+  const err = data.name === 'KuhulLimitError'
+    ? new KuhulLimitError(data.limit, data.max)
+    : new KuhulError(data.message);
+
+  err.message = data.message;
+  err.line = data.line ?? null;
+  err.raw = data.raw ?? null;
+  if (data.status) err.status = data.status;
+
+  return err;
+}
+
+// ========================================
+// WORKER ENTRY
+// ========================================
+
+if (!isMainThread && workerData?.kuhul) {
+  const { program, context, limits, handlerModules } = workerData;
+
+  (async () => {
+    try {
+      const registry = await new HandlerRegistry({ quiet: true }).loadFiles(handlerModules);
+      // Emitted events are published by the main thread once the run completes
+      const events = [];
+
+      // Pending mesh calls, answered by the main thread
+      const pending = new Map();
+      let nextCallId = 0;
+      parentPort.on('message', ({ meshResult }) => {
+        const call = meshResult && pending.get(meshResult.id);
+        if (!call) return;
+        pending.delete(meshResult.id);
+        if (meshResult.state && context.state) replaceContents(context.state, meshResult.state);
+        if (meshResult.error) {
+          call.reject(reviveError(meshResult.error));
+        } else {
+          call.resolve(meshResult.result);
+        }
+      });
+
+      const vm = new KuhulVM({
+        handlers: registry.scope(handlerModules.map(m => m.name)),
+        events: { publish: (topic, data) => events.push([topic, data]) },
+        mesh: {
+          call: (target, method, path, data) => new Promise((resolve, reject) => {
+            const id = ++nextCallId;
+            pending.set(id, { resolve, reject });
+            parentPort.postMessage({ meshCall: { id, target, method, path, data, state: context.state } });
+          })
+        },
+        limits
+      });
+
+      const result = await vm.execute(program, context);
+
+      try {
+        parentPort.postMessage({ result, state: context.state, events });
+      } catch {
+        // Result holds something uncloneable - fall back to its JSON form
+        parentPort.postMessage(JSON.parse(JSON.stringify({ result, state: context.state, events })));
+      }
+    } catch (err) {
+      parentPort.postMessage({ error: serializeError(err) });
+    }
+
+    // Stop listening for mesh results so the worker can exit
+    parentPort.removeAllListeners('message');
+  })();
+}
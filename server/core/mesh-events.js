@@ -0,0 +1,129 @@
+/**
+ * Mesh Event Bus
+ * Topic-based pub/sub for shard events with a bounded replay buffer
+ *
+ * Topics are dot-separated: shard.<id>.<event>
+ *   shard.users.created     - orchestrator lifecycle (created, updated, started,
+ *                             stopped, failed, deleted, state)
+ *   shard.users.order_added - emitted from K'uhul with [Sek emit order_added]
+ *   hive.booted
+ *   hive.restored           - after a restore, whose shard events are suppressed
+ *
+ * Patterns: `*` matches one segment, `#` (last segment only) matches the rest
+ *   shard.users.#   shard.*.state   #
+ */
+
+export const DEFAULT_REPLAY_SIZE = 256;
+
+/**
+ * Malformed topic or pattern
+ */
+export class MeshEventError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MeshEventError';
+    this.status = 400;
+  }
+}
+
+export class MeshEventBus {
+  constructor(options = {}) {
+    this.replaySize = options.replaySize ?? DEFAULT_REPLAY_SIZE;
+    this.buffer = [];
+    this.subscribers = new Set();
+    this.sequence = 0;
+  }
+
+  /**
+   * Publish event to matching subscribers; returns the event envelope
+   * { id, topic, source, data, timestamp }
+   */
+  publish(topic, data = null, source = null) {
+    if (!isValidTopic(topic)) {
+      throw new MeshEventError(`Invalid event topic: ${topic}`);
+    }
+
+    const event = {
+      id: ++this.sequence,
+      topic,
+      source,
+      data,
+      timestamp: Date.now()
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.replaySize) {
+      this.buffer.shift();
+    }
+
+    for (const sub of this.subscribers) {
+      if (sub.patterns.some(p => matchTopic(p, topic))) {
+        try {
+          sub.listener(event);
+        } catch (err) {
+          console.error('[Mesh] Event listener error:', err.message);
+        }
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Subscribe listener to one or more topic patterns; returns unsubscribe function
+   */
+  subscribe(patterns, listener) {
+    const list = [].concat(patterns);
+    for (const pattern of list) {
+      if (!isValidPattern(pattern)) {
+        throw new MeshEventError(`Invalid topic pattern: ${pattern}`);
+      }
+    }
+
+    const sub = { patterns: list, listener };
+    this.subscribers.add(sub);
+    return () => this.subscribers.delete(sub);
+  }
+
+  /**
+   * Buffered events matching patterns (optionally only those after event id `since`)
+   */
+  replay(patterns, { since = 0, limit = this.replaySize } = {}) {
+    const list = [].concat(patterns);
+    const events = this.buffer.filter(e =>
+      e.id > since && list.some(p => matchTopic(p, e.topic))
+    );
+    return limit > 0 ? events.slice(-limit) : [];
+  }
+
+  clear() {
+    this.buffer = [];
+  }
+}
+
+/**
+ * Match topic against pattern (`*` one segment, trailing `#` any remainder)
+ */
+export function matchTopic(pattern, topic) {
+  const p = pattern.split('.');
+  const t = topic.split('.');
+
+  for (let i = 0; i < p.length; i++) {
+    if (p[i] === '#') return true;
+    if (i >= t.length) return false;
+    if (p[i] !== '*' && p[i] !== t[i]) return false;
+  }
+
+  return p.length === t.length;
+}
+
+function isValidTopic(topic) {
+  return typeof topic === 'string' && topic.length > 0 &&
+    topic.split('.').every(s => s.length > 0 && s !== '*' && s !== '#');
+}
+
+function isValidPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0) return false;
+  const segments = pattern.split('.');
+  return segments.every((s, i) => s.length > 0 && (s !== '#' || i === segments.length - 1));
+}
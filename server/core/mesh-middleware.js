@@ -0,0 +1,286 @@
+/**
+ * Mesh Middleware
+ * Ordered middleware chain for mesh calls: HTTP /mesh/:shardId/* and WebSocket mesh:call
+ *
+ * Declared in asx-config.json under `mesh.middleware` (hive-wide, runs first)
+ * and in a shard definition under `middleware` (runs after the hive chain):
+ *
+ *   "middleware": [
+ *     { "use": "logger" },
+ *     { "use": "cors", "origins": ["https://app.example.com"] },
+ *     { "use": "apiKey", "keys": ["env:MESH_API_KEY"] },
+ *     { "use": "rateLimit", "limit": 60, "windowMs": 60000, "by": "ip" },
+ *     { "use": "transform", "response": { "wrap": "data" } }
+ *   ]
+ *
+ * A middleware is async (ctx, next) => {}. It may change ctx.data / ctx.path before
+ * calling next(), change ctx.status / ctx.body / ctx.headers after it, or answer
+ * directly by setting ctx.status and ctx.body without calling next().
+ */
+
+import { timingSafeEqual } from 'crypto';
+
+/**
+ * Middleware factories by name - (options) => async (ctx, next)
+ */
+const MIDDLEWARE = new Map([
+  ['logger', createLogger],
+  ['cors', createCors],
+  ['apiKey', createApiKey],
+  ['rateLimit', createRateLimit],
+  ['transform', createTransform]
+]);
+
+/**
+ * Add a custom middleware type usable as { "use": name }
+ */
+export function registerMiddleware(name, factory) {
+  MIDDLEWARE.set(name, factory);
+}
+
+/**
+ * Build middleware functions from declarations (throws on unknown names)
+ */
+export function createMiddleware(specs = []) {
+  if (!Array.isArray(specs)) {
+    throw new Error('middleware must be an array');
+  }
+
+  return specs.map((spec, idx) => {
+    const { use, ...config } = typeof spec === 'string' ? { use: spec } : spec || {};
+    const factory = MIDDLEWARE.get(use);
+    if (!factory) {
+      throw new Error(`Unknown middleware "${use}" at index ${idx}`);
+    }
+    const fn = factory(config);
+    fn.middlewareName = use;
+    return fn;
+  });
+}
+
+/**
+ * Run middleware chain in order, then `terminal` (the shard call)
+ * A thrown error becomes ctx.status / ctx.body where it is caught, so the
+ * middleware around it (logger, transform) sees the status actually sent
+ */
+export async function runMiddleware(middleware, ctx, terminal) {
+  let index = -1;
+
+  const dispatch = async (i) => {
+    if (i <= index) {
+      throw new Error('next() called multiple times');
+    }
+    index = i;
+
+    const fn = i < middleware.length ? middleware[i] : terminal;
+    if (!fn) return;
+
+    try {
+      await fn(ctx, () => dispatch(i + 1));
+    } catch (err) {
+      failRequest(ctx, err);
+    }
+  };
+
+  await dispatch(0);
+  return ctx;
+}
+
+/**
+ * Answer with an error's status (500 unless it carries one) and message
+ */
+export function failRequest(ctx, err) {
+  console.error('[Mesh] Routing error:', err.message);
+  ctx.error = err;
+  ctx.status = err.status || 500;
+  ctx.body = {
+    error: err.message,
+    ...(err.limit ? { limit: err.limit, max: err.max } : {})
+  };
+}
+
+/**
+ * Answer the request without reaching the shard
+ */
+function reject(ctx, status, error, headers = {}) {
+  ctx.status = status;
+  ctx.body = { error, shard: ctx.shardId };
+  Object.assign(ctx.headers, headers);
+}
+
+// ========================================
+// BUILT-IN MIDDLEWARE
+// ========================================
+
+/**
+ * Request logging: method, path, status, duration, correlation ID
+ */
+function createLogger({ format = 'text' } = {}) {
+  return async (ctx, next) => {
+    const started = Date.now();
+    try {
+      await next();
+    } finally {
+      const entry = {
+        method: ctx.method,
+        shard: ctx.shardId,
+        path: ctx.path,
+        status: ctx.status,
+        ms: Date.now() - started,
+        correlationId: ctx.correlationId
+      };
+
+      console.log(format === 'json'
+        ? JSON.stringify({ mesh: entry })
+        : `[Mesh] ${entry.method} /mesh/${entry.shard}${entry.path} → ${entry.status} (${entry.ms}ms) ${entry.correlationId}`);
+    }
+  };
+}
+
+/**
+ * CORS policy; answers preflight (OPTIONS) requests itself
+ */
+function createCors({
+  origins = ['*'],
+  methods = ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  headers = ['Content-Type', 'Authorization', 'X-API-Key', 'X-Correlation-Id'],
+  credentials = false,
+  maxAge = null
+} = {}) {
+  const allowAll = origins.includes('*');
+
+  return async (ctx, next) => {
+    const origin = ctx.requestHeaders.origin;
+    const allowed = allowAll ? (credentials && origin ? origin : '*')
+      : origin && origins.includes(origin) ? origin
+      : null;
+
+    if (allowed) {
+      ctx.headers['Access-Control-Allow-Origin'] = allowed;
+      ctx.headers['Access-Control-Allow-Methods'] = methods.join(', ');
+      ctx.headers['Access-Control-Allow-Headers'] = headers.join(', ');
+      if (allowed !== '*') ctx.headers['Vary'] = 'Origin';
+      if (credentials) ctx.headers['Access-Control-Allow-Credentials'] = 'true';
+      if (maxAge !== null) ctx.headers['Access-Control-Max-Age'] = String(maxAge);
+    }
+
+    if (ctx.method === 'OPTIONS') {
+      ctx.status = allowed ? 204 : 403;
+      ctx.body = allowed ? null : { error: 'Origin not allowed' };
+      return;
+    }
+
+    await next();
+  };
+}
+
+/**
+ * API key check against a header (default X-API-Key) or query parameter
+ * Keys written as "env:NAME" are read from the environment
+ */
+function createApiKey({ keys = [], header = 'x-api-key', query = null } = {}) {
+  const resolved = keys
+    .map(k => (typeof k === 'string' && k.startsWith('env:') ? process.env[k.slice(4)] : k))
+    .filter(Boolean)
+    .map(k => Buffer.from(String(k)));
+
+  const matches = (candidate) => {
+    const buf = Buffer.from(candidate);
+    return resolved.some(k => k.length === buf.length && timingSafeEqual(k, buf));
+  };
+
+  return async (ctx, next) => {
+    const candidate = ctx.requestHeaders[header.toLowerCase()] ||
+      (query ? ctx.query[query] : null);
+
+    if (!candidate) {
+      reject(ctx, 401, 'API key required', { 'WWW-Authenticate': `ApiKey header="${header}"` });
+      return;
+    }
+
+    if (!matches(String(candidate))) {
+      reject(ctx, 403, 'Invalid API key');
+      return;
+    }
+
+    ctx.state.apiKey = String(candidate);
+    await next();
+  };
+}
+
+/**
+ * Fixed-window rate limit, counted per shard and per client (ip | key | global)
+ */
+function createRateLimit({ limit = 60, windowMs = 60000, by = 'ip' } = {}) {
+  const windows = new Map(); // bucket -> { count, resetAt }
+
+  return async (ctx, next) => {
+    const now = Date.now();
+    const client = by === 'global' ? '*'
+      : by === 'key' ? (ctx.state.apiKey || ctx.requestHeaders['x-api-key'] || ctx.ip)
+      : ctx.ip;
+    const bucket = `${ctx.shardId}:${client}`;
+
+    let window = windows.get(bucket);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(bucket, window);
+
+      // Drop expired buckets now and then so idle clients don't accumulate
+      if (windows.size > 1000) {
+        for (const [key, w] of windows) {
+          if (w.resetAt <= now) windows.delete(key);
+        }
+      }
+    }
+
+    window.count++;
+
+    ctx.headers['X-RateLimit-Limit'] = String(limit);
+    ctx.headers['X-RateLimit-Remaining'] = String(Math.max(limit - window.count, 0));
+    ctx.headers['X-RateLimit-Reset'] = String(Math.ceil(window.resetAt / 1000));
+
+    if (window.count > limit) {
+      reject(ctx, 429, 'Rate limit exceeded', {
+        'Retry-After': String(Math.ceil((window.resetAt - now) / 1000))
+      });
+      return;
+    }
+
+    await next();
+  };
+}
+
+/**
+ * Declarative request/response transforms
+ *   request:  { set: {...}, pick: [...], omit: [...] } applied to the request body
+ *   response: { set, pick, omit, wrap: "key", headers: {...} } applied to the shard result
+ */
+function createTransform({ request = null, response = null } = {}) {
+  return async (ctx, next) => {
+    if (request) {
+      ctx.data = reshape(ctx.data, request);
+    }
+
+    await next();
+
+    if (response && ctx.status < 400) {
+      ctx.body = reshape(ctx.body, response);
+      Object.assign(ctx.headers, response.headers || {});
+    }
+  };
+}
+
+function reshape(value, { set = null, pick = null, omit = null, wrap = null }) {
+  let out = value;
+
+  if (out !== null && typeof out === 'object' && !Array.isArray(out)) {
+    if (pick) out = Object.fromEntries(pick.filter(k => Object.hasOwn(out, k)).map(k => [k, out[k]]));
+    if (omit) out = Object.fromEntries(Object.entries(out).filter(([k]) => !omit.includes(k)));
+    if (set) out = { ...out, ...set };
+  } else if (set && (out === null || out === undefined)) {
+    out = { ...set };
+  }
+
+  return wrap ? { [wrap]: out } : out;
+}
@@ -0,0 +1,134 @@
+/**
+ * Shard Port Binder
+ * Opt-in real TCP listeners for virtual shard ports
+ *
+ * Each distinct shard `port` gets an http server; requests are dispatched
+ * through the mesh (middleware included) to the shard on that port, so
+ * `curl localhost:3001/list` reaches the same handler as `/mesh/users/list`.
+ * Listeners follow shard create / update / delete events, and the whole
+ * shard table after a restore.
+ */
+
+import http from 'http';
+
+export class ShardPortBinder {
+  constructor(hive, mesh, options = {}) {
+    this.hive = hive;
+    this.mesh = mesh;
+    this.host = options.host || '127.0.0.1';
+    this.reserved = new Set(options.reserved || []);
+    this.listeners = new Map(); // port -> { server, status, error }
+    this.unsubscribe = null;
+    this.syncing = Promise.resolve();
+  }
+
+  /**
+   * Bind current shard ports and keep following lifecycle events
+   */
+  async start() {
+    this.unsubscribe = this.hive.events.subscribe(
+      ['shard.*.created', 'shard.*.updated', 'shard.*.deleted', 'hive.restored'],
+      () => this.sync()
+    );
+    await this.sync();
+  }
+
+  /**
+   * Close every listener
+   */
+  async stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    await this.syncing;
+    await Promise.all(Array.from(this.listeners.keys()).map(port => this.close(port)));
+  }
+
+  /**
+   * Open listeners for new ports, close listeners for ports no shard uses
+   * Runs are serialized so bursts of events don't race each other
+   */
+  sync() {
+    this.syncing = this.syncing.then(async () => {
+      const wanted = new Set();
+      for (const shard of this.hive.shards.values()) {
+        if (!Number.isInteger(shard.port)) continue;
+        if (this.reserved.has(shard.port)) {
+          console.warn(`[Mesh] Shard ${shard.id} port ${shard.port} is reserved by the hive server - not bound`);
+          continue;
+        }
+        wanted.add(shard.port);
+      }
+
+      for (const port of this.listeners.keys()) {
+        if (!wanted.has(port)) await this.close(port);
+      }
+
+      for (const port of wanted) {
+        // Ports that failed to bind are retried on the next sync
+        if (this.listeners.get(port)?.status !== 'listening') await this.open(port);
+      }
+    }).catch(err => {
+      console.error('[Mesh] Shard port sync failed:', err.message);
+    });
+
+    return this.syncing;
+  }
+
+  async open(port) {
+    const server = http.createServer((req, res) => this.handle(port, req, res));
+    const entry = { server, status: 'starting', error: null };
+    this.listeners.set(port, entry);
+
+    await new Promise(resolve => {
+      server.once('error', (err) => {
+        entry.status = 'error';
+        entry.error = err.code === 'EADDRINUSE' ? `Port ${port} is already in use` : err.message;
+        console.warn(`[Mesh] Could not bind shard port ${port}: ${entry.error}`);
+        resolve();
+      });
+
+      server.listen(port, this.host, () => {
+        entry.status = 'listening';
+        console.log(`[Mesh] Shard port bound: http://${this.host}:${port}`);
+        resolve();
+      });
+    });
+  }
+
+  async close(port) {
+    const entry = this.listeners.get(port);
+    this.listeners.delete(port);
+    if (entry?.status !== 'listening') return;
+
+    await new Promise(resolve => {
+      entry.server.close(() => resolve());
+      entry.server.closeAllConnections?.();
+    });
+    console.log(`[Mesh] Shard port released: ${port}`);
+  }
+
+  /**
+   * Forward request to whichever shard currently owns the port
+   */
+  async handle(port, req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || `${this.host}:${port}`}`);
+    const shard = this.hive.getShardByPort(port);
+
+    if (!shard) {
+      this.mesh.respondJSON(res, 404, { error: `No shard on port ${port}` });
+      return;
+    }
+
+    await this.mesh.dispatch(req, res, shard.id, url.pathname, url);
+  }
+
+  list() {
+    return Array.from(this.listeners.entries()).map(([port, entry]) => ({
+      port,
+      host: this.host,
+      shard: this.hive.getShardByPort(port)?.id || null,
+      status: entry.status,
+      error: entry.error
+    }));
+  }
+}
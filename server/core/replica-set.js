@@ -0,0 +1,165 @@
+/**
+ * Replica Set
+ * Load balancing and health tracking for the instances of one shard
+ *
+ * A shard declaring `replicas: N` gets N isolated instances, each with its own
+ * state; routes, compiled programs and middleware are shared. Calls go to one
+ * replica chosen by `balance` ('round-robin' | 'least-busy'). A replica failing
+ * `health.maxFailures` calls in a row is evicted and replaced by a fresh
+ * instance after `health.cooldownMs`. The last healthy replica is never evicted.
+ * Only server errors (5xx, or no status) are failures - a 4xx is the caller's
+ * fault and counts as a call the replica handled.
+ */
+
+export const DEFAULT_HEALTH = Object.freeze({
+  maxFailures: 3,
+  cooldownMs: 30000
+});
+
+export const MAX_REPLICAS = 64;
+
+export class ReplicaSet {
+  constructor(shardId, options = {}) {
+    this.shardId = shardId;
+    this.balance = options.balance || 'round-robin';
+    this.health = { ...DEFAULT_HEALTH, ...options.health };
+    this.onEvict = options.onEvict || (() => {});
+    this.onRespawn = options.onRespawn || (() => {});
+    this.cursor = 0;
+
+    const count = options.count ?? 1;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_REPLICAS) {
+      throw new Error(`replicas must be an integer from 1 to ${MAX_REPLICAS}`);
+    }
+    if (!['round-robin', 'least-busy'].includes(this.balance)) {
+      throw new Error(`Unknown balance strategy: ${this.balance}`);
+    }
+
+    this.replicas = Array.from({ length: count }, (_, i) => this.spawn(i));
+  }
+
+  get size() {
+    return this.replicas.length;
+  }
+
+  /**
+   * Fresh replica instance
+   */
+  spawn(index, generation = 0) {
+    return {
+      index,
+      id: `${this.shardId}#${index}`,
+      generation,
+      state: {},
+      status: 'healthy',
+      inflight: 0,
+      calls: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      totalMs: 0,
+      lastError: null,
+      evictedAt: null,
+      started: Date.now()
+    };
+  }
+
+  /**
+   * Choose replica for the next call (null when none is healthy)
+   */
+  pick() {
+    this.respawnExpired();
+
+    const healthy = this.replicas.filter(r => r.status === 'healthy');
+    if (healthy.length === 0) return null;
+
+    if (this.balance === 'least-busy') {
+      // Fewest in-flight calls; ties go to the replica that has served least
+      return healthy.reduce((best, r) =>
+        r.inflight < best.inflight || (r.inflight === best.inflight && r.calls < best.calls) ? r : best);
+    }
+
+    const replica = healthy[this.cursor % healthy.length];
+    this.cursor = (this.cursor + 1) % Number.MAX_SAFE_INTEGER;
+    return replica;
+  }
+
+  /**
+   * Run call on replica, tracking load, latency and failures
+   */
+  async run(replica, fn) {
+    const started = Date.now();
+    replica.inflight++;
+    replica.calls++;
+
+    try {
+      const result = await fn(replica);
+      replica.consecutiveFailures = 0;
+      return result;
+    } catch (err) {
+      if (err?.status >= 500 || !err?.status) {
+        this.recordFailure(replica, err);
+      } else {
+        replica.consecutiveFailures = 0;
+      }
+      throw err;
+    } finally {
+      replica.inflight--;
+      replica.totalMs += Date.now() - started;
+    }
+  }
+
+  recordFailure(replica, err) {
+    replica.failures++;
+    replica.consecutiveFailures++;
+    replica.lastError = err.message;
+
+    const healthyOthers = this.replicas.some(r => r !== replica && r.status === 'healthy');
+    if (replica.status === 'healthy' && replica.consecutiveFailures >= this.health.maxFailures && healthyOthers) {
+      replica.status = 'evicted';
+      replica.evictedAt = Date.now();
+      console.warn(`[KLH] Replica evicted: ${replica.id} (${replica.consecutiveFailures} failures: ${err.message})`);
+      this.onEvict(replica);
+    }
+  }
+
+  /**
+   * Replace evicted replicas whose cooldown has passed
+   */
+  respawnExpired(now = Date.now()) {
+    this.replicas.forEach((replica, i) => {
+      if (replica.status === 'evicted' && now - replica.evictedAt >= this.health.cooldownMs) {
+        this.replicas[i] = this.spawn(i, replica.generation + 1);
+        console.log(`[KLH] Replica respawned: ${replica.id}`);
+        this.onRespawn(this.replicas[i]);
+      }
+    });
+  }
+
+  /**
+   * Carry replica states over from a previous set (redeploy)
+   */
+  adoptStates(previous) {
+    this.replicas.forEach((replica, i) => {
+      if (previous.replicas[i]) replica.state = previous.replicas[i].state;
+    });
+  }
+
+  toJSON() {
+    return { count: this.size, balance: this.balance, health: this.health, replicas: this.stats() };
+  }
+
+  stats() {
+    return this.replicas.map(r => ({
+      id: r.id,
+      index: r.index,
+      generation: r.generation,
+      status: r.status,
+      inflight: r.inflight,
+      calls: r.calls,
+      failures: r.failures,
+      consecutiveFailures: r.consecutiveFailures,
+      avgMs: r.calls ? Math.round((r.totalMs / r.calls) * 100) / 100 : 0,
+      lastError: r.lastError
+    }));
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Route Matcher
+ * Matches shard API routes with :params, * wildcards, ALL methods and query strings
+ *
+ * Pattern syntax:
+ *   /users            - static segment
+ *   /users/:id        - named parameter (params.id)
+ *   /files/*          - wildcard, matches the rest of the path (params['*'])
+ *
+ * When several routes match, the most specific wins:
+ * static segments > params > wildcards, and an exact method beats ALL.
+ */
+
+export class RouteMatcher {
+  constructor() {
+    this.routes = [];
+  }
+
+  /**
+   * Register route
+   */
+  add(method, pattern, handler, meta = {}) {
+    const segments = splitPath(pattern);
+    const wildcardIdx = segments.indexOf('*');
+
+    if (wildcardIdx !== -1 && wildcardIdx !== segments.length - 1) {
+      throw new Error(`Wildcard must be the last segment in route: ${pattern}`);
+    }
+
+    this.routes.push({
+      method: (method || 'GET').toUpperCase(),
+      pattern,
+      segments,
+      handler,
+      meta,
+      score: scoreSegments(segments)
+    });
+
+    // Keep routes ordered by specificity so match() can return the first hit
+    this.routes.sort((a, b) => b.score - a.score);
+
+    return this;
+  }
+
+  /**
+   * Remove all routes
+   */
+  clear() {
+    this.routes = [];
+  }
+
+  get size() {
+    return this.routes.length;
+  }
+
+  /**
+   * Match method + path (query string allowed)
+   * Returns { handler, params, query, route } or null
+   */
+  match(method, rawPath) {
+    const [pathname, search = ''] = String(rawPath || '/').split('?');
+    const segments = splitPath(pathname);
+    const upperMethod = (method || 'GET').toUpperCase();
+
+    let fallback = null;
+
+    for (const route of this.routes) {
+      if (route.method !== upperMethod && route.method !== 'ALL') continue;
+
+      const params = matchSegments(route.segments, segments);
+      if (!params) continue;
+
+      const result = {
+        handler: route.handler,
+        params,
+        query: Object.fromEntries(new URLSearchParams(search)),
+        route
+      };
+
+      // An exact method match wins over an ALL route of equal specificity
+      if (route.method === upperMethod) {
+        if (!fallback || route.score >= fallback.route.score) return result;
+        return fallback;
+      }
+
+      fallback = fallback || result;
+    }
+
+    return fallback;
+  }
+
+  /**
+   * List registered routes
+   */
+  list() {
+    return this.routes.map(r => ({
+      method: r.method,
+      path: r.pattern,
+      handler: r.handler,
+      ...r.meta
+    }));
+  }
+}
+
+function splitPath(path) {
+  return String(path || '/').split('/').filter(Boolean);
+}
+
+function scoreSegments(segments) {
+  // Weight each segment so that a longer static prefix always outranks a param,
+  // and a wildcard (which may match nothing) ranks below everything else
+  return segments.reduce((score, seg, idx) => {
+    if (seg === '*') return score - 1;
+    const weight = seg.startsWith(':') ? 1 : 2;
+    return score + weight * Math.pow(4, 8 - Math.min(idx, 8));
+  }, 0);
+}
+
+function matchSegments(pattern, segments) {
+  const params = {};
+
+  for (let i = 0; i < pattern.length; i++) {
+    const seg = pattern[i];
+
+    if (seg === '*') {
+      params['*'] = segments.slice(i).map(decodeSegment).join('/');
+      return params;
+    }
+
+    if (i >= segments.length) return null;
+
+    if (seg.startsWith(':')) {
+      params[seg.slice(1)] = decodeSegment(segments[i]);
+    } else if (seg !== segments[i]) {
+      return null;
+    }
+  }
+
+  return pattern.length === segments.length ? params : null;
+}
+
+function decodeSegment(seg) {
+  try {
+    return decodeURIComponent(seg);
+  } catch {
+    return seg;
+  }
+}
@@ -3,56 +3,214 @@
  * Handles inter-shard communication and virtual REST networking
  */
 
+import { randomUUID } from 'crypto';
+import { createMiddleware, runMiddleware, failRequest } from './mesh-middleware.js';
+
 export class VirtualMeshRouter {
   constructor(hive) {
     this.hive = hive;
     this.routes = new Map();
     this.activeConnections = new Set();
+    [this.defaultCors] = createMiddleware(['cors']);
 
     console.log('[Mesh] Virtual mesh router initialized');
   }
 
   /**
    * Handle HTTP mesh requests
+   * Requests pass through the hive middleware chain, then the shard's, then reach the shard
    */
   async handleRequest(req, res, url) {
     const pathParts = url.pathname.split('/').filter(Boolean);
-    // /mesh/:shardId/:endpoint
+    // /mesh/:shardId/:endpoint - or /mesh/:shardId/ for the shard's rendered view
+
+    if (pathParts.length === 2 && (req.method === 'GET' || req.method === 'HEAD')) {
+      // Trailing slash keeps relative URLs in the view inside the shard
+      if (!url.pathname.endsWith('/')) {
+        res.writeHead(301, { Location: `${url.pathname}/${url.search}` });
+        res.end();
+        return;
+      }
+      await this.dispatch(req, res, pathParts[1], '/', url);
+      return;
+    }
 
     if (pathParts.length < 3) {
       this.respondJSON(res, 400, { error: 'Invalid mesh route' });
       return;
     }
 
-    const shardId = pathParts[1];
-    const endpoint = '/' + pathParts.slice(2).join('/');
-    const method = req.method;
+    await this.dispatch(req, res, pathParts[1], '/' + pathParts.slice(2).join('/'), url);
+  }
+
+  /**
+   * Run request for shard-local `endpoint` through middleware and into the shard
+   * (also used by real TCP port listeners, see port-binder.js)
+   */
+  async dispatch(req, res, shardId, endpoint, url) {
+    const ctx = this.createContext(req, shardId, req.method, endpoint + url.search, req.headers);
 
     try {
-      // Read request body
-      let data = null;
-      if (method === 'POST' || method === 'PUT') {
-        data = await this.readBody(req);
-        data = data ? JSON.parse(data) : null;
+      if (ctx.method === 'POST' || ctx.method === 'PUT') {
+        const body = await this.readBody(req);
+        try {
+          ctx.data = body ? JSON.parse(body) : null;
+        } catch {
+          const err = new Error('Invalid JSON body');
+          err.status = 400;
+          throw err;
+        }
       }
 
-      // Route to shard
-      const result = await this.hive.routeToShard(shardId, method, endpoint, data);
-
-      this.respondJSON(res, result.status || 200, result.data || result);
+      await this.runChain(ctx);
     } catch (err) {
-      console.error('[Mesh] Routing error:', err);
-      this.respondJSON(res, 500, { error: err.message });
+      failRequest(ctx, err);
+    }
+
+    for (const [name, value] of Object.entries(ctx.headers)) {
+      res.setHeader(name, value);
+    }
+
+    if (ctx.status === 204) {
+      res.writeHead(ctx.status);
+      res.end();
+      return;
+    }
+
+    // Rendered views (and other non-JSON bodies with an explicit Content-Type)
+    if (typeof ctx.body === 'string' && ctx.headers['Content-Type']) {
+      res.writeHead(ctx.status, { 'Content-Length': Buffer.byteLength(ctx.body) });
+      res.end(req.method === 'HEAD' ? undefined : ctx.body);
+      return;
+    }
+
+    this.respondJSON(res, ctx.status, ctx.body);
+  }
+
+  /**
+   * Middleware context for one call; path may carry a query string
+   */
+  createContext(req, shardId, method, path, headers) {
+    // Correlation ID follows the request through nested shard-to-shard calls
+    const correlationId = headers['x-correlation-id'] || randomUUID();
+
+    return {
+      req,
+      shardId,
+      shard: this.hive.getShard(shardId),
+      method: String(method || 'GET').toUpperCase(),
+      path,
+      query: Object.fromEntries(new URLSearchParams(path.split('?')[1] || '')),
+      requestHeaders: headers,
+      ip: req?.socket?.remoteAddress || null,
+      correlationId,
+      // Shards already on the call chain (set by peer hives forwarding a nested call)
+      chain: String(headers['x-mesh-chain'] || '').split(',').filter(Boolean),
+      data: null,
+      state: {},
+      // KuhulVM options for the shard's handler (debug sessions)
+      vm: null,
+      // Response, filled in by the shard and adjusted by middleware
+      status: 200,
+      body: null,
+      headers: { 'X-Correlation-Id': correlationId },
+      // Error behind an error response (set by failRequest)
+      error: null
+    };
+  }
+
+  /**
+   * Context for a call sent over a WebSocket: the upgrade request's headers,
+   * overridden by msg.headers (also used by debug sessions, see kuhul-debug.js)
+   */
+  socketContext(req, msg) {
+    const headers = { ...req?.headers };
+    for (const [name, value] of Object.entries(msg.headers || {})) {
+      headers[name.toLowerCase()] = String(value);
+    }
+    if (msg.correlationId) headers['x-correlation-id'] = String(msg.correlationId);
+
+    const ctx = this.createContext(req, msg.shardId, msg.method, String(msg.path || '/'), headers);
+    ctx.data = msg.data ?? null;
+    return ctx;
+  }
+
+  /**
+   * Run context through the middleware chain and into the shard
+   */
+  runChain(ctx) {
+    return runMiddleware(this.middlewareFor(ctx.shard), ctx, (c) => this.callShard(c));
+  }
+
+  /**
+   * Hive chain + shard chain; permissive CORS unless either declares a cors policy
+   */
+  middlewareFor(shard) {
+    const chain = [...this.hive.mesh.chain, ...(shard?.middleware || [])];
+    const hasCors = chain.some(fn => fn.middlewareName === 'cors');
+    return hasCors ? chain : [this.defaultCors, ...chain];
+  }
+
+  /**
+   * End of the middleware chain: call the shard
+   */
+  async callShard(ctx) {
+    // Shard hosted by a peer hive (forwarded requests are never forwarded again)
+    const federation = this.hive.federation;
+    if (!ctx.shard && federation && !ctx.requestHeaders['x-asxr-forwarded']) {
+      const peer = federation.resolve(ctx.shardId);
+      if (peer) {
+        await federation.forward(ctx, peer);
+        return;
+      }
+    }
+
+    // Reject calls to shards that are stopped or failed
+    if (ctx.shard && ctx.shard.status !== 'running') {
+      ctx.status = 503;
+      ctx.headers['Retry-After'] = '30';
+      ctx.body = {
+        error: `Shard ${ctx.shardId} is ${ctx.shard.status}`,
+        shard: ctx.shardId,
+        status: ctx.shard.status
+      };
+      return;
+    }
+
+    // GET / on a shard with a view (and no route of its own there) renders it
+    if (ctx.shard?.view && (ctx.method === 'GET' || ctx.method === 'HEAD') &&
+        ctx.path.split('?')[0] === '/' && !ctx.shard.router.match('GET', ctx.path)) {
+      ctx.body = await this.hive.renderView(ctx.shardId, {
+        query: ctx.query,
+        mesh: { correlationId: ctx.correlationId, chain: ctx.chain },
+        scripts: [this.generateClientInterceptor(ctx.shardId)]
+      });
+      ctx.headers['Content-Type'] = 'text/html; charset=utf-8';
+      return;
     }
+
+    // Route to shard (query string is forwarded for the route matcher)
+    const result = await this.hive.routeToShard(ctx.shardId, ctx.method, ctx.path, ctx.data, {
+      mesh: { correlationId: ctx.correlationId, chain: ctx.chain },
+      vm: ctx.vm
+    });
+
+    ctx.status = result?.status || 200;
+    ctx.body = result?.data || result;
   }
 
   /**
    * Handle WebSocket connections for streaming mesh data
+   * mesh:call goes through the same middleware chain as HTTP; its headers are the
+   * upgrade request's, overridden per call by msg.headers
    */
-  handleWebSocket(ws, url) {
+  handleWebSocket(ws, url, req = null) {
     const connectionId = Math.random().toString(36).substr(2, 9);
     this.activeConnections.add(connectionId);
 
+    // subscriptionId -> unsubscribe function
+    const subscriptions = new Map();
+
     console.log(`[Mesh] WebSocket connected: ${connectionId}`);
 
     ws.on('message', async (message) => {
@@ -60,31 +218,39 @@ export class VirtualMeshRouter {
         const msg = JSON.parse(message.toString());
 
         if (msg.type === 'mesh:call') {
-          // Virtual API call via WebSocket
-          const { shardId, method, path, data } = msg;
-          const result = await this.hive.routeToShard(shardId, method, path, data);
+          // Virtual API call via WebSocket: { shardId, method?, path, data?, headers?, correlationId? }
+          const ctx = this.socketContext(req, msg);
+          await this.runChain(ctx);
 
           ws.send(JSON.stringify({
             type: 'mesh:response',
             requestId: msg.requestId,
-            result
+            correlationId: ctx.correlationId,
+            status: ctx.status,
+            result: ctx.body
           }));
         } else if (msg.type === 'mesh:subscribe') {
-          // Subscribe to shard events
-          ws.send(JSON.stringify({
-            type: 'mesh:subscribed',
-            shardId: msg.shardId
-          }));
+          this.subscribe(ws, subscriptions, msg);
+        } else if (msg.type === 'mesh:unsubscribe') {
+          const ids = msg.subscriptionId ? [msg.subscriptionId] : Array.from(subscriptions.keys());
+          for (const id of ids) {
+            subscriptions.get(id)?.();
+            subscriptions.delete(id);
+          }
+          ws.send(JSON.stringify({ type: 'mesh:unsubscribed', subscriptions: ids }));
         }
       } catch (err) {
         ws.send(JSON.stringify({
           type: 'error',
+          status: err.status || 500,
           error: err.message
         }));
       }
     });
 
     ws.on('close', () => {
+      for (const unsubscribe of subscriptions.values()) unsubscribe();
+      subscriptions.clear();
       this.activeConnections.delete(connectionId);
       console.log(`[Mesh] WebSocket disconnected: ${connectionId}`);
     });
@@ -97,6 +263,40 @@ export class VirtualMeshRouter {
     }));
   }
 
+  /**
+   * Subscribe socket to hive events
+   * { type: 'mesh:subscribe', topics?: ['shard.users.#'], topic?, shardId?, replay?: true | n, since? }
+   * A bare shardId subscribes to shard.<id>.#; replay sends buffered events first
+   */
+  subscribe(ws, subscriptions, msg) {
+    const topics = [].concat(msg.topics || msg.topic || (msg.shardId ? `shard.${msg.shardId}.#` : '#'));
+    const subscriptionId = Math.random().toString(36).substr(2, 9);
+
+    const send = (event, replay = false) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({ type: 'mesh:event', subscriptionId, replay, ...event }));
+      }
+    };
+
+    // Throws on invalid patterns, before anything is sent
+    const unsubscribe = this.hive.events.subscribe(topics, (event) => send(event));
+    subscriptions.set(subscriptionId, unsubscribe);
+
+    ws.send(JSON.stringify({
+      type: 'mesh:subscribed',
+      subscriptionId,
+      topics,
+      shardId: msg.shardId
+    }));
+
+    if (msg.replay || msg.since) {
+      const limit = typeof msg.replay === 'number' ? msg.replay : undefined;
+      for (const event of this.hive.events.replay(topics, { since: msg.since || 0, limit })) {
+        send(event, true);
+      }
+    }
+  }
+
   /**
    * Get all mesh routes
    */
@@ -104,13 +304,34 @@ export class VirtualMeshRouter {
     const routes = [];
 
     for (const [shardId, shard] of this.hive.shards) {
+      const stats = shard.replicaSet.stats();
+      const replicas = {
+        count: stats.length,
+        healthy: stats.filter(r => r.status === 'healthy').length,
+        balance: shard.replicaSet.balance,
+        stats
+      };
+
       for (const route of shard.api) {
         routes.push({
           shard: shardId,
           port: shard.port,
           method: route.method || route['⟁method'],
           path: route.path || route['⟁path'],
-          meshUrl: `/mesh/${shardId}${route.path || route['⟁path']}`
+          meshUrl: `/mesh/${shardId}${route.path || route['⟁path']}`,
+          replicas
+        });
+      }
+
+      if (shard.view) {
+        routes.push({
+          shard: shardId,
+          port: shard.port,
+          method: 'GET',
+          path: '/',
+          meshUrl: `/mesh/${shardId}/`,
+          view: true,
+          replicas
         });
       }
     }
@@ -120,8 +341,13 @@ export class VirtualMeshRouter {
 
   /**
    * Intercept fetch for client-side virtual networking
+   * With shardId (rendered views) also defines shardFetch(path) for the page's own shard
    */
-  generateClientInterceptor() {
+  generateClientInterceptor(shardId = null) {
+    // Escape "<" so registry strings can't close the inline <script>
+    const shards = JSON.stringify(Array.from(this.hive.registry.values())).replace(/</g, '\\u003c');
+    const own = shardId ? JSON.stringify(shardId).replace(/</g, '\\u003c') : null;
+
     return `
 // KLH Mesh Client Interceptor
 window.hiveFetch = async (url, options = {}) => {
@@ -130,7 +356,7 @@ window.hiveFetch = async (url, options = {}) => {
 
   if (match) {
     const [, port, path] = match;
-    const shards = ${JSON.stringify(Array.from(this.hive.registry.values()))};
+    const shards = ${shards};
     const shard = shards.find(s => s.port === parseInt(port));
 
     if (shard) {
@@ -143,7 +369,12 @@ window.hiveFetch = async (url, options = {}) => {
   // Normal fetch
   return fetch(url, options);
 };
-`;
+${own ? `
+// Calls to this view's own shard API
+window.shardId = ${own};
+window.shardFetch = (path, options = {}) =>
+  fetch(\`/mesh/\${encodeURIComponent(window.shardId)}\${path}\`, options);
+` : ''}`;
   }
 
   // Utilities
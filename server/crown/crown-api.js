@@ -7,9 +7,14 @@ import { CrownBuilder } from './crown-builder.js';
 import { CrownLoader } from './crown-loader.js';
 import { ModelManager } from './model-manager.js';
 import { CrownOllamaIntegration } from './ollama-integration.js';
+import { listDictionaries, registerDictionary } from '../../lib/scx/dictionary.js';
+import { createEncodeStream } from '../../lib/scx/node-stream.js';
 import formidable from 'formidable';
 import path from 'path';
 import { promises as fs } from 'fs';
+import { pipeline } from 'stream/promises';
+
+const CROWNS_DIR = path.join(process.cwd(), 'examples', 'crowns');
 
 export class CrownAPI {
   constructor() {
@@ -23,6 +28,9 @@ export class CrownAPI {
    * Initialize API (async setup)
    */
   async initialize() {
+    // SCX dictionaries saved next to the crowns
+    await this.crownLoader.loadDictionaries(CROWNS_DIR);
+
     // Initialize Ollama integration
     await this.ollamaIntegration.initialize();
   }
@@ -56,6 +64,19 @@ export class CrownAPI {
           await this.getCrownContext(req, res);
           break;
 
+        case 'scx':
+          await this.streamCrown(req, res);
+          break;
+
+        // SCX dictionaries
+        case 'dictionaries':
+          await this.dictionaries(req, res);
+          break;
+
+        case 'dictionaries/train':
+          await this.trainDictionary(req, res);
+          break;
+
         // Model management
         case 'models/list':
           await this.listModels(req, res);
@@ -140,7 +161,7 @@ export class CrownAPI {
       }
     } catch (err) {
       console.error('[Crown API] Error:', err);
-      this.respondJSON(res, 500, { error: err.message });
+      this.respondJSON(res, err.status || 500, { error: err.message });
     }
   }
 
@@ -154,8 +175,8 @@ export class CrownAPI {
     const result = await this.crownBuilder.buildFromDirectory(directory, name, options);
 
     // Save Crown
-    const outputPath = path.join(process.cwd(), 'examples', 'crowns', `${name}.json`);
-    await this.crownBuilder.saveCrown(result.crown, result.compressed, outputPath);
+    const outputPath = path.join(CROWNS_DIR, `${name}.json`);
+    await this.crownBuilder.saveCrown(result.crown, outputPath, options);
 
     this.respondJSON(res, 200, {
       message: 'Crown built successfully',
@@ -226,7 +247,9 @@ export class CrownAPI {
 
     let path = crownPath;
     if (!path && crownName) {
-      path = `examples/crowns/${crownName}.json`;
+      // Prefer the SCX form (streamed in, documents decoded on use) over the JSON copy
+      const scxPath = `examples/crowns/${crownName}.scx.json`;
+      path = await fs.access(scxPath).then(() => scxPath, () => `examples/crowns/${crownName}.json`);
     }
 
     const crown = await this.crownLoader.loadCrown(path);
@@ -239,6 +262,37 @@ export class CrownAPI {
     });
   }
 
+  /**
+   * List SCX dictionaries (GET) or register one from { id, entries, hash? } (POST)
+   */
+  async dictionaries(req, res) {
+    if (req.method !== 'POST') {
+      this.respondJSON(res, 200, { dictionaries: listDictionaries() });
+      return;
+    }
+
+    const dictionary = registerDictionary(JSON.parse(await this.readBody(req)));
+    const savedTo = await this.crownBuilder.saveDictionary(dictionary, CROWNS_DIR);
+
+    this.respondJSON(res, 201, { id: dictionary.id, hash: dictionary.hash, size: dictionary.entries.length, path: savedTo });
+  }
+
+  /**
+   * Train an SCX dictionary from { id, paths, size?, minDocuments? } and save it
+   */
+  async trainDictionary(req, res) {
+    const { id, paths, ...options } = JSON.parse(await this.readBody(req));
+    if (!paths) {
+      this.respondJSON(res, 400, { error: 'Missing paths (files or directories of XJSON / crowns)' });
+      return;
+    }
+
+    const dictionary = await this.crownBuilder.trainDictionary(paths, id, options);
+    const savedTo = await this.crownBuilder.saveDictionary(dictionary, CROWNS_DIR);
+
+    this.respondJSON(res, 201, { id: dictionary.id, hash: dictionary.hash, size: dictionary.entries.length, path: savedTo });
+  }
+
   /**
    * Get Crown context
    */
@@ -255,6 +309,28 @@ export class CrownAPI {
     });
   }
 
+  /**
+   * Stream a loaded Crown as SCX v2, encoded as it is sent (chunked)
+   */
+  async streamCrown(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const crownName = url.searchParams.get('name');
+    const crown = this.crownLoader.getCrown(crownName);
+
+    if (!crown) {
+      this.respondJSON(res, 404, { error: `Crown not found: ${crownName}` });
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/x-scx' });
+    try {
+      await pipeline(createEncodeStream(crown), res);
+    } catch (err) {
+      // Headers are gone - pipeline has already cut the response short
+      console.error(`[Crown API] SCX stream of "${crownName}" failed:`, err.message);
+    }
+  }
+
   /**
    * List all models
    */
@@ -4,9 +4,16 @@
  * and creates compressed Crown knowledge bases via SCX
  */
 
-import { promises as fs } from 'fs';
+import { promises as fs, createWriteStream } from 'fs';
 import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import { SCXCodec } from '../../lib/scx/codec.js';
+import { SCXDictionary, registerDictionary } from '../../lib/scx/dictionary.js';
+import { createEncodeStream } from '../../lib/scx/node-stream.js';
+
+// Bytes gathered before each write of the JSON copy
+const WRITE_CHUNK_SIZE = 64 * 1024;
 
 export class CrownBuilder {
   constructor() {
@@ -128,11 +135,8 @@ export class CrownBuilder {
 
     crown.stats.totalSize = totalOriginalSize;
 
-    // Compress entire Crown with SCX
-    const compressed = this.scx.encode(crown);
-    const compressedSize = typeof compressed === 'string'
-      ? compressed.length
-      : JSON.stringify(compressed).length;
+    // Size of the SCX form (saveCrown writes it)
+    const compressedSize = this.encodedSize(crown, options);
 
     crown.stats.compressedSize = compressedSize;
     crown.stats.compressionRatio = ((totalOriginalSize - compressedSize) / totalOriginalSize * 100).toFixed(2);
@@ -145,7 +149,6 @@ export class CrownBuilder {
 
     return {
       crown,
-      compressed,
       stats: crown.stats
     };
   }
@@ -171,9 +174,80 @@ export class CrownBuilder {
       config: options.config || {}
     };
 
-    const compressed = this.scx.encode(crown);
+    return { crown, compressedSize: this.encodedSize(crown, options) };
+  }
 
-    return { crown, compressed };
+  /**
+   * SCX size of a crown, counted chunk by chunk without keeping the bytes
+   */
+  encodedSize(crown, options = {}) {
+    let size = 0;
+    for (const chunk of this.codecFor(options).encodeChunks(crown)) {
+      size += chunk.byteLength;
+    }
+    return size;
+  }
+
+  /**
+   * SCX codec for options.dictionary (registered id, SCXDictionary or its JSON
+   * form - registered here so loaders can find it), or the plain codec
+   */
+  codecFor(options) {
+    if (!options.dictionary) return this.scx;
+
+    const dictionary = typeof options.dictionary === 'string'
+      ? options.dictionary
+      : registerDictionary(options.dictionary);
+    return new SCXCodec({ dictionary });
+  }
+
+  /**
+   * Train an SCX dictionary on XJSON / crown files (or directories of them)
+   * and register it; options are passed to SCXDictionary.train
+   */
+  async trainDictionary(paths, id, options = {}) {
+    const files = [];
+    for (const target of [].concat(paths)) {
+      const stat = await fs.stat(target);
+      if (stat.isDirectory()) {
+        await this.getAllFiles(target, files);
+      } else {
+        files.push(target);
+      }
+    }
+
+    const documents = [];
+    for (const file of files) {
+      if (!/\.(json|xjson)$/i.test(file) || file.endsWith('.scxdict.json')) continue;
+
+      try {
+        documents.push(file.endsWith('.scx.json')
+          ? this.scx.decode(await fs.readFile(file))
+          : JSON.parse(await fs.readFile(file, 'utf8')));
+      } catch (err) {
+        console.warn(`[Crown] Skipping ${file} for dictionary training: ${err.message}`);
+      }
+    }
+
+    if (documents.length === 0) {
+      const err = new Error('No XJSON or crown documents to train on');
+      err.status = 400;
+      throw err;
+    }
+
+    const dictionary = registerDictionary(SCXDictionary.train(documents, { ...options, id }));
+    console.log(`[Crown] Dictionary "${id}" trained on ${documents.length} documents: ${dictionary.entries.length} entries (hash ${dictionary.hash})`);
+
+    return dictionary;
+  }
+
+  /**
+   * Write dictionary as <dir>/<id>.scxdict.json (where CrownLoader looks for it)
+   */
+  async saveDictionary(dictionary, dir) {
+    const filePath = path.join(dir, `${dictionary.id}.scxdict.json`);
+    await fs.writeFile(filePath, JSON.stringify(dictionary, null, 2));
+    return filePath;
   }
 
   /**
@@ -373,22 +447,75 @@ export class CrownBuilder {
   }
 
   /**
-   * Save Crown to file
+   * Save Crown to file, plus its SCX form next to it (`.scx.json`);
+   * options.dictionary as for buildFromDirectory. Both files are written as
+   * they are encoded, never held whole in memory.
    */
-  async saveCrown(crown, compressed, outputPath) {
-    // Save both compressed and uncompressed versions
-    await fs.writeFile(
-      outputPath,
-      JSON.stringify(crown, null, 2)
+  async saveCrown(crown, outputPath, options = {}) {
+    await pipeline(
+      Readable.from(batch(jsonChunks(crown), WRITE_CHUNK_SIZE)),
+      createWriteStream(outputPath)
     );
 
-    await fs.writeFile(
-      outputPath.replace('.json', '.scx.json'),
-      typeof compressed === 'string'
-        ? compressed
-        : JSON.stringify(compressed)
-    );
+    // SCX v2 container (binary, despite the historical .scx.json name).
+    // Written beside and renamed over the old one: a loaded crown still
+    // reads its lazy entries from the file it was loaded from.
+    const codec = this.codecFor(options);
+    const scxPath = outputPath.replace('.json', '.scx.json');
+    await pipeline(createEncodeStream(crown, { codec }), createWriteStream(`${scxPath}.tmp`));
+    await fs.rename(`${scxPath}.tmp`, scxPath);
+
+    // Keep the dictionary it was encoded with next to it
+    if (codec.dictionary) {
+      await this.saveDictionary(codec.dictionary, path.dirname(outputPath));
+    }
 
     console.log(`[Crown] Saved to ${outputPath}`);
   }
 }
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * JSON.stringify(value, null, 2) in pieces: containers down to `depth` are
+ * written entry by entry, anything deeper (one document, say) in one go
+ */
+function* jsonChunks(value, indent = '', depth = 3) {
+  const isContainer = value !== null && typeof value === 'object' && typeof value.toJSON !== 'function';
+  const entries = !isContainer
+    ? []
+    : Array.isArray(value)
+      ? value.map(item => [null, item])
+      : Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function' && typeof item !== 'symbol');
+
+  if (depth === 0 || entries.length === 0) {
+    // undefined / functions in arrays become null, as JSON.stringify does
+    yield (JSON.stringify(value, null, 2) ?? 'null').replace(/\n/g, `\n${indent}`);
+    return;
+  }
+
+  const inner = indent + '  ';
+  yield Array.isArray(value) ? '[' : '{';
+  for (const [i, [key, item]] of entries.entries()) {
+    yield `${i > 0 ? ',' : ''}\n${inner}${key === null ? '' : `${JSON.stringify(key)}: `}`;
+    yield* jsonChunks(item, inner, depth - 1);
+  }
+  yield `\n${indent}${Array.isArray(value) ? ']' : '}'}`;
+}
+
+/**
+ * Join small string pieces into chunks of about `size` characters
+ */
+function* batch(pieces, size) {
+  let buffer = '';
+  for (const piece of pieces) {
+    buffer += piece;
+    if (buffer.length >= size) {
+      yield buffer;
+      buffer = '';
+    }
+  }
+  if (buffer) yield buffer;
+}
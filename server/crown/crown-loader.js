@@ -4,15 +4,24 @@
  * Manages Crown registry and model fine-tuning
  */
 
-import { promises as fs } from 'fs';
+import { promises as fs, readSync } from 'fs';
 import path from 'path';
-import { SCXCodec } from '../../lib/scx/codec.js';
+import { SCXCodec, SCXDecodeError } from '../../lib/scx/codec.js';
+import { getDictionary, registerDictionary } from '../../lib/scx/dictionary.js';
+import { decodeStream } from '../../lib/scx/node-stream.js';
+
+// Crown sections whose entries are decoded on first use
+const LAZY_SECTIONS = new Set(['knowledge', 'fineTuning']);
+
+// Enough of an SCX file to hold its header
+const HEADER_BYTES = 256;
 
 export class CrownLoader {
   constructor() {
     this.scx = new SCXCodec();
     this.loadedCrowns = new Map();
     this.crownRegistry = new Map();
+    this.openFiles = new Map();
   }
 
   /**
@@ -22,16 +31,19 @@ export class CrownLoader {
     console.log(`[Crown] Loading Crown from ${crownPath}...`);
 
     let crownData;
+    let file = null;
 
     // Check if compressed (.scx.json) or regular
     if (crownPath.endsWith('.scx.json')) {
-      const compressed = await fs.readFile(crownPath, 'utf8');
-      crownData = this.scx.decode(compressed);
+      ({ crown: crownData, file } = await this.decodeCrownFile(crownPath));
     } else {
       const content = await fs.readFile(crownPath, 'utf8');
       crownData = JSON.parse(content);
     }
 
+    this.closeCrownFile(crownData.name);
+    if (file) this.openFiles.set(crownData.name, file);
+
     this.loadedCrowns.set(crownData.name, crownData);
     this.crownRegistry.set(crownData.name, {
       name: crownData.name,
@@ -46,6 +58,92 @@ export class CrownLoader {
     return crownData;
   }
 
+  /**
+   * Decode an SCX crown file as it streams in. Knowledge and fine-tuning
+   * entries stay on disk until first read, so the file is returned open -
+   * it is closed when the crown is unloaded. The older text form is read whole.
+   */
+  async decodeCrownFile(crownPath) {
+    const file = await fs.open(crownPath, 'r');
+
+    try {
+      const head = Buffer.alloc(HEADER_BYTES);
+      const { bytesRead } = await file.read(head, 0, head.length, 0);
+
+      if (!this.scx.isBinary(head.subarray(0, bytesRead))) {
+        const crown = this.scx.decode(await file.readFile());
+        await file.close();
+        return { crown, file: null };
+      }
+
+      await this.ensureDictionary(head.subarray(0, bytesRead), path.dirname(crownPath));
+
+      const [crown] = await decodeStream(file.createReadStream({ start: 0, autoClose: false }), {
+        codec: this.scx,
+        lazy: (valuePath) => valuePath.length === 3 && LAZY_SECTIONS.has(valuePath[0]) && typeof valuePath[2] === 'number',
+        readRange: (start, end) => readRange(file, start, end)
+      });
+      return { crown, file };
+    } catch (err) {
+      await file.close();
+      throw err;
+    }
+  }
+
+  closeCrownFile(crownName) {
+    const file = this.openFiles.get(crownName);
+    if (!file) return;
+
+    this.openFiles.delete(crownName);
+    file.close().catch(err => console.error(`[Crown] Error closing "${crownName}":`, err.message));
+  }
+
+  /**
+   * Register the dictionary an SCX crown was encoded with, from
+   * <dir>/<id>.scxdict.json, unless the registry already has it
+   */
+  async ensureDictionary(compressed, dir) {
+    if (!this.scx.isBinary(compressed)) return;
+
+    const { dictionary } = this.scx.readHeader(compressed);
+    if (!dictionary || getDictionary(dictionary.id)) return;
+
+    try {
+      await this.loadDictionary(path.join(dir, `${dictionary.id}.scxdict.json`));
+    } catch (err) {
+      // decode() reports the missing dictionary
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  /**
+   * Register an SCX dictionary file (JSON { id, hash, entries })
+   */
+  async loadDictionary(dictPath) {
+    const dictionary = registerDictionary(JSON.parse(await fs.readFile(dictPath, 'utf8')));
+    console.log(`[Crown] Registered SCX dictionary "${dictionary.id}" (${dictionary.entries.length} entries)`);
+    return dictionary;
+  }
+
+  /**
+   * Register every *.scxdict.json in a directory
+   */
+  async loadDictionaries(dir) {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const loaded = [];
+    for (const file of files.filter(f => f.endsWith('.scxdict.json'))) {
+      loaded.push(await this.loadDictionary(path.join(dir, file)));
+    }
+    return loaded;
+  }
+
   /**
    * Get Crown context for AI prompt injection
    */
@@ -120,8 +218,25 @@ export class CrownLoader {
    * Unload Crown
    */
   unloadCrown(crownName) {
+    this.closeCrownFile(crownName);
     this.loadedCrowns.delete(crownName);
     this.crownRegistry.delete(crownName);
     console.log(`[Crown] Unloaded "${crownName}"`);
   }
 }
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Bytes start..end of an open crown file (lazy entries are read synchronously, from getters)
+ */
+function readRange(file, start, end) {
+  const buffer = Buffer.alloc(end - start);
+  const bytesRead = readSync(file.fd, buffer, 0, buffer.length, start);
+  if (bytesRead !== buffer.length) {
+    throw new SCXDecodeError(`Crown file changed on disk: expected ${buffer.length} bytes at ${start}, read ${bytesRead}`);
+  }
+  return buffer;
+}
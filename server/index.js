@@ -6,13 +6,21 @@
  */
 
 import http from 'http';
-import { promises as fs } from 'fs';
+import { promises as fs, createReadStream } from 'fs';
 import path from 'path';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
 import mime from 'mime-types';
 import { HiveOrchestrator } from './core/hive-orchestrator.js';
+import { JSONFileHiveStore } from './core/hive-store.js';
 import { VirtualMeshRouter } from './core/virtual-mesh.js';
+import { KuhulDebugServer } from './core/kuhul-debug.js';
+import { ShardPortBinder } from './core/port-binder.js';
+import { HiveFederation } from './core/hive-federation.js';
+import { KuhulError } from '../lib/kuhul/errors.js';
+import { XJSONParser } from '../lib/xjson/parser.js';
+import { parseHTMLNodes } from '../lib/xjson/html-parser.js';
 import { AISwarmServer } from './core/ai-swarm.js';
 import { CrownAPI } from './crown/crown-api.js';
 import { browserAPI } from './crown/browser-api.js';
@@ -26,10 +34,35 @@ const args = process.argv.slice(2);
 const portArg = args.indexOf('--port');
 const PORT = portArg >= 0 ? parseInt(args[portArg + 1]) : (process.env.PORT || 3000);
 const DEV_MODE = args.includes('--dev') || process.env.ASXR_MODE === 'development';
+const PERSIST = !args.includes('--no-persist') && process.env.ASXR_PERSIST !== 'false';
+const STORE_DIR = process.env.ASXR_STORE_DIR || path.join(ROOT_DIR, '.asxr', 'hive');
+const BIND_PORTS = args.includes('--bind-ports') || process.env.ASXR_BIND_PORTS === 'true';
+
+// Federation: --peer URL (repeatable) or ASXR_PEERS=url1,url2
+// Enabled only with a shared ASXR_FEDERATION_KEY - peers can create routes into this hive
+const FEDERATION_KEY = process.env.ASXR_FEDERATION_KEY || null;
+const PEERS = [
+  ...args.flatMap((arg, i) => (arg === '--peer' && args[i + 1] ? [args[i + 1]] : [])),
+  ...(process.env.ASXR_PEERS || '').split(',').map(p => p.trim()).filter(Boolean)
+];
+const PUBLIC_URL = process.env.ASXR_PUBLIC_URL || `http://localhost:${PORT}`;
 
 // Initialize Multi-Hive components
-const hive = new HiveOrchestrator();
+const hive = new HiveOrchestrator({
+  store: PERSIST ? new JSONFileHiveStore(STORE_DIR) : null,
+  isolation: args.includes('--isolate-shards') || process.env.ASXR_ISOLATION === 'worker' ? 'worker' : 'inline'
+});
 const mesh = new VirtualMeshRouter(hive);
+const kuhulDebug = new KuhulDebugServer(hive, mesh);
+hive.federation = FEDERATION_KEY
+  ? new HiveFederation(hive, { url: PUBLIC_URL, peers: PEERS, key: FEDERATION_KEY })
+  : null;
+if (!FEDERATION_KEY && PEERS.length > 0) {
+  console.warn('[Federation] Peers configured but ASXR_FEDERATION_KEY is not set - federation disabled');
+}
+const portBinder = BIND_PORTS
+  ? new ShardPortBinder(hive, mesh, { host: process.env.ASXR_BIND_HOST, reserved: [Number(PORT)] })
+  : null;
 const aiSwarm = new AISwarmServer(hive);
 const crownAPI = new CrownAPI();
 
@@ -39,6 +72,12 @@ const crownAPI = new CrownAPI();
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
 
+  // Virtual Mesh Routes (inter-shard communication) - CORS comes from the mesh middleware
+  if (url.pathname.startsWith('/mesh/')) {
+    await mesh.handleRequest(req, res, url);
+    return;
+  }
+
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
@@ -56,12 +95,6 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  // Virtual Mesh Routes (inter-shard communication)
-  if (url.pathname.startsWith('/mesh/')) {
-    await mesh.handleRequest(req, res, url);
-    return;
-  }
-
   // AI Swarm Routes
   if (url.pathname.startsWith('/ai/')) {
     await aiSwarm.handleRequest(req, res, url);
@@ -91,6 +124,13 @@ async function handleAPI(req, res, url) {
   const endpoint = url.pathname.replace('/api/', '');
 
   try {
+    // Shard lifecycle: /api/hive/shards/:id[/stop|/start|/redeploy]
+    const shardMatch = endpoint.match(/^hive\/shards\/([^/]+)(?:\/(stop|start|redeploy))?$/);
+    if (shardMatch) {
+      await handleShardAPI(req, res, decodeURIComponent(shardMatch[1]), shardMatch[2]);
+      return;
+    }
+
     switch (endpoint) {
       case 'hive/status':
         respondJSON(res, 200, await hive.getStatus());
@@ -100,23 +140,96 @@ async function handleAPI(req, res, url) {
         if (req.method === 'GET') {
           respondJSON(res, 200, await hive.listShards());
         } else if (req.method === 'POST') {
-          const body = await readBody(req);
-          const shard = await hive.createShard(JSON.parse(body));
+          const shard = await hive.createShard(await readJSON(req));
           respondJSON(res, 201, shard);
         }
         break;
 
       case 'hive/boot':
-        const bootBody = await readBody(req);
-        const config = JSON.parse(bootBody);
-        await hive.boot(config);
+        await hive.boot(await readJSON(req));
         respondJSON(res, 200, { status: 'booted', hive: hive.id });
         break;
 
+      case 'hive/snapshot':
+        if (req.method !== 'POST') {
+          respondJSON(res, 405, { error: 'Method not allowed' });
+          break;
+        }
+        const snapshot = await hive.snapshot();
+        respondJSON(res, 200, {
+          status: 'saved',
+          persisted: !!hive.store,
+          hive: snapshot.hive,
+          shards: snapshot.shards.length,
+          timestamp: snapshot.timestamp
+        });
+        break;
+
+      case 'hive/restore':
+        if (req.method !== 'POST') {
+          respondJSON(res, 405, { error: 'Method not allowed' });
+          break;
+        }
+        // Optional body: a snapshot to restore instead of the stored one
+        const restored = await hive.restore(await readJSON(req));
+        respondJSON(res, 200, restored);
+        break;
+
+      case 'kuhul/execute':
+        if (req.method !== 'POST') {
+          respondJSON(res, 405, { error: 'Method not allowed' });
+          break;
+        }
+        await handleKuhulExecute(req, res);
+        break;
+
+      case 'xjson/from-html':
+        if (req.method !== 'POST') {
+          respondJSON(res, 405, { error: 'Method not allowed' });
+          break;
+        }
+        await handleFromHTML(req, res);
+        break;
+
+      case 'hive/registry':
+        requireFederation();
+        hive.federation.authorize(req);
+        respondJSON(res, 200, hive.federation.registry());
+        break;
+
+      case 'hive/peers':
+        requireFederation();
+        if (req.method === 'GET') {
+          respondJSON(res, 200, hive.federation.list());
+        } else if (req.method === 'POST') {
+          hive.federation.authorize(req);
+          const peerBody = await readJSONObject(req);
+          respondJSON(res, 200, await hive.federation.addPeer(peerBody.url, {
+            announce: peerBody.announce !== false
+          }));
+        } else if (req.method === 'DELETE') {
+          hive.federation.authorize(req);
+          respondJSON(res, 200, hive.federation.removePeer(url.searchParams.get('url')));
+        } else {
+          respondJSON(res, 405, { error: 'Method not allowed' });
+        }
+        break;
+
+      case 'handlers':
+        respondJSON(res, 200, hive.handlers.list());
+        break;
+
       case 'mesh/routes':
         respondJSON(res, 200, mesh.getRoutes());
         break;
 
+      case 'mesh/listeners':
+        respondJSON(res, 200, {
+          enabled: !!portBinder,
+          listeners: portBinder ? portBinder.list() : []
+        });
+        break;
+
       case 'health':
         respondJSON(res, 200, {
           status: 'ok',
@@ -132,7 +245,104 @@ async function handleAPI(req, res, url) {
     }
   } catch (err) {
     console.error('API Error:', err);
-    respondJSON(res, 500, { error: err.message });
+    respondJSON(res, err.status || 500, {
+      error: err.message,
+      ...(err.errors ? { errors: err.errors } : {})
+    });
+  }
+}
+
+/**
+ * HTML -> XJSON: raw HTML body (text/html) or JSON { "html": "..." }
+ * Returns the node tree and a ready-to-use shard view
+ */
+async function handleFromHTML(req, res) {
+  const html = String(req.headers['content-type'] || '').includes('json')
+    ? (await readJSONObject(req)).html
+    : await readBody(req);
+
+  if (typeof html !== 'string' || !html.trim()) {
+    respondJSON(res, 400, { error: 'Missing HTML (send text/html or JSON { "html": "..." })' });
+    return;
+  }
+
+  respondJSON(res, 200, {
+    nodes: parseHTMLNodes(html),
+    view: new XJSONParser().htmlToView(html)
+  });
+}
+
+/**
+ * Ad-hoc K'uhul execution
+ * Body: { code, shardId?, data?, context?, trace? }
+ */
+async function handleKuhulExecute(req, res) {
+  const body = await readJSONObject(req);
+
+  if (typeof body.code !== 'string') {
+    respondJSON(res, 400, { error: 'Missing "code" (K\'uhul source string)' });
+    return;
+  }
+
+  try {
+    const report = await hive.evaluate(body.code, {
+      shardId: body.shardId || null,
+      data: body.data ?? null,
+      context: body.context || {},
+      trace: body.trace !== false
+    });
+    respondJSON(res, 200, report);
+  } catch (err) {
+    if (!(err instanceof KuhulError)) throw err;
+
+    // Syntax errors are the caller's input; runtime failures still report trace and timing
+    respondJSON(res, err.status || 422, {
+      error: err.message,
+      type: err.name,
+      line: err.line,
+      limit: err.limit,
+      max: err.max,
+      trace: err.trace,
+      timing: err.timing
+    });
+  }
+}
+
+/**
+ * Shard lifecycle API
+ */
+async function handleShardAPI(req, res, shardId, action) {
+  if (action) {
+    if (req.method !== 'POST') {
+      respondJSON(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    const shard = action === 'stop'
+      ? await hive.stopShard(shardId)
+      : action === 'start'
+        ? await hive.startShard(shardId)
+        : await hive.redeployShard(shardId);
+
+    respondJSON(res, 200, { id: shard.id, status: shard.status });
+    return;
+  }
+
+  switch (req.method) {
+    case 'GET':
+      respondJSON(res, 200, hive.requireShard(shardId));
+      break;
+
+    case 'PUT':
+      respondJSON(res, 200, await hive.updateShard(shardId, await readJSON(req)));
+      break;
+
+    case 'DELETE':
+      respondJSON(res, 200, await hive.deleteShard(shardId));
+      break;
+
+    default:
+      respondJSON(res, 405, { error: 'Method not allowed' });
   }
 }
 
@@ -154,28 +364,15 @@ async function serveStatic(req, res, url) {
       filePath = path.join(filePath, 'index.html');
     }
 
-    const content = await fs.readFile(filePath);
-    const mimeType = mime.lookup(filePath) || 'application/octet-stream';
-
-    res.writeHead(200, {
-      'Content-Type': mimeType,
-      'Content-Length': content.length,
+    await sendFile(res, filePath, {
       'Cache-Control': DEV_MODE ? 'no-cache' : 'public, max-age=3600'
     });
-    res.end(content);
   } catch (err) {
     if (err.code === 'ENOENT') {
       // Try serving from root for lib files
       try {
         const rootFile = path.join(ROOT_DIR, url.pathname.slice(1));
-        const content = await fs.readFile(rootFile);
-        const mimeType = mime.lookup(rootFile) || 'application/octet-stream';
-
-        res.writeHead(200, {
-          'Content-Type': mimeType,
-          'Content-Length': content.length
-        });
-        res.end(content);
+        await sendFile(res, rootFile);
       } catch {
         res.writeHead(404, { 'Content-Type': 'text/plain' });
         res.end('404 Not Found');
@@ -187,6 +384,33 @@ async function serveStatic(req, res, url) {
   }
 }
 
+/**
+ * Send a file; SCX crowns (*.scx.json) are streamed, chunked, instead of read whole
+ */
+async function sendFile(res, filePath, headers = {}) {
+  if (filePath.endsWith('.scx.json')) {
+    await fs.access(filePath); // a missing file still gets its 404
+
+    res.writeHead(200, { 'Content-Type': 'application/x-scx', ...headers });
+    try {
+      await pipeline(createReadStream(filePath), res);
+    } catch (err) {
+      console.error(`[Static] Streaming ${filePath} failed:`, err.message);
+    }
+    return;
+  }
+
+  const content = await fs.readFile(filePath);
+  const mimeType = mime.lookup(filePath) || 'application/octet-stream';
+
+  res.writeHead(200, {
+    'Content-Type': mimeType,
+    'Content-Length': content.length,
+    ...headers
+  });
+  res.end(content);
+}
+
 /**
  * WebSocket Server for real-time AI swarm communication
  */
@@ -199,7 +423,9 @@ wss.on('connection', (ws, req) => {
   if (url.pathname.startsWith('/ai/swarm')) {
     aiSwarm.handleWebSocket(ws, url);
   } else if (url.pathname.startsWith('/mesh/stream')) {
-    mesh.handleWebSocket(ws, url);
+    mesh.handleWebSocket(ws, url, req);
+  } else if (url.pathname.startsWith('/mesh/debug')) {
+    kuhulDebug.handleWebSocket(ws, url, req);
   } else {
     ws.send(JSON.stringify({ error: 'Unknown WebSocket endpoint' }));
     ws.close();
@@ -232,10 +458,21 @@ server.listen(PORT, async () => {
   POST /api/hive/boot       - Boot hive from config
   GET  /api/hive/shards     - List shards
   POST /api/hive/shards     - Create shard
+  PUT  /api/hive/shards/:id - Update & redeploy shard
+  DEL  /api/hive/shards/:id - Delete shard
+  POST /api/hive/shards/:id/{stop,start,redeploy}
+  POST /api/hive/snapshot   - Persist hive state
+  POST /api/hive/restore    - Restore hive state
+  GET  /api/hive/peers      - Federated peer hives (POST to add, needs ASXR_FEDERATION_KEY)
+  GET  /api/hive/registry   - Local shard registry for peers
+  POST /api/kuhul/execute   - Run K'uhul code (result, trace, timing)
+  GET  /api/handlers        - Native handler modules
   *    /mesh/*              - Virtual mesh routing
+  GET  /api/mesh/listeners  - Real shard port listeners (--bind-ports)
   *    /ai/*                - AI swarm endpoints
   WS   /ai/swarm            - AI chat swarm WebSocket
   WS   /mesh/stream         - Mesh streaming
+  WS   /mesh/debug          - K'uhul step debugger
 
   Press Ctrl+C to stop
 `);
@@ -243,8 +480,24 @@ server.listen(PORT, async () => {
   // Initialize Crown API (Ollama integration)
   await crownAPI.initialize();
 
+  // Load native handler modules for K'uhul [Sek ...] calls
+  await hive.handlers.loadDirectory(path.join(__dirname, 'handlers'));
+
+  // Rehydrate hive from the persistent store
+  let restored = false;
+  if (hive.store) {
+    try {
+      ({ restored } = await hive.restore());
+      if (restored) {
+        console.log(`  ✓ Restored hive ${hive.id} with ${hive.shards.size} shards\n`);
+      }
+    } catch (err) {
+      console.error('  ✗ Failed to restore hive state:', err.message);
+    }
+  }
+
   // Auto-boot default hive in dev mode
-  if (DEV_MODE) {
+  if (DEV_MODE && !restored) {
     try {
       const defaultConfig = await fs.readFile(path.join(ROOT_DIR, 'asx-config.json'), 'utf8');
       if (defaultConfig && defaultConfig.trim() !== '{}') {
@@ -255,6 +508,16 @@ server.listen(PORT, async () => {
       console.log('  ℹ No default hive config found\n');
     }
   }
+
+  // Peer with other hives
+  if (hive.federation) {
+    await hive.federation.start();
+  }
+
+  // Real TCP listeners on shard ports (opt-in)
+  if (portBinder) {
+    await portBinder.start();
+  }
 });
 
 /**
@@ -278,6 +541,46 @@ async function readBody(req) {
   });
 }
 
+/**
+ * Federation endpoints answer 404 unless federation is enabled
+ */
+function requireFederation() {
+  if (!hive.federation) {
+    const err = new Error('Federation is disabled (set ASXR_FEDERATION_KEY)');
+    err.status = 404;
+    throw err;
+  }
+}
+
+/**
+ * Parse a JSON request body (fallback when empty); malformed JSON is a 400
+ */
+async function readJSON(req, fallback = null) {
+  const body = await readBody(req);
+  if (!body) return fallback;
+
+  try {
+    return JSON.parse(body);
+  } catch {
+    const err = new Error('Invalid JSON body');
+    err.status = 400;
+    throw err;
+  }
+}
+
+/**
+ * Parse a JSON request body that must be an object ({} when empty); anything else is a 400
+ */
+async function readJSONObject(req) {
+  const body = await readJSON(req, {});
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    const err = new Error('JSON body must be an object');
+    err.status = 400;
+    throw err;
+  }
+  return body;
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\n🛑 Shutting down Multi-Hive Server...');
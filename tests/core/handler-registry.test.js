@@ -0,0 +1,42 @@
+/**
+ * Handler Registry - resolution and module permissions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HandlerRegistry, HandlerPermissionError } from '../../server/core/handler-registry.js';
+
+function registry() {
+  return new HandlerRegistry({ quiet: true })
+    .register('math', { double: async ({ input }) => input.n * 2, notAFunction: 42 })
+    .register('text', { upper: async ({ input }) => input.s.toUpperCase() });
+}
+
+test('handlers resolve by plain or qualified name', async () => {
+  const handlers = registry();
+
+  assert.equal(handlers.resolve('double').module, 'math');
+  assert.equal(handlers.resolve('text.upper').name, 'upper');
+  assert.equal(handlers.resolve('notAFunction'), null);
+  assert.equal(await handlers.invoke('math.double', { n: 21 }), 42);
+  await assert.rejects(handlers.invoke('missing'), /Handler not found: missing/);
+});
+
+test('Object.prototype names are not handlers', async () => {
+  const handlers = registry();
+
+  for (const name of ['toString', 'constructor', 'hasOwnProperty', '__proto__', 'math.valueOf']) {
+    assert.equal(handlers.resolve(name), null, name);
+  }
+  assert.equal(handlers.scope(['math']).has('toString'), false);
+  await assert.rejects(handlers.invoke('toString'), /Handler not found/);
+});
+
+test('scoped views deny modules the shard did not declare', async () => {
+  const scoped = registry().scope(['text']);
+
+  assert.equal(scoped.has('upper'), true);
+  assert.equal(scoped.has('double'), true);
+  assert.equal(await scoped.invoke('upper', { s: 'hi' }), 'HI');
+  await assert.rejects(scoped.invoke('double', { n: 1 }), HandlerPermissionError);
+});
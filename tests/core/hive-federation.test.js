@@ -0,0 +1,60 @@
+/**
+ * Hive Federation - forwarded mesh calls
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { HiveOrchestrator } from '../../server/core/hive-orchestrator.js';
+import { HiveFederation } from '../../server/core/hive-federation.js';
+
+test('forward() sends only allowlisted request headers plus federation headers', async (t) => {
+  t.mock.method(console, 'log', () => {});
+
+  let received = null;
+  const peerServer = http.createServer((req, res) => {
+    received = req.headers;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true }));
+  });
+  await new Promise(resolve => peerServer.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const federation = new HiveFederation(new HiveOrchestrator(), { url: 'http://127.0.0.1:1', key: 'k' });
+    const peer = { url: `http://127.0.0.1:${peerServer.address().port}`, hive: 'peer-hive' };
+    const ctx = {
+      shardId: 'users',
+      method: 'GET',
+      path: '/list?page=2',
+      data: null,
+      correlationId: 'corr-1',
+      chain: ['orders'],
+      headers: {},
+      requestHeaders: {
+        accept: 'application/json',
+        'user-agent': 'test',
+        authorization: 'Bearer user-token',
+        cookie: 'session=abc',
+        'x-api-key': 'mesh-key',
+        'x-asxr-federation-key': 'spoofed',
+        'x-forwarded-for': '10.0.0.1',
+        host: 'example.com'
+      }
+    };
+
+    await federation.forward(ctx, peer);
+
+    assert.deepEqual([ctx.status, ctx.body, ctx.headers['X-ASXR-Hive']], [200, { ok: true }, 'peer-hive']);
+    for (const name of ['authorization', 'cookie', 'x-api-key', 'x-forwarded-for']) {
+      assert.equal(received[name], undefined, name);
+    }
+    assert.equal(received.accept, 'application/json');
+    assert.equal(received['user-agent'], 'test');
+    assert.equal(received['x-asxr-federation-key'], 'k');
+    assert.equal(received['x-correlation-id'], 'corr-1');
+    assert.equal(received['x-mesh-chain'], 'orders');
+    assert.ok(received['x-asxr-forwarded']);
+  } finally {
+    await new Promise(resolve => peerServer.close(resolve));
+  }
+});
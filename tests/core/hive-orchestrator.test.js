@@ -0,0 +1,292 @@
+/**
+ * Hive Orchestrator - persistence (snapshot, journal, restore)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HiveOrchestrator } from '../../server/core/hive-orchestrator.js';
+import { MemoryHiveStore } from '../../server/core/hive-store.js';
+import { HandlerRegistry } from '../../server/core/handler-registry.js';
+
+const COUNTER = {
+  id: 'counter',
+  port: 4101,
+  api: [
+    { path: '/n', method: 'GET', handler: '[Yax state]→[Sek get "n"]' },
+    { path: '/inc', method: 'POST', handler: '[Yax state]→[Yax state]→[Sek get "n"]→[Sek add 1]→[Sek set "n"]→[Sek get "n"]' }
+  ]
+};
+
+test('a supplied snapshot replaces the stored one', async () => {
+  const store = new MemoryHiveStore();
+  const hive = new HiveOrchestrator({ store });
+  await hive.createShard(COUNTER);
+  await hive.createShard({ ...COUNTER, id: 'extra', port: 4102 });
+
+  const snapshot = await hive.snapshot();
+  snapshot.shards = snapshot.shards.filter(s => s.definition.id !== 'extra');
+  await hive.restore(snapshot);
+  await hive.routeToShard('counter', 'POST', '/inc', {});
+
+  const restarted = new HiveOrchestrator({ store });
+  const { shards } = await restarted.restore();
+  assert.deepEqual(shards, ['counter']);
+  assert.deepEqual(restarted.getShard('counter').state, { n: 1 });
+});
+
+test('only state changes are journaled', async () => {
+  const store = new MemoryHiveStore();
+  const hive = new HiveOrchestrator({ store });
+  await hive.createShard(COUNTER);
+  await hive.snapshot();
+
+  for (let i = 0; i < 5; i++) await hive.routeToShard('counter', 'GET', '/n', null);
+  assert.equal(store.journal.length, 0);
+
+  await hive.routeToShard('counter', 'POST', '/inc', {});
+  assert.deepEqual(store.journal.map(e => [e.type, e.state]), [['shard:state', { n: 1 }]]);
+});
+
+test('journal is compacted into a snapshot after compactAfter entries', async () => {
+  const store = new MemoryHiveStore();
+  const hive = new HiveOrchestrator({ store, compactAfter: 3 });
+  await hive.createShard(COUNTER);
+  await hive.routeToShard('counter', 'POST', '/inc', {});
+  assert.equal(store.journal.length, 2);
+
+  await hive.routeToShard('counter', 'POST', '/inc', {});
+  assert.equal(store.journal.length, 0);
+  assert.deepEqual(store.snapshot.shards[0].state, { n: 2 });
+
+  await hive.routeToShard('counter', 'POST', '/inc', {});
+  assert.equal(store.journal.length, 1);
+});
+
+test('concurrent K\'uhul writers on one replica do not lose updates', async () => {
+  for (const isolation of ['inline', 'worker']) {
+    const hive = new HiveOrchestrator({ isolation });
+    await hive.createShard(COUNTER);
+
+    const results = await Promise.all(Array.from({ length: 8 }, () => hive.routeToShard('counter', 'POST', '/inc', {})));
+    assert.deepEqual(hive.getShard('counter').state, { n: 8 }, isolation);
+    assert.deepEqual(results.sort(), [1, 2, 3, 4, 5, 6, 7, 8], isolation);
+  }
+});
+
+test('VM locals, the stack and halt do not outlive a request', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+  const locals = {
+    id: 'locals',
+    port: 4103,
+    api: [
+      { path: '/set', method: 'POST', handler: '[Yax input]→[Sek get "v"]→[Ch\'en x]→[Wo 1]→[Wo 2]→[Xul]' },
+      { path: '/peek', handler: '[Yax x]' },
+      // Each run suspends at the mesh call, so concurrent runs interleave
+      { path: '/echo', method: 'POST', handler: '[Yax input]→[Sek get "v"]→[Ch\'en x]\n[Sek mesh_call counter /n]\n[Yax x]' }
+    ]
+  };
+
+  for (const isolation of ['inline', 'worker']) {
+    const hive = new HiveOrchestrator({ isolation });
+    await hive.createShard(COUNTER);
+    await hive.createShard(locals);
+
+    assert.equal(await hive.routeToShard('locals', 'POST', '/set', { v: 'secret' }), 2, isolation);
+    assert.equal(await hive.routeToShard('locals', 'GET', '/peek', null), null, isolation);
+    // [Xul] ended that run only
+    assert.equal(await hive.routeToShard('locals', 'POST', '/set', { v: 'again' }), 2, isolation);
+
+    const echoes = await Promise.all(['a', 'b', 'c'].map(v => hive.routeToShard('locals', 'POST', '/echo', { v })));
+    assert.deepEqual(echoes, ['a', 'b', 'c'], isolation);
+  }
+});
+
+test('a failed run does not block the replica\'s queue', async () => {
+  const hive = new HiveOrchestrator({ limits: { instructions: 50 } });
+  await hive.createShard({
+    ...COUNTER,
+    api: [...COUNTER.api, { path: '/spin', method: 'POST', handler: '[K\'ayab\' 100 i]\n[Kumk\'u]' }]
+  });
+
+  const [spin, inc] = await Promise.allSettled([
+    hive.routeToShard('counter', 'POST', '/spin', {}),
+    hive.routeToShard('counter', 'POST', '/inc', {})
+  ]);
+  assert.equal(spin.reason.status, 422);
+  assert.deepEqual([spin.reason.limit, spin.reason.max], ['instructions', 50]);
+  assert.equal(inc.value, 1);
+});
+
+test('pipelines that await and write state are queued too', async () => {
+  const handlers = new HandlerRegistry({ quiet: true })
+    .register('slow', { wait: () => new Promise(resolve => setTimeout(resolve, 10)) });
+  const hive = new HiveOrchestrator({ handlers });
+  await hive.createShard({
+    id: 'owner',
+    port: 4134,
+    handlers: ['slow'],
+    api: [{
+      path: '/claim',
+      method: 'POST',
+      handler: { pipeline: [
+        { op: 'set', path: 'state.owner', value: '{{input.who}}' },
+        { op: 'call', handler: 'wait' },
+        { op: 'get', from: 'state.owner' }
+      ] }
+    }]
+  });
+
+  const results = await Promise.all(['a', 'b', 'c'].map(who => hive.routeToShard('owner', 'POST', '/claim', { who })));
+  assert.deepEqual(results, ['a', 'b', 'c']);
+});
+
+test('broken inline schemas fail the compile with a 400', async () => {
+  const hive = new HiveOrchestrator();
+  const route = { path: '/x', method: 'POST', handler: '[Yax input]' };
+
+  await assert.rejects(hive.createShard({ id: 'typed', port: 4135, api: [{ ...route, request: { type: 'float' } }] }),
+    err => err.status === 400 && /invalid request schema: type must be one of .* \(got float\)/.test(err.message));
+  await assert.rejects(hive.createShard({ id: 'typed', port: 4135, api: [{ ...route, response: { items: { $ref: 'nope' } } }] }),
+    err => err.status === 400 && /invalid response schema: items\.\$ref is not a registered schema \(nope\)/.test(err.message));
+
+  await hive.createShard({ id: 'typed', port: 4135, api: [{ ...route, request: { type: 'object', required: ['a'] } }] });
+  await assert.rejects(hive.routeToShard('typed', 'POST', '/x', {}), { name: 'XJSONValidationError', status: 400 });
+});
+
+test('shards calling each other concurrently do not deadlock', async () => {
+  // a/x holds a's replica and calls b while b/z holds b's replica and calls a
+  const caller = (id, port, target, path) => ({
+    id,
+    port,
+    api: [
+      {
+        path: '/call',
+        method: 'POST',
+        handler: `[Yax state]→[Wo 1]→[Sek set "before"]\n[Sek mesh_call ${target} ${path}]→[Ch'en r]\n[Yax state]→[Yax r]→[Sek set "got"]→[Sek get "got"]`
+      },
+      { path: '/name', handler: `[Wo "${id}"]` }
+    ]
+  });
+
+  for (const isolation of ['inline', 'worker']) {
+    const hive = new HiveOrchestrator({ isolation, limits: { timeMs: 3000 } });
+    await hive.createShard(caller('a', 4130, 'b', '/name'));
+    await hive.createShard(caller('b', 4131, 'a', '/name'));
+
+    const results = await Promise.all([
+      hive.routeToShard('a', 'POST', '/call', {}),
+      hive.routeToShard('b', 'POST', '/call', {})
+    ]);
+    assert.deepEqual(results, ['b', 'a'], isolation);
+    assert.deepEqual(hive.getShard('a').state, { before: 1, got: 'b' }, isolation);
+    assert.deepEqual(hive.getShard('b').state, { before: 1, got: 'a' }, isolation);
+  }
+});
+
+test('a state change made before a mesh call is committed with it', async () => {
+  const store = new MemoryHiveStore();
+  const hive = new HiveOrchestrator({ store });
+  await hive.createShard(COUNTER);
+  await hive.createShard({
+    id: 'caller',
+    port: 4132,
+    api: [{ path: '/go', method: 'POST', handler: '[Yax state]→[Wo 1]→[Sek set "step"]\n[Sek mesh_call counter /n]\n[Yax state]→[Wo 2]→[Sek set "step"]' }]
+  });
+  store.journal.length = 0;
+
+  await hive.routeToShard('caller', 'POST', '/go', {});
+  assert.deepEqual(store.journal.map(e => e.state), [{ step: 1 }, { step: 2 }]);
+});
+
+test('mesh calls count against the caller\'s time budget', async () => {
+  const handlers = new HandlerRegistry({ quiet: true }).register('hang', { hang: () => new Promise(() => {}) });
+  const hive = new HiveOrchestrator({ handlers, limits: { timeMs: 200 } });
+  await hive.createShard({ id: 'stuck', port: 4133, handlers: ['hang'], api: [{ path: '/hang', handler: 'hang' }] });
+  await hive.createShard({ ...COUNTER, api: [...COUNTER.api, { path: '/call', handler: '[Sek mesh_call stuck /hang]' }] });
+
+  const started = Date.now();
+  const err = await hive.routeToShard('counter', 'GET', '/call', null).catch(e => e);
+  assert.equal(err.name, 'KuhulLimitError');
+  assert.equal(err.status, 422);
+  assert.ok(Date.now() - started < 2000);
+
+  // The caller's replica is free again
+  assert.equal(await hive.routeToShard('counter', 'POST', '/inc', {}), 1);
+});
+
+test('ad-hoc and shard K\'uhul cannot reach the hive', async () => {
+  const hive = new HiveOrchestrator();
+  await hive.createShard({
+    ...COUNTER,
+    api: [{ path: '/spawn', method: 'POST', handler: '[Wo {"id": "rogue", "port": 4199}]→[Sek register_virtual_api]' }]
+  });
+
+  await assert.rejects(hive.routeToShard('counter', 'POST', '/spawn', {}), { status: 403 });
+  await assert.rejects(hive.evaluate('[Wo {"id": "rogue", "port": 4199}]→[Sek register_virtual_api]'), { status: 403 });
+  await assert.rejects(hive.executeGlyph('[Wo {}]→[Sek start_virtual_server]'), { status: 403 });
+
+  const report = await hive.evaluate('[Yax hive]', { context: {} });
+  assert.equal(report.result, null);
+  assert.equal(hive.getShard('rogue'), undefined);
+});
+
+test('a wildcard before the last segment is a 400, not a 500', async () => {
+  const hive = new HiveOrchestrator();
+  const def = { id: 'files', port: 4120, api: [{ path: '/a/*/b', handler: '[Wo 1]' }] };
+
+  assert.throws(() => hive.buildShard(def), err =>
+    err.name === 'ShardError' && err.status === 400 && /Wildcard must be the last segment/.test(err.message));
+  await assert.rejects(hive.createShard(def), { status: 400 });
+
+  await hive.createShard({ ...def, api: [{ path: '/a/*', handler: '[Wo 1]' }] });
+  await assert.rejects(hive.updateShard('files', { api: def.api }), { status: 400 });
+  assert.equal(hive.getShard('files').api[0].path, '/a/*');
+});
+
+test('a bad snapshot leaves the live hive untouched', async () => {
+  const store = new MemoryHiveStore();
+  const hive = new HiveOrchestrator({ store });
+  await hive.createShard(COUNTER);
+  await hive.routeToShard('counter', 'POST', '/inc', {});
+  const good = await hive.snapshot();
+  const shard = (def) => ({ definition: { ...COUNTER, ...def }, state: {}, status: 'running' });
+
+  // Supplied snapshots are validated like a hive config
+  const invalid = { ...good, shards: [...good.shards, shard({ id: 'x y!', port: 4102 }), shard({ id: 'dup' })] };
+  const err = await hive.restore(invalid).catch(e => e);
+  assert.equal(err.name, 'XJSONValidationError');
+  assert.equal(err.status, 400);
+  assert.deepEqual(err.errors.map(e => e.path), ['shards[1].definition.id', 'shards[2].definition.port']);
+
+  // A shard that fails to build aborts the restore before anything is swapped in
+  const unbuildable = shard({ id: 'later', port: 4103, api: [{ path: '/p', handler: { pipeline: [{ op: 'nope' }] } }] });
+  await assert.rejects(hive.restore({ ...good, shards: [shard({ id: 'first', port: 4104 }), unbuildable] }), { status: 400 });
+
+  // Stored snapshots skip validation but still build off to the side
+  store.snapshot = { ...good, shards: [shard({ id: 'wild', port: 4105, api: [{ path: '/a/*/b', handler: '[Wo 1]' }] })] };
+  await assert.rejects(hive.restore(), /Wildcard must be the last segment/);
+
+  assert.deepEqual(Array.from(hive.shards.keys()), ['counter']);
+  assert.deepEqual(Array.from(hive.registry.keys()), ['counter']);
+  assert.deepEqual(await hive.routeToShard('counter', 'GET', '/n', null), 1);
+});
+
+test('journal replay builds on the staged hive', async () => {
+  const store = new MemoryHiveStore();
+  const hive = new HiveOrchestrator({ store });
+  await hive.createShard(COUNTER);
+  await hive.snapshot();
+  await hive.createShard({ ...COUNTER, id: 'gone', port: 4106 });
+  await hive.routeToShard('counter', 'POST', '/inc', {});
+  await hive.updateShard('counter', { port: 4107 });
+  await hive.stopShard('counter');
+  await hive.deleteShard('gone');
+
+  const restarted = new HiveOrchestrator({ store });
+  const { shards } = await restarted.restore();
+  assert.deepEqual(shards, ['counter']);
+  const counter = restarted.getShard('counter');
+  assert.deepEqual([counter.port, counter.status, counter.state], [4107, 'stopped', { n: 1 }]);
+  assert.equal(store.journal.length, 0);
+});
@@ -0,0 +1,89 @@
+/**
+ * K'uhul Debug Server - shard sessions go through the mesh and run on a copy
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HiveOrchestrator } from '../../server/core/hive-orchestrator.js';
+import { VirtualMeshRouter } from '../../server/core/virtual-mesh.js';
+import { KuhulDebugServer } from '../../server/core/kuhul-debug.js';
+
+/**
+ * Debug socket double: send(msg) delivers a client message, next(type) waits for a server one
+ */
+function connect(server, headers = {}) {
+  const received = [];
+  const waiting = [];
+  const handlers = {};
+  const ws = {
+    OPEN: 1,
+    readyState: 1,
+    send: (raw) => {
+      const msg = JSON.parse(raw);
+      const idx = waiting.findIndex(w => w.type === msg.type);
+      if (idx >= 0) waiting.splice(idx, 1)[0].resolve(msg);
+      else received.push(msg);
+    },
+    on: (event, fn) => { handlers[event] = fn; }
+  };
+  server.handleWebSocket(ws, new URL('http://localhost/mesh/debug'), { headers, socket: { remoteAddress: '10.0.0.2' } });
+
+  return {
+    send: (msg) => handlers.message(Buffer.from(JSON.stringify(msg))),
+    next: (type) => {
+      const idx = received.findIndex(m => m.type === type);
+      if (idx >= 0) return Promise.resolve(received.splice(idx, 1)[0]);
+      return new Promise(resolve => waiting.push({ type, resolve }));
+    },
+    close: () => handlers.close()
+  };
+}
+
+async function setup(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const hive = new HiveOrchestrator();
+  hive.setMeshMiddleware([{ use: 'apiKey', keys: ['secret'] }]);
+  await hive.createShard({
+    id: 'counter',
+    port: 4401,
+    api: [{ path: '/inc', method: 'POST', handler: '[Yax state]→[Yax state]→[Sek get "n"]→[Sek add 1]→[Sek set "n"]→[Sek get "n"]' }]
+  });
+  const mesh = new VirtualMeshRouter(hive);
+  return { hive, server: new KuhulDebugServer(hive, mesh) };
+}
+
+test('shard sessions pass through the mesh middleware chain', async (t) => {
+  const { server } = await setup(t);
+
+  const denied = connect(server);
+  await denied.send({ type: 'debug:start', shardId: 'counter', method: 'POST', path: '/inc' });
+  const error = await denied.next('debug:error');
+  assert.deepEqual([error.status, error.error], [401, 'API key required']);
+
+  const allowed = connect(server, { 'x-api-key': 'secret' });
+  await allowed.send({ type: 'debug:start', shardId: 'counter', method: 'POST', path: '/inc' });
+  assert.equal((await allowed.next('debug:completed')).result, 1);
+
+  const missing = connect(server);
+  await missing.send({ type: 'debug:start', shardId: 'counter', path: '/nope', headers: { 'X-API-Key': 'secret' } });
+  assert.equal((await missing.next('debug:error')).status, 404);
+});
+
+test('a paused session holds up no request and its changes are dropped', async (t) => {
+  const { hive, server } = await setup(t);
+  await hive.routeToShard('counter', 'POST', '/inc', {});
+
+  const session = connect(server, { 'x-api-key': 'secret' });
+  await session.send({ type: 'debug:start', shardId: 'counter', method: 'POST', path: '/inc', stopOnEntry: true });
+  await session.next('debug:paused');
+
+  // The replica is not queued behind the paused program
+  assert.equal(await hive.routeToShard('counter', 'POST', '/inc', {}), 2);
+
+  await session.send({ type: 'debug:continue' });
+  assert.equal((await session.next('debug:completed')).result, 2);
+  assert.deepEqual(hive.getShard('counter').state, { n: 2 });
+  session.close();
+});
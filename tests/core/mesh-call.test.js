@@ -0,0 +1,87 @@
+/**
+ * Mesh Calls - shard-to-shard calls: cycles, the hop limit and error propagation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HiveOrchestrator } from '../../server/core/hive-orchestrator.js';
+
+/**
+ * Shard whose GET /next calls `target` (or answers with its mesh context when there is none)
+ */
+function link(id, port, target = null) {
+  return {
+    id,
+    port,
+    api: [{ path: '/next', handler: target ? `[Sek mesh_call ${target} /next]` : '[Yax mesh]' }]
+  };
+}
+
+async function hive(options, shards) {
+  const h = new HiveOrchestrator(options);
+  for (const shard of shards) {
+    await h.createShard(shard);
+  }
+  return h;
+}
+
+test('a call back into a shard already on the chain is a cycle', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const h = await hive({}, [link('a', 4501, 'b'), link('b', 4502, 'a')]);
+
+  // Raised in b, located at b's mesh_call line
+  await assert.rejects(h.routeToShard('a', 'GET', '/next', null),
+    { status: 508, message: 'Mesh call cycle: a → b → a (line 1: [Sek mesh_call a /next])' });
+
+  const self = await hive({}, [link('solo', 4503, 'solo')]);
+  await assert.rejects(self.routeToShard('solo', 'GET', '/next', null), { status: 508, message: /^Mesh call cycle: solo → solo / });
+});
+
+test('calls stop at the hop limit', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const shards = [link('s0', 4511, 's1'), link('s1', 4512, 's2'), link('s2', 4513, 's3'), link('s3', 4514)];
+
+  // s0 → s1 → s2 → s3 is three hops
+  const within = await hive({ maxHops: 3 }, shards);
+  const reached = await within.routeToShard('s0', 'GET', '/next', null, { mesh: { correlationId: 'c-1', chain: [] } });
+  assert.deepEqual(reached, { correlationId: 'c-1', chain: ['s0', 's1', 's2', 's3'], hops: 3 });
+
+  const limited = await hive({ maxHops: 2 }, shards);
+  await assert.rejects(limited.routeToShard('s0', 'GET', '/next', null),
+    { status: 508, message: /^Mesh hop limit exceeded \(max 2\): s0 → s1 → s2 → s3 / });
+});
+
+test('errors from the target shard reach the caller with their status', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const h = await hive({}, [
+    {
+      id: 'front',
+      port: 4521,
+      api: [
+        { path: '/missing', handler: '[Sek mesh_call back /nope]' },
+        { path: '/refused', handler: '[Sek mesh_call back POST /check ok=0]' },
+        { path: '/unknown', handler: '[Sek mesh_call nowhere /x]' },
+        { path: '/checked', handler: '[Sek mesh_call back POST /check ok=1]' }
+      ]
+    },
+    {
+      id: 'back',
+      port: 4522,
+      api: [{
+        path: '/check',
+        method: 'POST',
+        handler: { pipeline: [{ op: 'assert', that: 'input.ok > 0', status: 409, message: 'not ok' }, { op: 'value', value: 'ok' }] }
+      }]
+    }
+  ]);
+
+  await assert.rejects(h.routeToShard('front', 'GET', '/missing', null),
+    { status: 404, message: /^No handler for GET:\/nope in shard back / });
+  await assert.rejects(h.routeToShard('front', 'GET', '/refused', null), { status: 409, message: /^not ok / });
+  await assert.rejects(h.routeToShard('front', 'GET', '/unknown', null), { status: 404 });
+  assert.equal(await h.routeToShard('front', 'GET', '/checked', null), 'ok');
+
+  // A stopped target answers 503
+  await h.stopShard('back');
+  await assert.rejects(h.routeToShard('front', 'GET', '/checked', null), { status: 503, message: /^Shard back is stopped / });
+});
@@ -0,0 +1,82 @@
+/**
+ * Mesh Event Bus - topic patterns, replay and unsubscribe
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MeshEventBus, MeshEventError, matchTopic } from '../../server/core/mesh-events.js';
+
+test('* matches one segment, a trailing # matches the rest', () => {
+  assert.equal(matchTopic('shard.users.state', 'shard.users.state'), true);
+  assert.equal(matchTopic('shard.*.state', 'shard.users.state'), true);
+  assert.equal(matchTopic('shard.*.state', 'shard.users.created'), false);
+  assert.equal(matchTopic('shard.*', 'shard.users.state'), false);
+  assert.equal(matchTopic('shard.users.state', 'shard.users'), false);
+
+  assert.equal(matchTopic('shard.users.#', 'shard.users.order_added'), true);
+  assert.equal(matchTopic('shard.users.#', 'shard.users.a.b'), true);
+  assert.equal(matchTopic('shard.users.#', 'shard.orders.state'), false);
+  assert.equal(matchTopic('#', 'hive.booted'), true);
+});
+
+test('bad topics and patterns are 400s', () => {
+  const bus = new MeshEventBus();
+
+  for (const topic of ['', 'shard..state', 'shard.*.state', 'shard.#', null]) {
+    assert.throws(() => bus.publish(topic), err => err instanceof MeshEventError && err.status === 400, String(topic));
+  }
+  for (const pattern of ['', 'shard..state', '#.state', 'shard.#.state', 42]) {
+    assert.throws(() => bus.subscribe(pattern, () => {}), /Invalid topic pattern/, String(pattern));
+  }
+  assert.throws(() => bus.subscribe(['shard.#', 'bad..'], () => {}), /Invalid topic pattern: bad\.\./);
+  assert.equal(bus.subscribers.size, 0);
+});
+
+test('subscribers get matching events until they unsubscribe', () => {
+  const bus = new MeshEventBus();
+  const seen = [];
+  const off = bus.subscribe(['shard.users.#', 'hive.*'], e => seen.push(e.topic));
+
+  const event = bus.publish('shard.users.state', { n: 1 }, 'users');
+  assert.deepEqual({ ...event, timestamp: 0 }, { id: 1, topic: 'shard.users.state', source: 'users', data: { n: 1 }, timestamp: 0 });
+
+  bus.publish('shard.orders.state');
+  bus.publish('hive.booted');
+  assert.deepEqual(seen, ['shard.users.state', 'hive.booted']);
+
+  off();
+  bus.publish('shard.users.deleted');
+  assert.deepEqual(seen, ['shard.users.state', 'hive.booted']);
+  assert.equal(bus.subscribers.size, 0);
+});
+
+test('a throwing listener does not stop the others', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const bus = new MeshEventBus();
+  const seen = [];
+  bus.subscribe('#', () => { throw new Error('listener bug'); });
+  bus.subscribe('#', e => seen.push(e.id));
+
+  assert.equal(bus.publish('hive.booted').id, 1);
+  assert.deepEqual(seen, [1]);
+  assert.equal(console.error.mock.calls[0].arguments[1], 'listener bug');
+});
+
+test('replay returns buffered matches after `since`, newest `limit`', () => {
+  const bus = new MeshEventBus({ replaySize: 4 });
+  for (const topic of ['shard.a.state', 'shard.b.state', 'shard.a.created', 'hive.booted', 'shard.a.state', 'shard.a.stopped']) {
+    bus.publish(topic);
+  }
+
+  // Only the last 4 events (ids 3-6) are kept
+  assert.deepEqual(bus.replay('#').map(e => e.id), [3, 4, 5, 6]);
+  assert.deepEqual(bus.replay('shard.a.#').map(e => e.id), [3, 5, 6]);
+  assert.deepEqual(bus.replay(['shard.*.state', 'hive.#']).map(e => e.id), [4, 5]);
+  assert.deepEqual(bus.replay('shard.a.#', { since: 3 }).map(e => e.id), [5, 6]);
+  assert.deepEqual(bus.replay('shard.a.#', { limit: 2 }).map(e => e.id), [5, 6]);
+  assert.deepEqual(bus.replay('#', { limit: 0 }), []);
+
+  bus.clear();
+  assert.deepEqual(bus.replay('#'), []);
+  assert.equal(bus.publish('hive.booted').id, 7);
+});
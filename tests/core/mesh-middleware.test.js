@@ -0,0 +1,113 @@
+/**
+ * Mesh Middleware - chain order, error mapping and the WebSocket path
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMiddleware, registerMiddleware, runMiddleware } from '../../server/core/mesh-middleware.js';
+import { HiveOrchestrator, ShardError } from '../../server/core/hive-orchestrator.js';
+import { VirtualMeshRouter } from '../../server/core/virtual-mesh.js';
+
+function context(overrides = {}) {
+  return {
+    shardId: 'svc', method: 'GET', path: '/', query: {}, requestHeaders: {}, ip: '127.0.0.1',
+    correlationId: 'c-1', chain: [], data: null, state: {}, status: 200, body: null, headers: {},
+    ...overrides
+  };
+}
+
+test('only registered names build middleware', () => {
+  for (const name of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    assert.throws(() => createMiddleware([name]), /Unknown middleware/, name);
+  }
+
+  registerMiddleware('stamp', ({ value }) => async (ctx, next) => {
+    ctx.headers['X-Stamp'] = value;
+    await next();
+  });
+  const [stamp] = createMiddleware([{ use: 'stamp', value: 'v1' }]);
+  assert.equal(stamp.middlewareName, 'stamp');
+});
+
+test('a thrown error is mapped to its status before outer middleware resumes', async () => {
+  const seen = [];
+  const outer = async (ctx, next) => {
+    await next();
+    seen.push(ctx.status);
+  };
+  const [transform] = createMiddleware([{ use: 'transform', response: { wrap: 'data' } }]);
+
+  const ctx = await runMiddleware([outer, transform], context(), async () => {
+    throw new ShardError('Shard svc is stopped', 503);
+  });
+
+  assert.deepEqual(seen, [503]);
+  assert.equal(ctx.status, 503);
+  assert.deepEqual(ctx.body, { error: 'Shard svc is stopped' });
+
+  const crashed = await runMiddleware([], context(), async () => { throw new Error('boom'); });
+  assert.deepEqual([crashed.status, crashed.body], [500, { error: 'boom' }]);
+});
+
+test('the logger logs the status actually sent', async (t) => {
+  const lines = [];
+  t.mock.method(console, 'log', line => lines.push(line));
+  t.mock.method(console, 'error', () => {});
+
+  const [logger] = createMiddleware([{ use: 'logger', format: 'json' }]);
+  await runMiddleware([logger], context(), async () => {
+    throw new ShardError('No handler for GET:/ in shard svc', 404);
+  });
+
+  assert.equal(JSON.parse(lines.at(-1)).mesh.status, 404);
+});
+
+test('next() twice is an error, not a second shard call', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  let calls = 0;
+  const twice = async (ctx, next) => {
+    await next();
+    await next();
+  };
+
+  const ctx = await runMiddleware([twice], context(), async () => { calls++; });
+  assert.equal(calls, 1);
+  assert.deepEqual([ctx.status, ctx.body.error], [500, 'next() called multiple times']);
+});
+
+test('WebSocket mesh:call runs the hive and shard middleware chains', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const hive = new HiveOrchestrator();
+  hive.setMeshMiddleware([{ use: 'apiKey', keys: ['secret'] }]);
+  await hive.createShard({
+    id: 'svc',
+    port: 4301,
+    middleware: [{ use: 'transform', response: { wrap: 'data' } }],
+    api: [{ path: '/echo', method: 'POST', handler: '[Yax data]' }]
+  });
+  const mesh = new VirtualMeshRouter(hive);
+
+  const sent = [];
+  const handlers = {};
+  const ws = { send: msg => sent.push(JSON.parse(msg)), on: (event, fn) => { handlers[event] = fn; } };
+  mesh.handleWebSocket(ws, new URL('http://localhost/mesh/stream'), { headers: {}, socket: { remoteAddress: '10.0.0.1' } });
+
+  const call = async (msg) => {
+    await handlers.message(Buffer.from(JSON.stringify({ type: 'mesh:call', ...msg })));
+    return sent.at(-1);
+  };
+
+  const denied = await call({ requestId: 1, shardId: 'svc', method: 'POST', path: '/echo', data: { a: 1 } });
+  assert.deepEqual([denied.type, denied.status, denied.result.error], ['mesh:response', 401, 'API key required']);
+
+  const ok = await call({
+    requestId: 2, shardId: 'svc', method: 'post', path: '/echo', data: { a: 1 },
+    headers: { 'X-API-Key': 'secret' }, correlationId: 'corr-9'
+  });
+  assert.deepEqual(ok, { type: 'mesh:response', requestId: 2, correlationId: 'corr-9', status: 200, result: { data: { a: 1 } } });
+
+  const missing = await call({ requestId: 3, shardId: 'svc', path: '/nope', headers: { 'x-api-key': 'secret' } });
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,51 @@
+/**
+ * Shard Port Binder - listeners follow shard lifecycle and restores
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:net';
+import { HiveOrchestrator } from '../../server/core/hive-orchestrator.js';
+import { VirtualMeshRouter } from '../../server/core/virtual-mesh.js';
+import { ShardPortBinder } from '../../server/core/port-binder.js';
+
+// Ports the OS reports free right now
+async function freePorts(count) {
+  const servers = await Promise.all(Array.from({ length: count }, () => new Promise(resolve => {
+    const server = createServer().listen(0, '127.0.0.1', () => resolve(server));
+  })));
+  const ports = servers.map(s => s.address().port);
+  await Promise.all(servers.map(s => new Promise(resolve => s.close(resolve))));
+  return ports;
+}
+
+const shard = (id, port) => ({ id, port, api: [{ path: '/id', method: 'GET', handler: '[Yax shard]→[Sek get "id"]' }] });
+
+test('listeners are resynced from the shard table after restore', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const [kept, dropped, added] = await freePorts(3);
+
+  const hive = new HiveOrchestrator();
+  const binder = new ShardPortBinder(hive, new VirtualMeshRouter(hive));
+  await hive.createShard(shard('kept', kept));
+  await hive.createShard(shard('dropped', dropped));
+  await binder.start();
+
+  try {
+    assert.deepEqual(binder.list().map(l => [l.port, l.status]).sort(), [[kept, 'listening'], [dropped, 'listening']].sort());
+
+    const snapshot = await hive.snapshot();
+    snapshot.shards = snapshot.shards.filter(s => s.definition.id === 'kept');
+    snapshot.shards.push({ definition: shard('added', added), state: {}, status: 'running' });
+    await hive.restore(snapshot);
+    await binder.syncing;
+
+    assert.deepEqual(binder.list().map(l => [l.port, l.shard, l.status]).sort(),
+      [[kept, 'kept', 'listening'], [added, 'added', 'listening']].sort());
+
+    const response = await fetch(`http://127.0.0.1:${added}/id`);
+    assert.equal(await response.json(), 'added');
+  } finally {
+    await binder.stop();
+  }
+});
@@ -0,0 +1,118 @@
+/**
+ * Replica Set - load balancing, eviction and respawn
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplicaSet } from '../../server/core/replica-set.js';
+import { HiveOrchestrator, ShardError } from '../../server/core/hive-orchestrator.js';
+
+const fail = (set, replica, err) => set.run(replica, async () => { throw err; }).catch(() => {});
+
+test('options are checked', () => {
+  assert.throws(() => new ReplicaSet('s', { count: 0 }), /replicas must be an integer from 1 to 64/);
+  assert.throws(() => new ReplicaSet('s', { count: 1.5 }), /replicas must be an integer/);
+  assert.throws(() => new ReplicaSet('s', { balance: 'random' }), /Unknown balance strategy: random/);
+  assert.deepEqual(new ReplicaSet('s', { count: 2 }).replicas.map(r => r.id), ['s#0', 's#1']);
+});
+
+test('round-robin cycles through the healthy replicas', () => {
+  const set = new ReplicaSet('s', { count: 3 });
+  assert.deepEqual(Array.from({ length: 4 }, () => set.pick().index), [0, 1, 2, 0]);
+
+  set.replicas[1].status = 'evicted';
+  set.replicas[1].evictedAt = Date.now();
+  assert.deepEqual(Array.from({ length: 4 }, () => set.pick().index), [0, 2, 0, 2]);
+});
+
+test('least-busy picks the fewest in-flight calls, then the fewest served', async () => {
+  const set = new ReplicaSet('s', { count: 3, balance: 'least-busy' });
+  let release;
+  const busy = set.run(set.replicas[0], () => new Promise(resolve => { release = resolve; }));
+
+  assert.equal(set.pick().index, 1);
+  await set.run(set.replicas[1], async () => 'done');
+  assert.equal(set.pick().index, 2);
+
+  release();
+  await busy;
+  assert.deepEqual(set.stats().map(r => [r.inflight, r.calls]), [[0, 1], [0, 1], [0, 0]]);
+});
+
+test('consecutive server errors evict a replica, never the last healthy one', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const evicted = [];
+  const set = new ReplicaSet('s', { count: 2, health: { maxFailures: 2 }, onEvict: r => evicted.push(r.index) });
+  const [first, second] = set.replicas;
+
+  await fail(set, first, new Error('boom'));
+  await set.run(first, async () => 'ok');
+  await fail(set, first, new ShardError('down', 503));
+  assert.equal(first.status, 'healthy');
+
+  await fail(set, first, new Error('boom again'));
+  assert.deepEqual([first.status, first.failures, first.lastError], ['evicted', 3, 'boom again']);
+  assert.deepEqual(evicted, [0]);
+
+  for (let i = 0; i < 3; i++) await fail(set, second, new Error('boom'));
+  assert.equal(second.status, 'healthy');
+  assert.equal(set.pick(), second);
+});
+
+test('client errors do not count against a replica', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const set = new ReplicaSet('s', { count: 2, health: { maxFailures: 2 } });
+  const [replica] = set.replicas;
+
+  await fail(set, replica, new Error('boom'));
+  for (const status of [400, 404, 422]) {
+    await fail(set, replica, new ShardError('bad request', status));
+  }
+  await fail(set, replica, new Error('boom'));
+
+  assert.deepEqual([replica.status, replica.failures, replica.consecutiveFailures], ['healthy', 2, 1]);
+  assert.equal(replica.calls, 5);
+});
+
+test('an evicted replica is replaced by a fresh one after the cooldown', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+  const respawned = [];
+  const set = new ReplicaSet('s', {
+    count: 2,
+    health: { maxFailures: 1, cooldownMs: 1000 },
+    onRespawn: r => respawned.push([r.index, r.generation])
+  });
+  set.replicas[0].state.n = 5;
+
+  await fail(set, set.replicas[0], new Error('boom'));
+  const evictedAt = set.replicas[0].evictedAt;
+
+  set.respawnExpired(evictedAt + 999);
+  assert.equal(set.replicas[0].status, 'evicted');
+
+  set.respawnExpired(evictedAt + 1000);
+  assert.deepEqual(respawned, [[0, 1]]);
+  assert.deepEqual(set.stats()[0], {
+    id: 's#0', index: 0, generation: 1, status: 'healthy', inflight: 0, calls: 0,
+    failures: 0, consecutiveFailures: 0, avgMs: 0, lastError: null
+  });
+  assert.deepEqual(set.replicas[0].state, {});
+});
+
+test('a shard route rejecting bad input keeps its replicas healthy', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const hive = new HiveOrchestrator();
+  await hive.createShard({
+    id: 'strict',
+    port: 4601,
+    replicas: 2,
+    health: { maxFailures: 1 },
+    api: [{ path: '/check', handler: { pipeline: [{ op: 'assert', that: 'input.ok', status: 409 }] } }]
+  });
+
+  for (let i = 0; i < 4; i++) {
+    await assert.rejects(hive.routeToShard('strict', 'GET', '/check', null), { status: 409 });
+  }
+  assert.deepEqual(hive.getShard('strict').replicaSet.stats().map(r => r.status), ['healthy', 'healthy']);
+});
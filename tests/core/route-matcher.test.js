@@ -0,0 +1,79 @@
+/**
+ * Route Matcher - specificity, params, wildcards and ALL
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RouteMatcher } from '../../server/core/route-matcher.js';
+
+test('static segments beat params, params beat wildcards', () => {
+  const routes = new RouteMatcher()
+    .add('GET', '/users/*', 'wildcard')
+    .add('GET', '/users/:id', 'param')
+    .add('GET', '/users/me', 'static');
+
+  assert.equal(routes.match('GET', '/users/me').handler, 'static');
+  assert.equal(routes.match('GET', '/users/42').handler, 'param');
+  assert.equal(routes.match('GET', '/users/42/posts').handler, 'wildcard');
+  assert.deepEqual(routes.list().map(r => r.handler), ['static', 'param', 'wildcard']);
+});
+
+test('a longer static prefix outranks an earlier param', () => {
+  const routes = new RouteMatcher()
+    .add('GET', '/:a/b/c', 'param-first')
+    .add('GET', '/a/:b/:c', 'static-first');
+
+  assert.equal(routes.match('GET', '/a/b/c').handler, 'static-first');
+  assert.ok(routes.routes[0].score > routes.routes[1].score);
+});
+
+test(':params are decoded and the query string is parsed', () => {
+  const routes = new RouteMatcher().add('get', '/files/:dir/:name', 'file');
+  const match = routes.match('GET', '/files/my%20docs/a.txt?download=1&v=2');
+
+  assert.deepEqual(match.params, { dir: 'my docs', name: 'a.txt' });
+  assert.deepEqual(match.query, { download: '1', v: '2' });
+  assert.equal(match.route.method, 'GET');
+  assert.equal(routes.match('GET', '/files/docs'), null);
+  assert.equal(routes.match('GET', '/files/docs/a.txt/extra'), null);
+  assert.deepEqual(routes.match('GET', '/files/%E0%A4/x').params, { dir: '%E0%A4', name: 'x' });
+});
+
+test('* captures the rest of the path, including nothing', () => {
+  const routes = new RouteMatcher().add('GET', '/static/*', 'assets');
+
+  assert.deepEqual(routes.match('GET', '/static/css/site%20main.css').params, { '*': 'css/site main.css' });
+  assert.deepEqual(routes.match('GET', '/static').params, { '*': '' });
+  assert.equal(routes.match('GET', '/other/x'), null);
+  assert.throws(() => routes.add('GET', '/a/*/b', 'bad'), /Wildcard must be the last segment/);
+});
+
+test('ALL matches any method; an exact method wins at equal specificity', () => {
+  const routes = new RouteMatcher()
+    .add('ALL', '/items', 'any')
+    .add('POST', '/items', 'create');
+
+  assert.equal(routes.match('POST', '/items').handler, 'create');
+  assert.equal(routes.match('DELETE', '/items').handler, 'any');
+  assert.equal(routes.match('PATCH', '/nothing'), null);
+});
+
+test('a more specific ALL route beats a less specific exact method', () => {
+  const routes = new RouteMatcher()
+    .add('GET', '/items/:id', 'get-param')
+    .add('ALL', '/items/special', 'all-static');
+
+  assert.equal(routes.match('GET', '/items/special').handler, 'all-static');
+  assert.equal(routes.match('GET', '/items/7').handler, 'get-param');
+});
+
+test('method defaults to GET; clear() empties the table', () => {
+  const routes = new RouteMatcher().add(undefined, '/', 'root');
+
+  assert.equal(routes.match(undefined, '').handler, 'root');
+  assert.equal(routes.match('POST', '/'), null);
+  assert.equal(routes.size, 1);
+  routes.clear();
+  assert.equal(routes.size, 0);
+  assert.equal(routes.match('GET', '/'), null);
+});
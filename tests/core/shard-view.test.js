@@ -0,0 +1,100 @@
+/**
+ * Shard Views - server-side rendering at /mesh/:shardId/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HiveOrchestrator } from '../../server/core/hive-orchestrator.js';
+import { VirtualMeshRouter } from '../../server/core/virtual-mesh.js';
+
+const BOARD = {
+  id: 'board',
+  port: 4701,
+  api: [
+    { path: '/visit', method: 'POST', handler: '[Yax state]→[Yax state]→[Sek get "visits"]→[Sek add 1]→[Sek set "visits"]→[Sek get "visits"]' },
+    { path: '/posts', handler: '[Yax state]→[Sek get "posts"]' }
+  ],
+  view: {
+    html: {
+      head: { title: '{{shard.id}} for {{query.who}}' },
+      body: {
+        node: 'main',
+        children: [
+          { node: 'h1', children: ['Hello {{query.who}}'] },
+          { node: 'p', attrs: { cls: 'visits' }, children: ['Visit {{visit}} / {{state.visits}}'] },
+          { node: 'li', each: 'posts', as: 'post', bind: 'post.title' }
+        ]
+      }
+    },
+    data: { visit: 'POST /visit', posts: '/posts' }
+  }
+};
+
+/**
+ * GET `path` through the mesh router; returns { status, headers, body }
+ */
+async function get(mesh, path, method = 'GET') {
+  const url = new URL(path, 'http://localhost');
+  const res = { status: null, headers: {}, body: null };
+  await mesh.handleRequest({ method, headers: {}, socket: { remoteAddress: '127.0.0.1' } }, {
+    setHeader: (name, value) => { res.headers[name] = value; },
+    writeHead: (status, headers = {}) => {
+      res.status = status;
+      Object.assign(res.headers, headers);
+    },
+    end: (body) => { res.body = body ?? null; }
+  }, url);
+  return res;
+}
+
+async function setup(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const hive = new HiveOrchestrator();
+  await hive.createShard(BOARD);
+  hive.getShard('board').state.posts = [{ title: '<script>alert(1)</script>' }, { title: 'Second' }];
+  return { hive, mesh: new VirtualMeshRouter(hive) };
+}
+
+test('the view renders with state, query and data sources bound', async (t) => {
+  const { mesh } = await setup(t);
+
+  const page = await get(mesh, '/mesh/board/?who=%3Cb%3EAda');
+  assert.equal(page.status, 200);
+  assert.equal(page.headers['Content-Type'], 'text/html; charset=utf-8');
+  assert.equal(page.headers['Content-Length'], Buffer.byteLength(page.body));
+
+  assert.match(page.body, /^<!DOCTYPE html><html><head><meta charset="utf-8"><title>board for &lt;b&gt;Ada<\/title>/);
+  assert.ok(page.body.includes('<h1>Hello &lt;b&gt;Ada</h1>'));
+  // Data sources run first, in order; the page sees the state they left
+  assert.ok(page.body.includes('<p class="visits">Visit 1 / 1</p>'));
+  assert.ok(page.body.includes('<li>&lt;script&gt;alert(1)&lt;/script&gt;</li><li>Second</li>'));
+
+  // The interceptor lets the page call its own shard API
+  assert.ok(page.body.includes('window.shardId = "board";'));
+
+  const again = await get(mesh, '/mesh/board/?who=Bo');
+  assert.ok(again.body.includes('Visit 2 / 2'));
+});
+
+test('/mesh/:shardId redirects to the trailing-slash URL; HEAD has no body', async (t) => {
+  const { mesh } = await setup(t);
+
+  const redirect = await get(mesh, '/mesh/board?who=Ada');
+  assert.deepEqual([redirect.status, redirect.headers.Location], [301, '/mesh/board/?who=Ada']);
+
+  const head = await get(mesh, '/mesh/board/', 'HEAD');
+  assert.equal(head.status, 200);
+  assert.equal(head.body, null);
+  assert.ok(head.headers['Content-Length'] > 0);
+});
+
+test('a shard without a view answers 404 as JSON', async (t) => {
+  const { hive, mesh } = await setup(t);
+  await hive.createShard({ id: 'plain', port: 4702, api: [] });
+
+  const res = await get(mesh, '/mesh/plain/');
+  assert.equal(res.status, 404);
+  assert.match(JSON.parse(res.body).error, /No handler for GET:\/ in shard plain/);
+  await assert.rejects(hive.renderView('plain'), { status: 404, message: 'Shard plain has no view' });
+});
@@ -0,0 +1,116 @@
+/**
+ * K'uhul Compiler - bytecode, source map and syntax errors
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KuhulCompiler, OP, disassemble, parseLiteral } from '../../lib/kuhul/compiler.js';
+import { KuhulSyntaxError } from '../../lib/kuhul/errors.js';
+
+const compile = source => new KuhulCompiler().compile(source);
+
+test('conditionals compile to patched forward jumps', () => {
+  const program = compile(`[Wo 3]→[Ch'en n]\n[Ik' n]\n[Wo "yes"]\n[Ak'bal]\n[Wo "no"]\n[K'an]`);
+
+  assert.deepEqual(program.code, [
+    [OP.PUSH, 3],
+    [OP.STORE, 'n'],
+    [OP.JUMP_IF_VAR_FALSE, 'n', 5],
+    [OP.PUSH, 'yes'],
+    [OP.JUMP, 6],
+    [OP.PUSH, 'no'],
+    [OP.HALT]
+  ]);
+  assert.deepEqual(program.sourceMap[1], { line: 1, column: 8, glyph: 'Ch\'en', raw: '[Ch\'en n]' });
+  assert.equal(program.sourceMap[6], null);
+});
+
+test('loops jump back to LOOP_NEXT, which exits past the body', () => {
+  const { code } = compile(`[K'ayab' each xs x]\n[Yax x]\n[Kumk'u]`);
+
+  assert.deepEqual(code, [
+    [OP.LOOP_EACH, 'xs', 'x'],
+    [OP.LOOP_NEXT, 4],
+    [OP.LOAD, 'x'],
+    [OP.JUMP, 1],
+    [OP.HALT]
+  ]);
+  assert.deepEqual(compile(`[K'ayab' n]\n[Kumk'u]`).code[0], [OP.LOOP_COUNT, 'n', 'i']);
+  assert.deepEqual(compile(`[K'ayab' 3 k]\n[Kumk'u]`).code[0], [OP.LOOP_COUNT, 3, 'k']);
+});
+
+test('functions are emitted after HALT and called by name', () => {
+  const program = compile(`[Pop double]\n[Wo 2]→[Sek mul]\n[Xul]\n[Wo 21]→[Sek double]`);
+
+  assert.deepEqual({ ...program.functions }, { double: 3 });
+  assert.equal(Object.getPrototypeOf(program.functions), null);
+  assert.deepEqual(program.code, [
+    [OP.PUSH, 21],
+    [OP.CALL, 'double'],
+    [OP.HALT],
+    [OP.PUSH, 2],
+    [OP.SEK, ['mul']],
+    [OP.RET]
+  ]);
+  assert.match(disassemble(program), /^double:\n0003 PUSH 2 {2}; 2: \[Wo 2\]$/m);
+
+  // Programs are plain data (functions has no prototype, so compare its entries)
+  const clone = structuredClone(program);
+  assert.deepEqual({ ...clone, functions: { ...clone.functions } }, { ...program, functions: { ...program.functions } });
+});
+
+test('comments are skipped and args keep quotes and JSON together', () => {
+  const program = compile(`# comment\n[Wo {"a": [1, 2]}]→[Sek emit ready msg="two words"]`);
+
+  assert.deepEqual(program.code[0], [OP.PUSH, { a: [1, 2] }]);
+  assert.deepEqual(program.code[1], [OP.SEK, ['emit', 'ready', 'msg="two words"']]);
+  assert.equal(program.sourceMap[0].line, 2);
+  assert.deepEqual(compile('[Mystery 1]').code[0], [OP.SEK, null, 'Mystery']);
+});
+
+test('parseLiteral handles strings, booleans, null, numbers and JSON', () => {
+  assert.equal(parseLiteral('"hi there"'), 'hi there');
+  assert.equal(parseLiteral("'x'"), 'x');
+  assert.equal(parseLiteral('false'), false);
+  assert.equal(parseLiteral('null'), null);
+  assert.equal(parseLiteral('-1.5'), -1.5);
+  assert.deepEqual(parseLiteral('[1,"a"]'), [1, 'a']);
+  assert.equal(parseLiteral('bare'), 'bare');
+});
+
+test('unbalanced blocks and bad literals are syntax errors', () => {
+  const cases = [
+    [`[Wo 1]\n[Kumk'u]`, /Kumk'u without matching K'ayab'/, 2],
+    [`[Ak'bal]`, /Ak'bal without matching Ik'/, 1],
+    [`[Ik' x]\n[Ak'bal]\n[Ak'bal]`, /Ak'bal without matching Ik'/, 3],
+    [`[K'an]`, /K'an without matching Ik'/, 1],
+    [`[K'ayab' 3 i]\n[Wo 1]`, /Unterminated K'ayab' block/, 1],
+    [`[Ik' x]`, /Unterminated Ik' block/, 1],
+    [`[Wo 1]\n[Wo {bad}]`, /Invalid literal/, 2]
+  ];
+
+  for (const [source, message, line] of cases) {
+    assert.throws(() => compile(source), err => {
+      assert.ok(err instanceof KuhulSyntaxError, source);
+      assert.equal(err.status, 400);
+      assert.match(err.message, message);
+      assert.equal(err.line, line, source);
+      return true;
+    });
+  }
+
+  // The error points at the unmatched bracket
+  for (const [source, line, column] of [['[Wo 2', 1, 1], ['[Wo 1]\n  [Wo 1]→[Wo [1, 2]', 2, 10], ['[Wo "a]"', 1, 1]]) {
+    assert.throws(() => compile(source), err => {
+      assert.ok(err instanceof KuhulSyntaxError, source);
+      assert.match(err.message, /Unclosed glyph/);
+      assert.deepEqual([err.line, err.column], [line, column], source);
+      return true;
+    });
+  }
+
+  assert.throws(() => new KuhulCompiler({ maxLiteralLength: 10 }).compile('[Wo "a long string"]'), /Literal exceeds 10 characters/);
+
+  // Unterminated functions close at end of input
+  assert.deepEqual({ ...compile(`[Pop f]\n[Wo 1]`).functions }, { f: 2 });
+});
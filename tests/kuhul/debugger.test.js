@@ -0,0 +1,113 @@
+/**
+ * K'uhul Debugger - breakpoints, stepping, inspection and tracing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KuhulVM } from '../../lib/kuhul/vm.js';
+import { KuhulDebugger, inspectValue } from '../../lib/kuhul/debugger.js';
+import { KuhulError } from '../../lib/kuhul/errors.js';
+
+const PROGRAM = [
+  '[Wo 1]→[Ch\'en a]',
+  '[Wo 2]→[Ch\'en b]',
+  '[K\'ayab\' 2 i]',
+  '[Yax a]→[Yax b]→[Sek add]→[Ch\'en a]',
+  '[Kumk\'u]',
+  '[Yax a]'
+].join('\n');
+
+test('breakpoints pause with the VM state; continue runs to the next one', async () => {
+  const pauses = [];
+  const dbg = new KuhulDebugger({
+    breakpoints: [2, 4],
+    onPause: state => {
+      pauses.push(state);
+      dbg.continue();
+    }
+  });
+
+  assert.equal(await new KuhulVM({ debugger: dbg }).execute(PROGRAM), 5);
+
+  // Line 4 is reached once per iteration
+  assert.deepEqual(pauses.map(p => [p.reason, p.line]), [['breakpoint', 2], ['breakpoint', 4], ['breakpoint', 4]]);
+  assert.equal(pauses[0].op, 'PUSH');
+  assert.deepEqual(pauses[0].variables, { a: 1 });
+  assert.deepEqual(pauses[2].variables, { a: 3, b: 2, i: 1 });
+  assert.deepEqual(pauses[2].loops, [{ index: 2, count: 2, variable: 'i' }]);
+});
+
+test('step stops on each new line, stepInstruction on each instruction', async () => {
+  const lines = [];
+  const dbg = new KuhulDebugger({
+    stopOnEntry: true,
+    onPause: state => {
+      lines.push(state.line);
+      dbg.step();
+    }
+  });
+  await new KuhulVM({ debugger: dbg }).execute(PROGRAM);
+  // The loop's closing JUMP and LOOP_NEXT both map to the K'ayab' line (3)
+  assert.deepEqual(lines, [1, 2, 3, 4, 3, 3, 4, 3, 3, 6]);
+
+  let instructions = 0;
+  const stepper = new KuhulDebugger({
+    stopOnEntry: true,
+    onPause: () => {
+      instructions++;
+      stepper.stepInstruction();
+    }
+  });
+  const vm = new KuhulVM({ debugger: stepper });
+  await vm.execute(PROGRAM);
+  assert.equal(instructions, vm.steps);
+});
+
+test('stop aborts at the next instruction', async () => {
+  const dbg = new KuhulDebugger({ breakpoints: [3], onPause: () => dbg.stop() });
+  const err = await new KuhulVM({ debugger: dbg }).execute(PROGRAM).catch(e => e);
+
+  assert.ok(err instanceof KuhulError);
+  assert.match(err.message, /Execution aborted by debugger/);
+  assert.equal(err.line, 3);
+});
+
+test('pause, breakpoint edits and resume callbacks', async () => {
+  const events = [];
+  const dbg = new KuhulDebugger({
+    onPause: state => {
+      events.push(`pause:${state.reason}:${state.line}`);
+      if (state.line === 2) dbg.removeBreakpoint(4);
+      dbg.continue();
+    },
+    onResume: ({ mode }) => events.push(`resume:${mode}`)
+  });
+  dbg.setBreakpoints(['2', '4']);
+  dbg.addBreakpoint(6);
+  dbg.pause();
+
+  await new KuhulVM({ debugger: dbg }).execute(PROGRAM);
+  assert.deepEqual(events, ['pause:pause:1', 'resume:run', 'pause:breakpoint:2', 'resume:run', 'pause:breakpoint:6', 'resume:run']);
+  assert.equal(dbg.paused, null);
+});
+
+test('trace records one entry per instruction, up to traceLimit', async () => {
+  const vm = new KuhulVM({ trace: true });
+  await vm.execute('[Wo 2]→[Sek mul 3]');
+
+  assert.deepEqual(vm.trace.map(t => [t.op, t.line, t.stackBefore, t.stackAfter]), [
+    ['PUSH', 1, [], [2]],
+    ['SEK', 1, [2], [6]],
+    ['HALT', null, [6], [6]]
+  ]);
+
+  const limited = new KuhulVM({ trace: true, traceLimit: 2 });
+  await limited.execute(PROGRAM);
+  assert.equal(limited.trace.length, 2);
+});
+
+test('inspectValue makes values JSON-safe', () => {
+  const value = inspectValue({ fn() {}, n: 1, list: [1, 2] });
+  assert.deepEqual(JSON.parse(JSON.stringify(value)), value);
+  assert.equal(value.n, 1);
+});
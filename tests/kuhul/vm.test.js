@@ -0,0 +1,151 @@
+/**
+ * K'uhul VM - control flow, functions and execution limits
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KuhulVM, KuhulError, KuhulLimitError, DEFAULT_LIMITS } from '../../lib/kuhul/vm.js';
+import { KuhulCompiler } from '../../lib/kuhul/compiler.js';
+
+function run(code, context = {}, options = {}) {
+  return new KuhulVM(options).execute(code, context);
+}
+
+test('Ik\' / Ak\'bal / K\'an branch on a variable or the stack top', async () => {
+  const onVar = `[Ik' flag]\n[Wo "yes"]\n[Ak'bal]\n[Wo "no"]\n[K'an]`;
+  assert.equal(await run(onVar, { flag: 1 }), 'yes');
+  assert.equal(await run(onVar, { flag: 0 }), 'no');
+
+  const onStack = `[Yax n]→[Sek gt 10]\n[Ik']\n[Wo "big"]\n[K'an]`;
+  assert.equal(await run(onStack, { n: 11 }), 'big');
+  assert.deepEqual(await run(onStack, { n: 1 }), { n: 1 });
+});
+
+test('counted, while and each loops', async () => {
+  const counted = `[Wo 0]→[Ch'en sum]\n[K'ayab' 5 i]\n[Yax sum]→[Yax i]→[Sek add]→[Ch'en sum]\n[Kumk'u]\n[Yax sum]`;
+  assert.equal(await run(counted), 0 + 1 + 2 + 3 + 4);
+
+  const fromVar = `[Wo 0]→[Ch'en sum]\n[K'ayab' n]\n[Yax sum]→[Sek add 1]→[Ch'en sum]\n[Kumk'u]\n[Yax sum]`;
+  assert.equal(await run(fromVar, { n: 3 }), 3);
+
+  const whileLoop = `[Wo 0]→[Ch'en n]\n[K'ayab' while go]\n[Yax n]→[Sek add 1]→[Ch'en n]\n[Yax n]→[Sek lt 4]→[Ch'en go]\n[Kumk'u]\n[Yax n]`;
+  assert.equal(await run(whileLoop, { go: true }), 4);
+
+  const each = `[Wo ""]→[Ch'en s]\n[K'ayab' each xs x]\n[Yax s]→[Yax x]→[Sek add]→[Ch'en s]\n[Kumk'u]\n[Yax s]`;
+  assert.equal(await run(each, { xs: ['a', 'b', 'c'] }), 'abc');
+  await assert.rejects(run(each, { xs: 'abc' }), /each expects an array in "xs"/);
+});
+
+test('functions share the stack, return with Xul and recurse', async () => {
+  assert.equal(await run(`[Pop double]\n[Wo 2]→[Sek mul]\n[Xul]\n[Wo 21]→[Sek double]`), 42);
+
+  // A program made only of functions runs the first one
+  assert.equal(await run(`[Pop main]\n[Wo 7]\n[Xul]`), 7);
+
+  const countdown = [
+    '[Pop down]',
+    '[Yax n]→[Sek gt 0]',
+    '[Ik\']',
+    '[Yax n]→[Sek sub 1]→[Ch\'en n]→[Sek down]',
+    '[K\'an]',
+    '[Xul]',
+    '[Sek down]→[Yax n]'
+  ].join('\n');
+  assert.equal(await run(countdown, { n: 5 }), 0);
+});
+
+test('get / set work on own properties only', async () => {
+  assert.deepEqual(await run(`[Yax o]→[Wo 2]→[Sek set "b"]`, { o: { a: 1 } }), { a: 1, b: 2 });
+  assert.equal(await run(`[Yax o]→[Sek get "toString"]`, { o: {} }), null);
+});
+
+test('runtime errors carry the failing glyph\'s location', async () => {
+  const unknown = await run(`[Wo 1]\n[K'ayab' x]\n[Kumk'u]`, { x: 'three' }).catch(e => e);
+  assert.ok(unknown instanceof KuhulError);
+  assert.equal(unknown.line, 2);
+  assert.match(unknown.message, /count must be a number \(line 2: \[K'ayab' x\]\)/);
+});
+
+test('each limit aborts with KuhulLimitError', async () => {
+  const cases = [
+    ['instructions', `[K'ayab' while t]\n[Kumk'u]`, { instructions: 100 }, { t: true }],
+    ['stack', `[K'ayab' 100 i]\n[Wo 1]\n[Kumk'u]`, { stackDepth: 10 }, {}],
+    ['callDepth', `[Pop f]\n[Sek f]\n[Xul]`, { callDepth: 5 }, {}],
+    ['memory', `[Wo "x"]→[Ch'en s]\n[K'ayab' 30 i]\n[Yax s]→[Yax s]→[Sek add]→[Ch'en s]\n[Kumk'u]`, { memoryBytes: 10000 }, {}],
+    ['time', `[K'ayab' while t]\n[Kumk'u]`, { timeMs: 20, instructions: Infinity }, { t: true }]
+  ];
+
+  for (const [limit, code, limits, context] of cases) {
+    const err = await run(code, context, { limits }).catch(e => e);
+    assert.ok(err instanceof KuhulLimitError, `${limit}: ${err}`);
+    assert.equal(err.limit, limit);
+    assert.ok(err.line >= 1, `${limit} is located`);
+  }
+
+  // Context values are the caller's, not charged to the program
+  const big = { blob: 'x'.repeat(100000) };
+  assert.equal(await run('[Wo 1]', big, { limits: { memoryBytes: 1000 } }), 1);
+  assert.equal(Object.isFrozen(DEFAULT_LIMITS), true);
+});
+
+test('hive control glyphs need the hive capability, not a context variable', async () => {
+  const created = [];
+  const hive = {
+    registry: new Map([['api', { id: 'api' }]]),
+    createShard: async def => created.push(def) && { id: def.id },
+    boot: async config => ({ booted: config.hive })
+  };
+  const register = '[Wo {"id": "api"}]→[Sek register_virtual_api]';
+
+  for (const context of [{}, { hive }]) {
+    const err = await run(register, context).catch(e => e);
+    assert.ok(err instanceof KuhulError);
+    assert.equal(err.status, 403);
+    assert.match(err.message, /register_virtual_api is not permitted here/);
+  }
+  assert.equal(created.length, 0);
+
+  assert.deepEqual(await run(register, {}, { hive }), { id: 'api' });
+  assert.deepEqual(await run('[Wo {"hive": "h"}]→[Sek start_virtual_server]', {}, { hive }), { booted: 'h' });
+});
+
+test('scx_decompress rejects v1 paths into Object.prototype', async () => {
+  const err = await run('[Wo "__proto__.polluted⟁yes"]→[Sek scx_decompress]').catch(e => e);
+  assert.ok(err instanceof KuhulError);
+  assert.equal(err.status, 400);
+  assert.match(err.message, /Forbidden key in SCX path/);
+  assert.equal({}.polluted, undefined);
+});
+
+test('Object.prototype names are not operators', async () => {
+  assert.equal(await run('[Wo 1]→[Wo 2]→[Sek add]'), 3);
+  for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.deepEqual(await run(`[Wo 1]→[Wo 2]→[Sek ${name}]`), { operation: name, executed: true });
+  }
+
+  const calls = [];
+  const handlers = {
+    has: name => name === 'hasOwnProperty',
+    invoke: async (name, input) => {
+      calls.push(name);
+      return { handled: input };
+    }
+  };
+  assert.deepEqual(await run('[Wo 2]→[Sek hasOwnProperty]', {}, { handlers }), { handled: 2 });
+  assert.deepEqual(calls, ['hasOwnProperty']);
+});
+
+test('Object.prototype names are not user functions', async () => {
+  for (const name of ['toString', 'constructor', 'hasOwnProperty']) {
+    const err = await run(`[Wo [1,2]]\n[Sek for_each ${name}]\n[Wo 5]`).catch(e => e);
+    assert.ok(err instanceof KuhulError);
+    assert.match(err.message, new RegExp(`Unknown function: ${name}`));
+  }
+  await assert.rejects(run('[Wo []]→[Sek for_each]'), /Unknown function: undefined/);
+
+  // A program cloned to a worker has an ordinary functions object again
+  const program = structuredClone(new KuhulCompiler().compile('[Pop f]\n[Sek add 1]\n[Xul]\n[Wo [1]]\n[Sek for_each toString]'));
+  await assert.rejects(new KuhulVM().execute(program), /Unknown function: toString/);
+
+  assert.deepEqual(await run('[Pop inc]\n[Yax item]→[Sek add 1]→[Ch\'en last]\n[Xul]\n[Wo [1,2]]\n[Sek for_each inc]\n[Yax last]'), 3);
+});
@@ -0,0 +1,216 @@
+/**
+ * SCX Codec - round-trip property tests
+ * Random JSON-like values (seeded, so failures reproduce) must decode to
+ * exactly what was encoded, in binary and text-armored form.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCXCodec, SCXDecodeError } from '../../lib/scx/codec.js';
+
+const RUNS = 500;
+
+// Strings that broke the v1 text form, or that are easy to get wrong in UTF-8
+const TRICKY_STRINGS = [
+  '', '123', '-1.5', 'true', 'false', 'null', '⟁', 'a⟁b', 'a.b', 'x[0]', '[0]', ']',
+  'GET', 'shard', 'é', '日本語', '🚀', '\u0000', '\n\t', '\ud800', 'a\udc00b', '__proto__'
+];
+
+const TRICKY_NUMBERS = [
+  0, -0, 1, -1, 127, 128, -128, 2 ** 31, -(2 ** 31), 2 ** 53 - 1, -(2 ** 53 - 1),
+  2 ** 53, 0.1, -2.5e-300, 1e300, Number.MAX_VALUE, Number.MIN_VALUE, Infinity, -Infinity, NaN
+];
+
+/**
+ * mulberry32 - small seeded PRNG
+ */
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generator(seed) {
+  const rand = random(seed);
+  const int = (n) => Math.floor(rand() * n);
+  const pick = (list) => list[int(list.length)];
+
+  const string = () => {
+    if (rand() < 0.4) return pick(TRICKY_STRINGS);
+    let s = '';
+    const length = int(12);
+    for (let i = 0; i < length; i++) {
+      const r = rand();
+      s += r < 0.6
+        ? String.fromCharCode(32 + int(95))
+        : r < 0.8
+          ? String.fromCharCode(int(0xd800))
+          : r < 0.9
+            ? String.fromCodePoint(0x10000 + int(0xfffff))
+            : String.fromCharCode(0xd800 + int(0x800)); // may leave a lone surrogate
+    }
+    return s;
+  };
+
+  const number = () => {
+    const r = rand();
+    if (r < 0.3) return pick(TRICKY_NUMBERS);
+    if (r < 0.7) return int(2 ** 20) - 2 ** 19;
+    return (rand() - 0.5) * 10 ** int(20);
+  };
+
+  const value = (depth) => {
+    const r = rand();
+    if (depth > 4 || r < 0.45) {
+      return pick([
+        null, true, false, number, number, string, string, string,
+        () => Uint8Array.from({ length: int(6) }, () => int(256))
+      ]) ?? null;
+    }
+    if (r < 0.7) {
+      return Array.from({ length: int(6) }, () => resolve(value(depth + 1)));
+    }
+    const obj = {};
+    const count = int(6);
+    for (let i = 0; i < count; i++) {
+      Object.defineProperty(obj, string(), {
+        value: resolve(value(depth + 1)), enumerable: true, writable: true, configurable: true
+      });
+    }
+    return obj;
+  };
+
+  const resolve = (v) => (typeof v === 'function' ? v() : v);
+
+  return () => resolve(value(0));
+}
+
+test('binary round trip preserves random values exactly', () => {
+  const scx = new SCXCodec();
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const value = generator(seed)();
+    const encoded = scx.encode(value);
+    assert.ok(encoded instanceof Uint8Array);
+    assert.deepStrictEqual(scx.decode(encoded), value, `seed ${seed}`);
+  }
+});
+
+test('text-armored round trip preserves random values exactly', () => {
+  const scx = new SCXCodec();
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const value = generator(seed)();
+    const text = scx.encodeString(value);
+    assert.match(text, /^⟁SCX2:[A-Za-z0-9+/=]*$/);
+    assert.deepStrictEqual(scx.decode(text), value, `seed ${seed}`);
+  }
+});
+
+test('encoding is deterministic', () => {
+  const scx = new SCXCodec();
+  for (let seed = 1; seed <= 50; seed++) {
+    const value = generator(seed)();
+    assert.deepStrictEqual(scx.encode(value), scx.encode(structuredClone(value)), `seed ${seed}`);
+  }
+});
+
+test('decode accepts Buffer, ArrayBuffer and typed array views', () => {
+  const scx = new SCXCodec();
+  const value = { shard: 'users', port: 3001, tags: ['a', 'b'] };
+  const bytes = scx.encode(value);
+
+  assert.deepStrictEqual(scx.decode(Buffer.from(bytes)), value);
+  assert.deepStrictEqual(scx.decode(bytes.buffer.slice(0)), value);
+
+  const padded = new Uint8Array(bytes.length + 4);
+  padded.set(bytes, 2);
+  assert.deepStrictEqual(scx.decode(new DataView(padded.buffer, 2, bytes.length)), value);
+});
+
+test('types and special characters that the v1 text form lost survive', () => {
+  const scx = new SCXCodec();
+  const value = { id: '123', on: 'true', none: 'null', 'a.b': 'x⟁y', 'list[0]': [1, '1', -0], empty: '' };
+  assert.deepStrictEqual(scx.decode(scx.encode(value)), value);
+});
+
+test('repeated strings are stored once', () => {
+  const scx = new SCXCodec();
+  const one = scx.encode([{ method: 'GET', path: '/users/list' }]);
+  const many = scx.encode(Array.from({ length: 100 }, () => ({ method: 'GET', path: '/users/list' })));
+  // Each repeat is an object tag + count + two (key ref, value ref) pairs
+  assert.ok(many.length - one.length <= 99 * 10, `${many.length} bytes for 100 copies`);
+});
+
+test('objects follow JSON semantics', () => {
+  const scx = new SCXCodec();
+  const decoded = scx.decode(scx.encode({
+    skip: undefined,
+    fn: () => 1,
+    list: [undefined, () => 1],
+    when: new Date(0)
+  }));
+  assert.deepStrictEqual(decoded, { list: [null, null], when: '1970-01-01T00:00:00.000Z' });
+
+  const proto = scx.decode(scx.encode(JSON.parse('{"__proto__": {"polluted": true}}')));
+  assert.ok(Object.hasOwn(proto, '__proto__'));
+  assert.equal({}.polluted, undefined);
+  assert.equal(Object.getPrototypeOf(proto), Object.prototype);
+
+  assert.throws(() => scx.encode(undefined), TypeError);
+  assert.throws(() => scx.encode(10n), TypeError);
+});
+
+test('header carries magic and version', () => {
+  const scx = new SCXCodec();
+  const bytes = scx.encode(null);
+  assert.deepStrictEqual([...bytes.subarray(0, 5)], [0x53, 0x43, 0x58, 2, 0]);
+  assert.ok(scx.isBinary(bytes));
+
+  const future = Uint8Array.from(bytes);
+  future[3] = 3;
+  assert.throws(() => scx.decode(future), { name: 'SCXDecodeError', message: /Unsupported SCX version 3/ });
+});
+
+test('malformed containers are rejected', () => {
+  const scx = new SCXCodec();
+  const bytes = scx.encode({ name: 'users', items: [1, 2, 3] });
+
+  for (let length = 5; length < bytes.length; length++) {
+    assert.throws(() => scx.decode(bytes.subarray(0, length)), SCXDecodeError, `truncated at ${length}`);
+  }
+  assert.throws(() => scx.decode(Uint8Array.from([...bytes, 0])), /Trailing data/);
+  assert.throws(() => scx.decode(Uint8Array.from([0x53, 0x43, 0x58, 2, 0, 0x7f])), /Unknown SCX type tag/);
+  assert.throws(() => scx.decode(Uint8Array.from([0x53, 0x43, 0x58, 2, 0, 0x08, 0])), /out of range/);
+  assert.throws(() => scx.decode('⟁SCX2:not base64!'), SCXDecodeError);
+
+  const error = (() => {
+    try { scx.decodeBinary(Uint8Array.from([0x53, 0x43, 0x58, 2])); } catch (err) { return err; }
+  })();
+  assert.equal(error.status, 400);
+});
+
+test('v1 text form is still readable', () => {
+  const scx = new SCXCodec();
+  assert.deepStrictEqual(scx.decode('s⟁users⟁P⟁3001⟁m⟁G'), { shard: 'users', port: 3001, method: 'GET' });
+  assert.deepStrictEqual(scx.decode(Buffer.from('s⟁users⟁P⟁3001⟁m⟁G')), { shard: 'users', port: 3001, method: 'GET' });
+
+  const legacy = scx.encodeText({ shard: 'users', port: 3001, method: 'GET' });
+  assert.deepStrictEqual(scx.decode(legacy), { shard: 'users', port: 3001, method: 'GET' });
+
+  assert.equal(scx.decode('plain text'), 'plain text');
+});
+
+test('v1 paths cannot reach Object.prototype', () => {
+  const scx = new SCXCodec();
+
+  for (const text of ['__proto__.polluted⟁yes', 'a.constructor.prototype.polluted⟁yes', 'x[0]⟁1⟁constructor⟁2']) {
+    assert.throws(() => scx.decode(text), { name: 'SCXDecodeError', message: /Forbidden key in SCX path/ });
+  }
+  assert.equal({}.polluted, undefined);
+  assert.equal(Object.prototype.polluted, undefined);
+
+  // Inherited names are ordinary keys, not prototype members
+  assert.deepStrictEqual(scx.decode('toString.x⟁1⟁hasOwnProperty⟁2'), { toString: { x: 1 }, hasOwnProperty: 2 });
+});
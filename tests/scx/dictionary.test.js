@@ -0,0 +1,75 @@
+/**
+ * SCX Dictionaries - training, collisions, registry and header embedding
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCXCodec } from '../../lib/scx/codec.js';
+import {
+  SCXDictionary, SCXDictionaryError, registerDictionary, getDictionary, unregisterDictionary
+} from '../../lib/scx/dictionary.js';
+
+const shards = [
+  { id: 'users', port: 3001, runtime: 'kuhul', api: [{ path: '/list', method: 'GET', handler: 'list_users' }] },
+  { id: 'orders', port: 3002, runtime: 'kuhul', api: [{ path: '/list', method: 'GET', handler: 'list_orders' }] },
+  { id: 'blog', port: 3003, runtime: 'kuhul', api: [{ path: '/posts', method: 'POST', handler: 'add_post' }] }
+];
+
+test('training ranks strings by documents x length', () => {
+  const dict = SCXDictionary.train(shards, { id: 't-rank' });
+
+  assert.ok(dict.entries.includes('runtime'));
+  assert.ok(dict.entries.includes('kuhul'));
+  assert.ok(!dict.entries.includes('users'), 'strings used by one document are left out');
+  assert.ok(dict.entries.indexOf('handler') < dict.entries.indexOf('id'));
+  assert.deepStrictEqual(SCXDictionary.train(shards, { id: 't-rank' }).entries, dict.entries);
+  assert.equal(SCXDictionary.train(shards, { id: 't-rank', size: 3 }).entries.length, 3);
+});
+
+test('colliding entries and bad ids are rejected at build time', () => {
+  assert.throws(() => new SCXDictionary({ id: 'dup', entries: ['html', 'hive', 'html'] }),
+    { name: 'SCXDictionaryError', message: /colliding entries: "html"/ });
+  assert.throws(() => new SCXDictionary({ id: 'bad id', entries: [] }), SCXDictionaryError);
+  assert.throws(() => new SCXDictionary({ id: 'x', entries: ['a'], hash: '00000000' }), /hash mismatch/);
+});
+
+test('hash follows content and the JSON form round-trips', () => {
+  const a = new SCXDictionary({ id: 't-hash', entries: ['ab', 'c'] });
+  const b = new SCXDictionary({ id: 't-hash', entries: ['a', 'bc'] });
+
+  assert.match(a.hash, /^[0-9a-f]{8}$/);
+  assert.notEqual(a.hash, b.hash);
+  assert.deepStrictEqual(SCXDictionary.from(JSON.parse(JSON.stringify(a))).entries, a.entries);
+});
+
+test('registry rejects a different dictionary under a registered id', () => {
+  const dict = registerDictionary({ id: 't-registry', entries: ['one', 'two'] });
+
+  assert.equal(registerDictionary({ id: 't-registry', entries: ['one', 'two'] }), dict);
+  assert.throws(() => registerDictionary({ id: 't-registry', entries: ['two', 'one'] }), { status: 409 });
+  assert.equal(getDictionary('t-registry'), dict);
+  unregisterDictionary('t-registry');
+});
+
+test('encoded header names the dictionary and decode finds it in the registry', () => {
+  const dict = SCXDictionary.train(shards, { id: 't-embed' });
+  const encoder = new SCXCodec({ dictionary: dict });
+  const bytes = encoder.encode(shards[0]);
+
+  assert.deepStrictEqual(new SCXCodec().readHeader(bytes).dictionary, { id: 't-embed', hash: dict.hash });
+  assert.ok(bytes.length < new SCXCodec().encode(shards[0]).length);
+
+  // The encoding codec knows its own dictionary; others need the registry
+  assert.deepStrictEqual(encoder.decode(bytes), shards[0]);
+  assert.throws(() => new SCXCodec().decode(bytes), { name: 'SCXDecodeError', message: /Unknown SCX dictionary "t-embed"/ });
+
+  registerDictionary(dict);
+  assert.deepStrictEqual(new SCXCodec().decode(bytes), shards[0]);
+  assert.deepStrictEqual(new SCXCodec().decode(new SCXCodec({ dictionary: 't-embed' }).encodeString(shards[1])), shards[1]);
+
+  // Retrained under the same id: the hash in the header catches it
+  unregisterDictionary('t-embed');
+  registerDictionary({ id: 't-embed', entries: ['runtime'] });
+  assert.throws(() => new SCXCodec().decode(bytes), /dictionary "t-embed" mismatch/);
+  unregisterDictionary('t-embed');
+});
@@ -0,0 +1,178 @@
+/**
+ * SCX Streaming - chunked encode / decode must match the one-shot codec
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pipeline } from 'node:stream/promises';
+import { Readable, Writable } from 'node:stream';
+import { SCXCodec, SCXDecodeError } from '../../lib/scx/codec.js';
+import { SCXDictionary, registerDictionary, unregisterDictionary } from '../../lib/scx/dictionary.js';
+import { SCXStreamEncoder, SCXStreamDecoder, createEncoderStream, createDecoderStream } from '../../lib/scx/stream.js';
+import { createEncodeStream, decodeStream, SCXEncodeTransform, SCXDecodeTransform } from '../../lib/scx/node-stream.js';
+
+const LONG = 'Lorem ipsum ⟁ dolor sit amet. '.repeat(20);
+
+/**
+ * Crown-shaped value: repeated keys, a few long documents
+ */
+function sampleCrown(documents = 20) {
+  return {
+    name: 'sample',
+    version: '1.0.0',
+    knowledge: {
+      documents: Array.from({ length: documents }, (_, i) => ({
+        name: `doc-${i}.md`,
+        type: i % 2 ? 'markdown' : 'text',
+        content: `# Document ${i}\n` + 'Lorem ipsum ⟁ dolor sit amet. '.repeat(20 + i),
+        tags: ['shared', i % 3 ? 'odd' : 'even', '\ud800'],
+        summary: LONG,
+        size: i * 1.5
+      }))
+    },
+    lore: { intro: LONG },
+    bytes: new Uint8Array([0, 1, 2, 255])
+  };
+}
+
+function concat(chunks) {
+  return Uint8Array.from(chunks.flatMap(chunk => Array.from(chunk)));
+}
+
+function splitEvery(bytes, size) {
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += size) chunks.push(bytes.subarray(i, i + size));
+  return chunks;
+}
+
+test('encodeChunks concatenates to encode() at any chunk size', () => {
+  const codec = new SCXCodec();
+  const crown = sampleCrown();
+  const whole = codec.encode(crown);
+
+  for (const chunkSize of [1, 7, 100, 4096]) {
+    const chunks = [...codec.encodeChunks(crown, { chunkSize })];
+    assert.ok(chunks.length > 1 || whole.length <= chunkSize);
+    assert.deepEqual(concat(chunks), whole);
+  }
+});
+
+test('stream decoder matches decode() at every chunk size', () => {
+  const codec = new SCXCodec();
+  const crown = sampleCrown(5);
+  const bytes = codec.encode(crown);
+
+  for (const size of [1, 2, 3, 5, 64, bytes.length]) {
+    const decoder = new SCXStreamDecoder();
+    const values = splitEvery(bytes, size).flatMap(chunk => decoder.write(chunk));
+    values.push(...decoder.end());
+    assert.deepEqual(values, [codec.decode(bytes)]);
+  }
+});
+
+test('sequences carry many values over one string table', () => {
+  const encoder = new SCXStreamEncoder({ sequence: true, chunkSize: 16 });
+  const records = [{ shard: 'a', n: 1 }, null, { shard: 'a', n: 2 }, 'shard'];
+  const chunks = records.flatMap(record => [...encoder.write(record)]);
+  chunks.push(...encoder.end());
+  const bytes = concat(chunks);
+
+  assert.equal(bytes[4], 0x02);
+  assert.throws(() => new SCXCodec().decode(bytes), /sequence/);
+
+  const decoder = new SCXStreamDecoder();
+  const values = splitEvery(bytes, 3).flatMap(chunk => decoder.write(chunk));
+  values.push(...decoder.end());
+  assert.deepEqual(values, records);
+
+  const empty = new SCXStreamEncoder({ sequence: true });
+  const decoded = new SCXStreamDecoder();
+  assert.deepEqual([...empty.end().flatMap(chunk => decoded.write(chunk)), ...decoded.end()], []);
+});
+
+test('truncated and over-long streams are rejected', () => {
+  const bytes = new SCXCodec().encode({ a: [1, 2, 3] });
+
+  const truncated = new SCXStreamDecoder();
+  truncated.write(bytes.subarray(0, bytes.length - 1));
+  assert.throws(() => truncated.end(), SCXDecodeError);
+
+  const single = new SCXStreamEncoder();
+  [...single.write(1)];
+  assert.throws(() => [...single.write(2)], /sequence: true/);
+
+  const trailing = new SCXStreamDecoder();
+  assert.throws(() => trailing.write(concat([bytes, [0x00]])), /Trailing data/);
+});
+
+test('dictionary-encoded data streams both ways', () => {
+  const crown = sampleCrown(3);
+  const dictionary = registerDictionary(SCXDictionary.train([crown, crown], { id: 'stream-test' }));
+  try {
+    const codec = new SCXCodec({ dictionary });
+    const chunks = [...codec.encodeChunks(crown, { chunkSize: 32 })];
+    const decoder = new SCXStreamDecoder();
+    const values = chunks.flatMap(chunk => decoder.write(chunk));
+    assert.deepEqual(values, [new SCXCodec().decode(concat(chunks))]);
+  } finally {
+    unregisterDictionary('stream-test');
+  }
+});
+
+test('WHATWG TransformStreams round-trip', async () => {
+  const records = [{ id: 1, tags: ['x'] }, { id: 2, tags: ['x', 'y'] }];
+  const readable = ReadableStream.from(records)
+    .pipeThrough(createEncoderStream({ sequence: true, chunkSize: 4 }))
+    .pipeThrough(createDecoderStream());
+
+  const values = [];
+  for await (const value of readable) values.push(value);
+  assert.deepEqual(values, records);
+});
+
+test('Node streams round-trip', async () => {
+  const crown = sampleCrown(4);
+  const expected = new SCXCodec().decode(new SCXCodec().encode(crown));
+
+  assert.deepEqual(await decodeStream(createEncodeStream(crown, { chunkSize: 50 })), [expected]);
+
+  const values = [];
+  await pipeline(
+    Readable.from([crown, { second: true }]),
+    new SCXEncodeTransform({ sequence: true }),
+    new SCXDecodeTransform(),
+    new Writable({ objectMode: true, write(value, encoding, callback) { values.push(value); callback(); } })
+  );
+  assert.deepEqual(values, [expected, { second: true }]);
+});
+
+test('lazy values decode from their byte range on first use', () => {
+  const crown = sampleCrown(6);
+  const bytes = new SCXCodec().encode(crown);
+  const reads = [];
+
+  const decoder = new SCXStreamDecoder({
+    lazy: path => path[0] === 'knowledge' && path.length === 3,
+    readRange: (start, end) => {
+      reads.push([start, end]);
+      return bytes.subarray(start, end);
+    }
+  });
+  const [lazy] = [...splitEvery(bytes, 11).flatMap(chunk => decoder.write(chunk)), ...decoder.end()];
+
+  // A long string first written inside a lazy value is read back where it is used again
+  assert.equal(lazy.lore.intro, LONG);
+  assert.equal(reads.length, 1);
+
+  assert.equal(lazy.knowledge.documents.length, 6);
+  assert.equal(lazy.knowledge.documents[2].name, 'doc-2.md');
+  assert.equal(reads.length, 3); // the document's range, then its reference to LONG
+  assert.equal(lazy.knowledge.documents[2], lazy.knowledge.documents[2]);
+  assert.equal(reads.length, 3);
+  assert.equal(lazy.knowledge.documents[2].summary, LONG);
+  assert.deepEqual(JSON.parse(JSON.stringify(lazy)), JSON.parse(JSON.stringify(new SCXCodec().decode(bytes))));
+
+  lazy.knowledge.documents[0] = 'replaced';
+  assert.equal(lazy.knowledge.documents[0], 'replaced');
+  assert.throws(() => new SCXStreamDecoder({ lazy: () => true }), /readRange/);
+});
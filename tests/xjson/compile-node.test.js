@@ -0,0 +1,60 @@
+/**
+ * XJSON compileNode - escaping, void and boolean attributes, style objects, raw nodes
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { XJSONParser } from '../../lib/xjson/parser.js';
+
+const compile = (node, data) => new XJSONParser().compileNode(node, data);
+
+test('text is escaped, literal or bound', () => {
+  assert.equal(compile({ node: 'p', children: ['<script>alert("x")</script>'] }),
+    '<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>');
+
+  const data = { user: { name: '<img src=x onerror=alert(1)>', note: "it's & more" } };
+  assert.equal(compile({ node: 'b', children: ['Hi {{user.name}}'] }, data),
+    '<b>Hi &lt;img src=x onerror=alert(1)&gt;</b>');
+  assert.equal(compile({ node: 'i', bind: 'user.note' }, data), '<i>it&#39;s &amp; more</i>');
+
+  // Bound text is not interpolated a second time
+  assert.equal(compile({ node: 'i', bind: 'user.raw' }, { user: { raw: '{{secret}}' }, secret: 'x' }), '<i>{{secret}}</i>');
+});
+
+test('attribute values are quoted and escaped', () => {
+  const data = { q: '" onmouseover="alert(1)' };
+  assert.equal(compile({ node: 'input', attrs: { value: '{{q}}' } }, data),
+    '<input value="&quot; onmouseover=&quot;alert(1)">');
+  assert.equal(compile({ node: 'a', attrs: { title: { bind: 'q' }, cls: ['btn', null, 'big'] }, children: ['x'] }, data),
+    '<a title="&quot; onmouseover=&quot;alert(1)" class="btn big">x</a>');
+
+  assert.throws(() => compile({ node: 'a', attrs: { 'onclick="x"': 1 } }), /Invalid XJSON attribute name/);
+  assert.throws(() => compile({ node: 'scr ipt' }), /Invalid XJSON node name: scr ipt/);
+});
+
+test('void elements have no closing tag or children', () => {
+  assert.equal(compile({ node: 'img', attrs: { src: 'a.png' }, children: ['ignored'] }), '<img src="a.png">');
+  assert.equal(compile({ node: 'div', children: [{ node: 'br' }, { node: 'HR' }, { node: 'span' }] }),
+    '<div><br><HR><span></span></div>');
+});
+
+test('boolean attributes: true is bare, false and null are left out', () => {
+  assert.equal(compile({ node: 'input', attrs: { disabled: true, checked: false, required: null, name: 'n' } }),
+    '<input disabled name="n">');
+  assert.equal(compile({ node: 'option', attrs: { selected: { bind: 'on' } }, children: ['a'] }, { on: true }),
+    '<option selected>a</option>');
+});
+
+test('style objects become CSS with escaped values', () => {
+  assert.equal(compile({
+    node: 'div',
+    attrs: { style: { backgroundColor: '{{color}}', '--gap': '4px', marginTop: null, content: '"x"' } }
+  }, { color: 'red' }), '<div style="background-color: red; --gap: 4px; content: &quot;x&quot;"></div>');
+  assert.equal(compile({ node: 'div', attrs: { style: 'color: {{color}}' } }, { color: '"blue"' }),
+    '<div style="color: &quot;blue&quot;"></div>');
+});
+
+test('raw nodes pass trusted HTML through unescaped', () => {
+  assert.equal(compile({ node: 'div', children: [{ raw: '<b>bold</b> & {{not.bound}}' }, '<b>'] }),
+    '<div><b>bold</b> & {{not.bound}}&lt;b&gt;</div>');
+});
@@ -0,0 +1,150 @@
+/**
+ * HTML Parser - nesting, implied end tags, raw text and malformed markup
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeEntities, tokenizeHTML, parseHTMLNodes } from '../../lib/xjson/html-parser.js';
+
+test('character references decode; unknown ones stay as written', () => {
+  assert.equal(decodeEntities('a &amp; b &lt;c&gt; &copy; &#169; &#xA9; &hellip'), 'a & b <c> © © © …');
+  assert.equal(decodeEntities('&unknown; &constructor; &toString;'), '&unknown; &constructor; &toString;');
+  assert.equal(decodeEntities('&#0; &#xD800; &#x110000;'), '� � �');
+  assert.equal(decodeEntities('plain'), 'plain');
+});
+
+test('nested elements, attributes and class → cls', () => {
+  const nodes = parseHTMLNodes(`
+    <div class="card" id=main data-x='1 &amp; 2' hidden>
+      <h1>Title <em>here</em></h1>
+      <p>One <a href="/a?x=1&amp;y=2">link</a>.</p>
+    </div>`);
+
+  assert.deepEqual(nodes, [{
+    node: 'div',
+    attrs: { cls: 'card', id: 'main', 'data-x': '1 & 2', hidden: true },
+    children: [
+      { node: 'h1', children: ['Title ', { node: 'em', children: ['here'] }] },
+      { node: 'p', children: ['One ', { node: 'a', attrs: { href: '/a?x=1&y=2' }, children: ['link'] }, '.'] }
+    ]
+  }]);
+});
+
+test('void and self-closing tags take no children', () => {
+  assert.deepEqual(parseHTMLNodes('<p>a<br>b<img src="x.png"/><span/>c</p>'), [{
+    node: 'p',
+    children: ['a', { node: 'br' }, 'b', { node: 'img', attrs: { src: 'x.png' } }, { node: 'span' }, 'c']
+  }]);
+});
+
+test('implied end tags close <li>, <p>, <td> and <option>', () => {
+  assert.deepEqual(parseHTMLNodes('<ul class="a"><li>One<li>Two &amp; more</ul>'), [{
+    node: 'ul',
+    attrs: { cls: 'a' },
+    children: [{ node: 'li', children: ['One'] }, { node: 'li', children: ['Two & more'] }]
+  }]);
+
+  assert.deepEqual(parseHTMLNodes('<p>one<p>two<div>three</div>'), [
+    { node: 'p', children: ['one'] },
+    { node: 'p', children: ['two'] },
+    { node: 'div', children: ['three'] }
+  ]);
+
+  assert.deepEqual(parseHTMLNodes('<table><tr><td>a<td>b<tr><td>c</table>'), [{
+    node: 'table',
+    children: [
+      { node: 'tr', children: [{ node: 'td', children: ['a'] }, { node: 'td', children: ['b'] }] },
+      { node: 'tr', children: [{ node: 'td', children: ['c'] }] }
+    ]
+  }]);
+
+  assert.deepEqual(parseHTMLNodes('<select><option>x<option selected>y</select>'), [{
+    node: 'select',
+    children: [
+      { node: 'option', children: ['x'] },
+      { node: 'option', attrs: { selected: true }, children: ['y'] }
+    ]
+  }]);
+});
+
+test('a nested list keeps its own <li> scope', () => {
+  assert.deepEqual(parseHTMLNodes('<ul><li>a<ul><li>b<li>c</ul><li>d</ul>'), [{
+    node: 'ul',
+    children: [
+      { node: 'li', children: ['a', { node: 'ul', children: [
+        { node: 'li', children: ['b'] },
+        { node: 'li', children: ['c'] }
+      ] }] },
+      { node: 'li', children: ['d'] }
+    ]
+  }]);
+});
+
+test('script / style stay raw, textarea / title decode as text', () => {
+  assert.deepEqual(parseHTMLNodes('<script>if (a < b && c) { x("</div>") }</script><style>p > a{}</style>'), [
+    { node: 'script', children: [{ raw: 'if (a < b && c) { x("</div>") }' }] },
+    { node: 'style', children: [{ raw: 'p > a{}' }] }
+  ]);
+
+  assert.deepEqual(parseHTMLNodes('<textarea>  <b>&lt;hi&gt;</b>\n</textarea><title>A &amp; B</title>'), [
+    { node: 'textarea', children: ['  <b><hi></b>\n'] },
+    { node: 'title', children: ['A & B'] }
+  ]);
+
+  assert.deepEqual(parseHTMLNodes('<script>never closed'), [{ node: 'script', children: [{ raw: 'never closed' }] }]);
+});
+
+test('whitespace-only text is dropped except inside <pre>', () => {
+  assert.deepEqual(parseHTMLNodes('<div>\n  <span>a</span>\n</div>'), [
+    { node: 'div', children: [{ node: 'span', children: ['a'] }] }
+  ]);
+  assert.deepEqual(parseHTMLNodes('<pre>  <b>x</b>\n</pre>'), [
+    { node: 'pre', children: ['  ', { node: 'b', children: ['x'] }, '\n'] }
+  ]);
+});
+
+test('comments, doctype, CDATA and processing instructions are skipped', () => {
+  assert.deepEqual(
+    parseHTMLNodes('<!DOCTYPE html><?xml version="1.0"?><!-- <p>no</p> --><p>yes<![CDATA[x]]></p><!-- open'),
+    [{ node: 'p', children: ['yes'] }]
+  );
+});
+
+test('malformed markup: stray and unclosed tags', () => {
+  // Unmatched end tag is ignored; unclosed elements end with the input
+  assert.deepEqual(parseHTMLNodes('<div><span>a</b></div>c</span>'), [
+    { node: 'div', children: [{ node: 'span', children: ['a'] }] },
+    'c'
+  ]);
+
+  // Closing an outer element closes everything still open inside it
+  assert.deepEqual(parseHTMLNodes('<div><p><em>x</div>y'), [
+    { node: 'div', children: [{ node: 'p', children: [{ node: 'em', children: ['x'] }] }] },
+    'y'
+  ]);
+
+  assert.deepEqual(parseHTMLNodes('<section><b>open'), [
+    { node: 'section', children: [{ node: 'b', children: ['open'] }] }
+  ]);
+});
+
+test('malformed markup: bare "<", "</", "</>" and broken attributes', () => {
+  assert.deepEqual(parseHTMLNodes('a < b <3 </ c</>d'), ['a < b <3 </ cd']);
+
+  assert.deepEqual(parseHTMLNodes('<a href="x" "stray" =bad title=ok title=dup CLASS=Big>t</a>'), [{
+    node: 'a',
+    attrs: { href: 'x', stray: true, bad: true, title: 'ok', cls: 'Big' },
+    children: ['t']
+  }]);
+
+  assert.deepEqual(parseHTMLNodes('<input value="unterminated'), [{ node: 'input', attrs: { value: '"unterminated' } }]);
+});
+
+test('tag names are case-insensitive; tokens expose start / end / text', () => {
+  assert.deepEqual(parseHTMLNodes('<DIV>x</div>'), [{ node: 'div', children: ['x'] }]);
+  assert.deepEqual(tokenizeHTML('<b class=a>x</B>'), [
+    { type: 'start', name: 'b', attrs: [['class', 'a']], selfClosing: false },
+    { type: 'text', value: 'x' },
+    { type: 'end', name: 'b' }
+  ]);
+});
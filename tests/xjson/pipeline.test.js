@@ -0,0 +1,191 @@
+/**
+ * XJSON Pipelines - compile checks and every op
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PipelineError, compilePipeline, runPipeline, listPipelineOps
+} from '../../lib/xjson/pipeline.js';
+
+const USERS = [
+  { name: 'Cy', age: 41 },
+  { name: 'Ada', age: 36 },
+  { name: 'Bo', age: 29 }
+];
+
+/**
+ * Compile and run steps against a fresh scope; returns { output, scope, calls }
+ */
+async function run(steps, scope = {}) {
+  const calls = [];
+  const services = {
+    handlers: {
+      invoke: async (name, input, context) => {
+        calls.push(['call', name, input, context]);
+        return { handled: name };
+      }
+    },
+    handlerContext: { shard: 'test' },
+    meshCall: async (shard, method, path, data) => {
+      calls.push(['mesh', shard, method, path, data]);
+      return { from: shard };
+    },
+    events: { publish: (topic, data) => calls.push(['emit', topic, data]) }
+  };
+  const full = { input: {}, params: {}, query: {}, state: {}, ...scope };
+  const output = await runPipeline(compilePipeline(steps), full, services);
+  return { output, scope: full, calls };
+}
+
+test('compile rejects empty pipelines, unknown ops and missing fields', () => {
+  assert.throws(() => compilePipeline([]), /non-empty array of steps/);
+  assert.throws(() => compilePipeline({ op: 'input' }), /non-empty array of steps/);
+  assert.throws(() => compilePipeline(['input', { op: 'nope' }]), /Unknown pipeline op "nope" at step 1/);
+  assert.throws(() => compilePipeline([null]), /Unknown pipeline op "undefined" at step 0/);
+  assert.throws(() => compilePipeline([{ op: 'get' }]), /Pipeline step 0 \(get\) needs "from"/);
+  assert.throws(() => compilePipeline([{ op: 'mesh', shard: 'a' }]), /needs "path"/);
+  assert.throws(() => compilePipeline([{ op: 'filter', where: 'item.a >' }]),
+    /Pipeline step 0 \(filter\): Invalid template expression/);
+});
+
+test('Object.prototype members are unknown ops', async () => {
+  for (const op of ['toString', 'constructor', 'hasOwnProperty', '__proto__']) {
+    assert.throws(() => compilePipeline([{ op }]), new RegExp(`Unknown pipeline op "${op}" at step 0`));
+    await assert.rejects(runPipeline([{ op }], { input: {} }, {}),
+      err => err instanceof PipelineError && err.message === `Unknown pipeline op "${op}"`);
+  }
+});
+
+test('compile keeps set / push under state. and normalizes string steps', () => {
+  assert.throws(() => compilePipeline([{ op: 'set', path: 'input.x', value: 1 }]), /can only write under state\. \(got input\.x\)/);
+  assert.throws(() => compilePipeline([{ op: 'push', path: 'state', value: 1 }]), /can only write under state\./);
+  assert.deepEqual(compilePipeline(['input', 'count']), [{ op: 'input' }, { op: 'count' }]);
+});
+
+test('listPipelineOps names every op', () => {
+  assert.deepEqual(listPipelineOps(), [
+    'input', 'value', 'get', 'set', 'push', 'filter', 'map', 'pick',
+    'sort', 'limit', 'count', 'assert', 'call', 'mesh', 'emit', 'respond'
+  ]);
+});
+
+test('result starts as input; input, value and get replace it', async () => {
+  assert.deepEqual((await run([{ op: 'count' }], { input: [1, 2] })).output, 2);
+  assert.deepEqual((await run(['input'], { input: { a: 1 }, result: 'prev' })).output, { a: 1 });
+  assert.deepEqual((await run([{ op: 'value', value: { n: '{{params.id}}' } }], { params: { id: 7 } })).output, { n: 7 });
+  assert.equal((await run([{ op: 'get', from: 'state.users.length' }], { state: { users: USERS } })).output, 3);
+});
+
+test('set and push write under state and keep the result', async () => {
+  const { output, scope } = await run([
+    { op: 'value', value: 'kept' },
+    { op: 'set', path: 'state.profile.name', from: 'input.name' },
+    { op: 'set', path: 'state.profile.tag', value: '#{{input.name}}' },
+    { op: 'push', path: 'state.log', value: { by: '{{input.name}}' } },
+    { op: 'push', path: 'state.log' }
+  ], { input: { name: 'Ada' } });
+
+  assert.equal(output, 'kept');
+  assert.deepEqual(scope.state, {
+    profile: { name: 'Ada', tag: '#Ada' },
+    log: [{ by: 'Ada' }, 'kept']
+  });
+});
+
+test('set refuses prototype keys at run time', async () => {
+  await assert.rejects(run([{ op: 'set', path: 'state.constructor.x', value: 1 }]),
+    err => err instanceof PipelineError && err.status === 400 && /Forbidden state path/.test(err.message));
+});
+
+test('filter, map, sort, limit, pick and count shape lists', async () => {
+  const state = { users: USERS };
+
+  const filtered = await run([
+    { op: 'get', from: 'state.users' },
+    { op: 'filter', where: 'item.age > 30 && index > 0' }
+  ], { state });
+  assert.deepEqual(filtered.output, [{ name: 'Ada', age: 36 }]);
+
+  const mapped = await run([
+    { op: 'get', from: 'state.users' },
+    { op: 'map', to: { label: '{{index}}: {{item.name}}', age: '{{item.age}}' } }
+  ], { state });
+  assert.deepEqual(mapped.output[0], { label: '0: Cy', age: 41 });
+
+  const sorted = await run([
+    { op: 'get', from: 'state.users' },
+    { op: 'sort', by: 'name' },
+    { op: 'pick', keys: ['name'] }
+  ], { state });
+  assert.deepEqual(sorted.output, [{ name: 'Ada' }, { name: 'Bo' }, { name: 'Cy' }]);
+  assert.deepEqual(USERS.map(u => u.name), ['Cy', 'Ada', 'Bo']);
+
+  const paged = await run([
+    { op: 'get', from: 'state.users' },
+    { op: 'sort', by: 'age', order: 'desc' },
+    { op: 'limit', count: '{{query.n}}', offset: 1 },
+    { op: 'map', to: '{{item.age}}' }
+  ], { state, query: { n: '1' } });
+  assert.deepEqual(paged.output, [36]);
+
+  const picked = await run([{ op: 'pick', keys: ['name', 'missing'] }], { input: USERS[0] });
+  assert.deepEqual(picked.output, { name: 'Cy' });
+
+  const counted = await run([{ op: 'get', from: 'state.users' }, 'count'], { state });
+  assert.equal(counted.output, 3);
+});
+
+test('list ops need an array result', async () => {
+  for (const step of [
+    { op: 'filter', where: 'true' }, { op: 'map', to: 1 }, { op: 'sort', by: 'a' },
+    { op: 'limit', count: 1 }, { op: 'count' }
+  ]) {
+    await assert.rejects(run([step], { input: { not: 'a list' } }),
+      err => err instanceof PipelineError && err.status === 500 && err.message === `Pipeline op ${step.op} needs an array result`);
+  }
+});
+
+test('assert throws its status and interpolated message', async () => {
+  const steps = [{ op: 'assert', that: 'input.name', status: 422, message: 'name is required for {{params.kind}}' }];
+
+  await assert.rejects(run(steps, { params: { kind: 'users' } }),
+    err => err instanceof PipelineError && err.status === 422 && err.message === 'name is required for users');
+  await assert.rejects(run([{ op: 'assert', that: 'input.ok' }]),
+    err => err.status === 400 && err.message === 'Assertion failed: input.ok');
+  assert.deepEqual((await run(steps, { input: { name: 'x' } })).output, { name: 'x' });
+});
+
+test('call, mesh and emit go through the services', async () => {
+  const { output, calls } = await run([
+    { op: 'call', handler: 'users.find', input: { id: '{{params.id}}' } },
+    { op: 'call', handler: 'users.audit' },
+    { op: 'mesh', shard: '{{params.shard}}', path: '/items/{{params.id}}', method: 'post', data: { by: 'me' } },
+    { op: 'mesh', shard: 'other', path: '/x' },
+    { op: 'emit', topic: 'users.found', data: { id: '{{params.id}}' } },
+    { op: 'emit', topic: 'users.result' }
+  ], { input: { q: 1 }, params: { id: 5, shard: 'store' } });
+
+  assert.deepEqual(output, { from: 'other' });
+  assert.deepEqual(calls, [
+    ['call', 'users.find', { id: 5 }, { shard: 'test' }],
+    ['call', 'users.audit', { q: 1 }, { shard: 'test' }],
+    ['mesh', 'store', 'POST', '/items/5', { by: 'me' }],
+    ['mesh', 'other', 'GET', '/x', { from: 'store' }],
+    ['emit', 'users.found', { id: 5 }],
+    ['emit', 'users.result', { from: 'other' }]
+  ]);
+});
+
+test('respond ends the pipeline with { status, data }', async () => {
+  const { output, calls } = await run([
+    { op: 'value', value: [1, 2] },
+    { op: 'respond', status: 201 },
+    { op: 'emit', topic: 'never' }
+  ]);
+  assert.deepEqual(output, { status: 201, data: [1, 2] });
+  assert.deepEqual(calls, []);
+
+  const body = await run([{ op: 'respond', body: { id: '{{params.id}}' } }], { params: { id: 3 } });
+  assert.deepEqual(body.output, { status: 200, data: { id: 3 } });
+});
@@ -0,0 +1,164 @@
+/**
+ * XJSON Schema - built-in schemas, keywords and the schema registry
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validate, schemaErrors, getSchema, listSchemas, registerSchema, XJSONValidationError
+} from '../../lib/xjson/schema.js';
+
+const messages = (value, schema) => validate(value, schema).errors.map(e => `${e.path} ${e.message}`);
+
+test('the shard schema requires id and port', () => {
+  assert.deepEqual(messages({}, 'shard'), ['id is required', 'port is required']);
+  assert.deepEqual(messages({ id: 'users' }, 'shard'), ['port is required']);
+  assert.deepEqual(messages({ id: 'users', port: 3001 }, 'shard'), []);
+
+  assert.deepEqual(messages({ id: 'no spaces', port: 70000 }, 'shard'), [
+    'id must match ^[\\w-]+$',
+    'port must be <= 65535'
+  ]);
+  assert.deepEqual(messages({ id: 'a', port: 3001.5 }, 'shard'), ['port must be integer (got number)']);
+  assert.deepEqual(messages(null, 'shard'), [' must be object (got null)']);
+});
+
+test('shard routes, limits and replicas are checked in depth', () => {
+  const shard = {
+    id: 'users',
+    port: 3001,
+    api: [
+      { path: '/ok', method: 'get', handler: '[Wo 1]' },
+      { path: 'missing-slash', method: 'FETCH', handler: '' },
+      { path: '/pipe', handler: { pipeline: [{ nope: 1 }] } },
+      { path: '/files/*/meta', handler: '[Wo 1]' },
+      { path: '/files/*', handler: '[Wo 1]' }
+    ],
+    limits: { instructions: 0, bogus: 1 },
+    replicas: 65,
+    health: { maxFailures: 1, extra: true }
+  };
+
+  assert.deepEqual(messages(shard, 'shard'), [
+    'api[1].path must start with / and may only end with a * segment',
+    'api[1].method must be one of GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS, ALL',
+    'api[1].handler must not be empty',
+    'api[2].handler.pipeline[0].op is required',
+    'api[3].path must start with / and may only end with a * segment',
+    'limits.instructions must be >= 1',
+    'limits.bogus is not allowed',
+    'replicas must be <= 64',
+    'health.extra is not allowed'
+  ]);
+});
+
+test('hive configs reject duplicate shard ids and ports', () => {
+  const hive = {
+    shards: [
+      { id: 'a', port: 3001 },
+      { id: 'b', port: 3001 },
+      { id: 'a', port: 3002 }
+    ],
+    mesh: { middleware: ['logger', { use: '' }, {}] }
+  };
+
+  assert.deepEqual(messages(hive, 'hive'), [
+    'shards[2].id duplicates shards[0].id (a)',
+    'shards[1].port duplicates shards[0].port (3001)',
+    'mesh.middleware[1].use must not be empty',
+    'mesh.middleware[2].use is required'
+  ]);
+});
+
+test('views recurse through $ref', () => {
+  const view = {
+    html: {
+      body: {
+        node: 'div',
+        children: ['text', 1, { node: '1bad' }, { node: 'p', attrs: { title: { nobind: true } } }]
+      }
+    },
+    data: { users: 'GET /list', bad: 'list' }
+  };
+
+  assert.deepEqual(messages(view, 'view'), [
+    'html.body.children[2].node must match ^[A-Za-z][\\w-]*$',
+    'html.body.children[3].attrs.title.bind is required',
+    'data.bad must match ^(?:[A-Za-z]+\\s+)?/'
+  ]);
+  assert.deepEqual(messages(null, 'view'), []);
+});
+
+test('inline schemas: ⟁ prefixes, type lists, enum case folding and quoted paths', () => {
+  const schema = {
+    '⟁type': 'object',
+    '⟁required': ['mode'],
+    '⟁properties': {
+      mode: { type: 'string', enum: ['Fast', 'Slow'], caseInsensitive: true },
+      tags: { type: 'array', minItems: 1, maxItems: 2, items: { type: ['string', 'null'] } },
+      'odd key': { type: 'string', minLength: 2, maxLength: 3 }
+    }
+  };
+
+  assert.deepEqual(messages({ mode: 'FAST', tags: ['a', null] }, schema), []);
+  assert.deepEqual(messages({ mode: 'medium', tags: [], 'odd key': 'x' }, schema), [
+    'mode must be one of Fast, Slow',
+    'tags must have at least 1 items',
+    '["odd key"] must be at least 2 characters'
+  ]);
+  assert.deepEqual(messages({ mode: 'slow', tags: ['a', 2, 'c'] }, schema), [
+    'tags must have at most 2 items',
+    'tags[1] must be string or null (got integer)'
+  ]);
+
+  assert.throws(() => validate(1, { type: 'float' }), /Unknown XJSON schema type: float/);
+  assert.throws(() => validate(1, 42), /must be an object or a schema name/);
+});
+
+test('schemaErrors checks a schema before it is used', () => {
+  const errorsOf = schema => schemaErrors(schema).map(e => `${e.path} ${e.message}`);
+
+  assert.deepEqual(errorsOf({ '⟁type': 'object', properties: { a: { type: 'string' } } }), []);
+  assert.deepEqual(errorsOf('shard'), []);
+  assert.deepEqual(errorsOf('nope'), [' is not a registered schema (nope)']);
+  assert.deepEqual(errorsOf([]), [' must be an object or a schema name (got array)']);
+  assert.deepEqual(errorsOf({
+    type: ['string', 'float'],
+    required: 'a',
+    minLength: '2',
+    pattern: '(',
+    properties: { a: { $ref: 'constructor' }, b: 1 },
+    items: { additionalProperties: { type: 'date' } }
+  }), [
+    'type must be one of string, number, integer, boolean, object, array, null, any (got float)',
+    'required must be array',
+    'minLength must be number',
+    'pattern is not a valid regular expression (()',
+    'properties.a.$ref is not a registered schema (constructor)',
+    'properties.b must be a schema object (got integer)',
+    'items.additionalProperties.type must be one of string, number, integer, boolean, object, array, null, any (got date)'
+  ]);
+});
+
+test('the registry only resolves registered names', () => {
+  for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.equal(getSchema(name), null, name);
+    assert.throws(() => validate({}, name), /Unknown XJSON schema/, name);
+    assert.throws(() => validate({}, { $ref: name }), /Unknown XJSON schema/, name);
+  }
+
+  registerSchema('point', { '⟁type': 'object', '⟁required': ['x'] });
+  assert.deepEqual(getSchema('point'), { type: 'object', required: ['x'] });
+  assert.ok(listSchemas().includes('point'));
+  assert.ok(listSchemas().includes('shard'));
+  assert.deepEqual(messages([{}], { type: 'array', items: { $ref: 'point' } }), ['[0].x is required']);
+});
+
+test('XJSONValidationError summarises every error', () => {
+  const { errors } = validate({}, 'shard');
+  const err = new XJSONValidationError('shard definition', errors);
+
+  assert.equal(err.status, 400);
+  assert.equal(err.message, 'Invalid shard definition: id is required; port is required');
+  assert.equal(new XJSONValidationError('response', [{ path: '', message: 'x' }], 500).message, 'Invalid response: (root) x');
+});
@@ -0,0 +1,101 @@
+/**
+ * Template Expressions - paths, operators, interpolation and syntax errors
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolvePath, compileExpression, evaluate, interpolate, interpolateDeep
+} from '../../lib/xjson/template.js';
+
+const scope = {
+  user: { name: 'Ada', role: null, tags: ['admin', 'ops'] },
+  items: [{ id: 1 }, { id: 2 }],
+  i: 1,
+  count: 3,
+  status: 'open',
+  done: false
+};
+
+test('paths resolve dotted and bracketed members', () => {
+  assert.equal(evaluate('user.name', scope), 'Ada');
+  assert.equal(evaluate('user.tags.length', scope), 2);
+  assert.equal(evaluate('items[i].id', scope), 2);
+  assert.equal(evaluate('items.0.id', scope), 1);
+  assert.equal(evaluate("user['name']", scope), 'Ada');
+  assert.equal(evaluate('missing.deep.path', scope), undefined);
+  assert.equal(resolvePath(scope, 'items[1].id'), 2);
+  assert.equal(resolvePath(scope, 'user.tags.0'), 'admin');
+});
+
+test('paths only see own properties', () => {
+  assert.equal(evaluate('user.constructor', scope), undefined);
+  assert.equal(evaluate('user.__proto__', scope), undefined);
+  assert.equal(evaluate("user['toString']", scope), undefined);
+  assert.equal(resolvePath(scope, 'user.hasOwnProperty'), undefined);
+  assert.equal(resolvePath({}, 'constructor.name'), undefined);
+});
+
+test('literals: numbers, strings with escapes, true / false / null', () => {
+  assert.equal(evaluate('42', {}), 42);
+  assert.equal(evaluate('1.5', {}), 1.5);
+  assert.equal(evaluate('"say \\"hi\\""', {}), 'say "hi"');
+  assert.equal(evaluate("'it\\'s'", {}), "it's");
+  assert.equal(evaluate('true', {}), true);
+  assert.equal(evaluate('false', {}), false);
+  assert.equal(evaluate('null', {}), null);
+});
+
+test('comparison operators; == is loose only between strings and numbers', () => {
+  assert.equal(evaluate("status == 'open'", scope), true);
+  assert.equal(evaluate('count == "3"', scope), true);
+  assert.equal(evaluate('count === "3"', scope), false);
+  assert.equal(evaluate('count !== "3"', scope), true);
+  assert.equal(evaluate('count != 3', scope), false);
+  assert.equal(evaluate('done == 0', scope), false);
+  assert.equal(evaluate('user.role == missing', scope), false);
+  assert.equal(evaluate('user.role != missing', scope), true);
+  assert.equal(evaluate('count > 2 && count >= 3 && count < 4 && count <= 3', scope), true);
+});
+
+test('! && || short-circuit and return operand values; parentheses group', () => {
+  assert.equal(evaluate('!done', scope), true);
+  assert.equal(evaluate('!!user.name', scope), true);
+  assert.equal(evaluate("user.role || 'guest'", scope), 'guest');
+  assert.equal(evaluate('user.name && count', scope), 3);
+  assert.equal(evaluate('done && missing.x', scope), false);
+  assert.equal(evaluate('true || false && false', {}), true);
+  assert.equal(evaluate('(true || false) && false', {}), false);
+  assert.equal(evaluate('!(count > 2)', scope), false);
+});
+
+test('syntax errors name the expression', () => {
+  assert.throws(() => compileExpression('count > '), /Invalid template expression "count > ": unexpected end/);
+  assert.throws(() => compileExpression('(count > 1'), /expected \)/);
+  assert.throws(() => compileExpression('items[0'), /expected \]/);
+  assert.throws(() => compileExpression('user.'), /expected property name/);
+  assert.throws(() => compileExpression('count count'), /unexpected count/);
+  assert.throws(() => compileExpression('a + b'), /Invalid template expression "a \+ b" at 1/);
+  assert.throws(() => compileExpression('fn()'), /unexpected \(/);
+});
+
+test('compileExpression caches parsed expressions', () => {
+  assert.equal(compileExpression('user.name'), compileExpression('user.name'));
+});
+
+test('interpolate: a whole {{expr}} keeps its type, mixed text becomes a string', () => {
+  assert.deepEqual(interpolate('{{user.tags}}', scope), ['admin', 'ops']);
+  assert.equal(interpolate('{{done}}', scope), false);
+  assert.equal(interpolate('Hi {{user.name}} ({{count}})', scope), 'Hi Ada (3)');
+  assert.equal(interpolate('role: {{user.role}}{{missing}}', scope), 'role: ');
+  assert.equal(interpolate('first: {{items[0]}}', scope), 'first: {"id":1}');
+  assert.equal(interpolate('no bindings', scope), 'no bindings');
+  assert.equal(interpolate(7, scope), 7);
+});
+
+test('interpolateDeep walks arrays and objects', () => {
+  assert.deepEqual(
+    interpolateDeep({ name: '{{user.name}}', ids: ['{{items[0].id}}', 'x{{i}}'], n: 5 }, scope),
+    { name: 'Ada', ids: [1, 'x1'], n: 5 }
+  );
+});